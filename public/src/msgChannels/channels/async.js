@@ -1,35 +1,178 @@
 /**
  * @fileoverview Defines the AsyncChannel class, extending BaseChannel to provide
- * a promise-based Request/Response synchronization mechanism over BroadcastChannel.
+ * a promise-based Request/Response synchronization mechanism over any channel transport.
  * This is crucial for orchestrating tasks and retrieving results from Web Workers.
  */
 
 import { BaseChannel } from './base.js';
+import { ChannelNamespace } from './namespace.js';
 import { RequestMessage } from '../messages/request.js';
 import { ResponseMessage } from '../messages/response.js';
 import { ErrorMessage } from '../messages/error.js';
+import { CancelMessage } from '../messages/cancel.js';
+import { ProgressMessage } from '../messages/progress.js';
+import { ClaimMessage } from '../messages/claim.js';
+import { GrantMessage } from '../messages/grant.js';
+import { MessageAgent } from '../messages/messageAgent.js';
+import { IdempotencyCache } from '../lib/idempotencyCache.js';
+import { RPC_REQUEST_PREFIX, isValidPath, collectMethods, withSignal, createProxy } from '../lib/rpc.js';
+import { registerErrorClass } from '../lib/errors.js';
+import { pushID } from '../../vendor/pushID.js';
 
 /**
  * @typedef {import('../messages/base.js').BaseMessage} BaseMessage
  * @typedef {import('../messages/messageAgent.js').MessageAgent} MessageAgent
+ * @typedef {import('./base.js').ChannelOptions} ChannelOptions
+ * @typedef {import('./base.js').MessageCallback} MessageCallback
+ * @typedef {import('../lib/roster.js').AgentRecord} AgentRecord
+ * @typedef {import('../lib/reliable.js').DeliveryFailure} DeliveryFailure
+ *
+ * @typedef {AsyncChannel|ChannelNamespace} RequestScope
+ * Where a request is sent and answered: the channel itself, or one of its namespaces. The
+ * request, and everything exchanged about it (bids, grants, progress, cancellation and the
+ * response), carry the namespace's tag and pass through its middleware.
+ *
+ * @typedef {'all'|'first'|'round-robin'|{prefer: string}} ResponderStrategy
+ * Decides who executes a broadcast request: every handler ('all'), or exactly one bidder chosen
+ * by arrival order ('first'), by rotating through the bidders ('round-robin'), or by preferring
+ * a given agent (an agentID, or 'scope:name' for any instance of that name) and falling back to the first bidder.
+ *
+ * @typedef {object} AsyncChannelExtras
+ * @property {ResponderStrategy} [responderStrategy='all'] - Default strategy for broadcast requests.
+ * @property {number} [claimWindow=AsyncChannel.DEFAULT_CLAIM_WINDOW] - Milliseconds to collect bids when the strategy needs to compare them.
+ * @property {number} [idempotencyCacheSize=AsyncChannel.DEFAULT_IDEMPOTENCY_CACHE_SIZE] - Results remembered per onRequest handler for deduplicating retried requests.
+ *
+ * @typedef {ChannelOptions & AsyncChannelExtras} AsyncChannelOptions
+ *
+ * @typedef {object} RequestOptions
+ * @property {number} [timeout=AsyncChannel.DEFAULT_TIMEOUT] - Timeout in milliseconds.
+ * @property {Transferable[]} [transferables=[]] - Payload objects to transfer ownership of (cloned when the transport cannot transfer).
+ * @property {AbortSignal} [signal] - Cancels the request: the promise rejects with the signal's reason and the responder is told to stop.
+ * @property {(data: any, message: ProgressMessage) => void} [onProgress] - Receives each progress chunk streamed by the responder.
+ * @property {ResponderStrategy} [responderStrategy] - Overrides the channel's strategy for this broadcast request.
+ * @property {number|RetryPolicy} [retry] - Retry policy, or just the total number of attempts. Requests are not retried by default.
+ * @property {string} [idempotencyKey] - Identifies the logical operation across retries. Generated when omitted.
+ *
+ * @typedef {object} RetryPolicy
+ * @property {number} [attempts=3] - Total number of attempts, including the first.
+ * @property {number} [initialDelay=100] - Delay before the first retry in milliseconds.
+ * @property {number} [factor=2] - Multiplier applied to the delay after each retry.
+ * @property {number} [maxDelay=5000] - Upper bound for the delay between attempts.
+ * @property {(error: Error, attempt: number) => boolean} [retryOn] - Decides whether a failed attempt is retried. Defaults to timeouts and refused requests.
  *
  * @typedef {object} PendingRequest
  * @property {(payload: any) => void} resolve
  * @property {(reason: any) => void} reject
  * @property {number} timeout
+ * @property {number} timeoutMs - The timeout duration, restarted whenever a progress chunk arrives.
+ * @property {string|null} toAgent - The responder the request was addressed to, if any.
+ * @property {AbortSignal|null} signal - The caller's abort signal, if any.
+ * @property {(() => void)|null} onAbort - The abort listener registered on the signal.
+ * @property {((data: any, message: ProgressMessage) => void)|null} onProgress - The caller's progress callback, if any.
+ * @property {ClaimState|null} claim - Bid collection state for exactly-one-responder requests.
+ * @property {RequestScope} scope - Where the request was sent; its cancellation and grant go the same way.
+ *
+ * @typedef {object} ClaimState
+ * @property {string} requestType - The request type being claimed, prefixed with its namespace if any (see scopedType()).
+ * @property {ResponderStrategy} strategy - How the winning bidder is chosen.
+ * @property {string|null} role - The role the request was addressed to, or null for a broadcast request.
+ * @property {string[]} bidders - Agents that bid, in arrival order.
+ * @property {number|null} timer - Handle of the claim-window timer.
+ * @property {string|null} granted - The winning bidder, once chosen.
+ *
+ * @typedef {object} Bid
+ * @property {string} requesterID - The agent that sent the claimed request.
+ * @property {Array<() => void>} runners - Local handlers to run if the request is granted to us.
+ * @property {number} timer - Handle of the timer discarding the bid if no grant arrives.
+ *
+ * @typedef {object} RequestContext
+ * @property {AbortSignal} signal - Fires when the requester cancels, times out, or leaves the channel.
+ * @property {(data: any, transferables?: Transferable[]) => void} progress - Streams a progress chunk to the requester.
+ *
+ * @typedef {object} ActiveRequest
+ * @property {AbortController} controller - Aborts the handlers working on the request.
+ * @property {string} requesterID - The agent that sent the request.
+ * @property {number|null} timeout - The requester's timeout in milliseconds, if it sent one.
+ * @property {number|null} timer - Timeout handle mirroring the requester's deadline.
+ * @property {number} handlers - Number of handlers still working on the request.
+ * @property {number} seq - Sequence number of the next progress chunk.
+ *
+ * @typedef {AsyncGenerator<any, any, void> & {result: Promise<any>}} RequestStream
+ *
+ * @typedef {object} ExposeOptions
+ * @property {string[]} [methods] - Dotted paths of the methods to expose (e.g., ['read', 'files.list']). Defaults to the class's static `rpcMethods`, or every public method.
+ * @property {string[]} [cancellable] - Dotted paths of the methods whose last declared parameter receives the request's AbortSignal, which fires when the caller cancels, times out or leaves. Defaults to the class's static `rpcCancellableMethods`.
+ *
+ * @typedef {RequestOptions & {toAgent?: string|null}} ProxyOptions
+ * Request options applied to every call made through the proxy (except `idempotencyKey` and
+ * `transferables`, which are per call), plus the agent to call.
  */
 
 /**
  * Custom error used for request timeouts.
  */
 class RequestTimeoutError extends Error {
-    constructor(msgID) {
-        super(`Request timed out after 10000ms. ID: ${msgID}`);
+    constructor(msgID, timeout) {
+        super(`Request timed out after ${timeout}ms. ID: ${msgID}`);
         this.name = 'RequestTimeoutError';
         this.requestMsgID = msgID;
     }
 }
 
+/**
+ * Custom error used when no peer advertises the requested type, or the target peer is incompatible.
+ */
+class UnsupportedRequestError extends Error {
+    constructor(requestType, toAgent, reason) {
+        super(`Request '${requestType}' refused${toAgent ? ` for agent '${toAgent}'` : ''}: ${reason}`);
+        this.name = 'UnsupportedRequestError';
+        this.requestType = requestType;
+        this.toAgent = toAgent;
+    }
+}
+
+// Let requesters rebuild these when a responder fails with them (e.g., a nested request timing out)
+registerErrorClass(RequestTimeoutError);
+registerErrorClass(UnsupportedRequestError);
+
+/**
+ * Prefix of the capabilities advertising the request types an agent serves.
+ * @type {string}
+ */
+const REQUEST_CAPABILITY_PREFIX = 'request:';
+
+/**
+ * Names a request type within its namespace, for the capabilities and claims that must not mix
+ * the request types of different namespaces: 'resize' sent within 'uploads' is 'uploads/resize'.
+ * @param {string} type - The request type.
+ * @param {string|undefined} namespace - The namespace the request is sent in, if any.
+ * @returns {string}
+ */
+function scopedType(type, namespace) {
+    return namespace === undefined ? type : `${namespace}/${type}`;
+}
+
+/**
+ * Returns the namespace a request scope stands for.
+ * @param {RequestScope} scope - The channel or one of its namespaces.
+ * @returns {string|undefined} The namespace name, or undefined for the channel itself.
+ */
+function namespaceOf(scope) {
+    return scope instanceof ChannelNamespace ? scope.name : undefined;
+}
+
+/**
+ * Checks whether a peer may serve a capability: it advertises it, or its capabilities are not
+ * known yet (a peer predating advertisement, or one that only sent the hello it posts while
+ * still registering its handlers).
+ * @param {AgentRecord} peer - The peer's roster record.
+ * @param {string} capability - The capability (e.g., 'request:opfs_read_file').
+ * @returns {boolean}
+ */
+function mayServe(peer, capability) {
+    return !peer.capabilities || !peer.capabilitiesSettled || peer.capabilities.includes(capability);
+}
+
 
 export class AsyncChannel extends BaseChannel {
 
@@ -40,24 +183,147 @@ export class AsyncChannel extends BaseChannel {
      */
     _pendingRequests = new Map();
 
+    /**
+     * Number of onRequest handlers registered per request type, used to keep the advertised capabilities accurate.
+     * @private
+     * @type {Map<string, number>}
+     */
+    _requestHandlerCounts = new Map();
+
+    /**
+     * Requests currently being handled by this agent, keyed by request MessageID.
+     * @private
+     * @type {Map<string, ActiveRequest>}
+     */
+    _activeRequests = new Map();
+
+    /**
+     * Bids this agent has placed on claimed broadcast requests, keyed by request MessageID.
+     * @private
+     * @type {Map<string, Bid>}
+     */
+    _bids = new Map();
+
+    /**
+     * Last agent granted a round-robin request, per request type.
+     * @private
+     * @type {Map<string, string>}
+     */
+    _roundRobinCursors = new Map();
+
+    /**
+     * Default strategy for broadcast requests.
+     * @private
+     * @type {ResponderStrategy}
+     */
+    _responderStrategy;
+
+    /**
+     * Milliseconds to collect bids when the strategy needs to compare them.
+     * @private
+     * @type {number}
+     */
+    _claimWindow;
+
+    /**
+     * Results remembered per onRequest handler for deduplicating retried requests.
+     * @private
+     * @type {number}
+     */
+    _idempotencyCacheSize;
+
+    /**
+     * Handlers of the messages exchanged about requests, keyed by message type. They receive
+     * those of the channel as listeners, and those of its namespaces through _routeNamespaced().
+     * @private
+     * @type {Map<string, MessageCallback>}
+     */
+    _requestTraffic;
+
     /**
      * Default timeout for a request/response cycle in milliseconds.
      * @type {number}
      */
     static DEFAULT_TIMEOUT = 10000; // 10 seconds
 
+    /**
+     * Default time to wait for further bids on a claimed request, in milliseconds.
+     * @type {number}
+     */
+    static DEFAULT_CLAIM_WINDOW = 50;
+
+    /**
+     * Default number of results remembered per onRequest handler.
+     * @type {number}
+     */
+    static DEFAULT_IDEMPOTENCY_CACHE_SIZE = 100;
+
+    /**
+     * Retry policy applied when a request asks for retries without spelling all of them out.
+     * @type {Required<RetryPolicy>}
+     */
+    static DEFAULT_RETRY_POLICY = {
+        attempts: 3,
+        initialDelay: 100,
+        factor: 2,
+        maxDelay: 5000,
+        retryOn: (error) => error instanceof RequestTimeoutError || error instanceof UnsupportedRequestError
+    };
+
     /**
      * Initializes the AsyncChannel and registers the listener for incoming responses.
      * @param {string} channelName - The unique name for this communication channel.
      * @param {string|null} [agentName=null] - Optional name for this context (e.g., 'UI').
+     * @param {AsyncChannelOptions} [options={}] - Optional channel configuration (e.g., transport).
      */
-    constructor(channelName, agentName = null) {
-        super(channelName, agentName);
+    constructor(channelName, agentName = null, options = {}) {
+        // Validate before the base constructor announces us and starts the heartbeat
+        const responderStrategy = AsyncChannel._validateStrategy(options.responderStrategy ?? 'all');
 
-        // Register the primary listener for all incoming responses and errors
-        this.on(ResponseMessage.msgType, this._handleResponse.bind(this));
-        // Also listen for system errors, in case an error message is broadcast in place of a response
-        this.on(ErrorMessage.msgType, this._handleResponse.bind(this));
+        super(channelName, agentName, options);
+
+        this._responderStrategy = responderStrategy;
+        this._claimWindow = options.claimWindow ?? AsyncChannel.DEFAULT_CLAIM_WINDOW;
+        this._idempotencyCacheSize = options.idempotencyCacheSize ?? AsyncChannel.DEFAULT_IDEMPOTENCY_CACHE_SIZE;
+
+        this._requestTraffic = new Map([
+            // The primary handler for all incoming responses and errors
+            [ResponseMessage.msgType, this._handleResponse.bind(this)],
+            // Also handle system errors, in case an error message is broadcast in place of a response
+            [ErrorMessage.msgType, this._handleResponse.bind(this)],
+            // Progress chunks streamed ahead of the final response
+            [ProgressMessage.msgType, this._handleProgress.bind(this)],
+            // Exactly-one-responder negotiation: bids arrive at the requester, grants at the bidders
+            [ClaimMessage.msgType, this._handleClaim.bind(this)],
+            [GrantMessage.msgType, this._handleGrant.bind(this)],
+            // Responder side: stop work the requester no longer wants
+            [CancelMessage.msgType, this._handleCancel.bind(this)]
+        ]);
+        this._requestTraffic.forEach((handler, type) => this.on(type, handler));
+        this.onAgentLeft((agent) => {
+            this._dropBidsFrom(agent.agentID);
+            this._abortRequestsFrom(agent.agentID, new DOMException(`Requesting agent '${agent.agentID}' left the channel.`, 'AbortError'));
+        });
+
+        // Requester side: requests the transport failed to send fail at once instead of timing out
+        this.onDeliveryFailed(this._handleSendFailure.bind(this));
+    }
+
+    /**
+     * Checks a responder strategy value.
+     * @private
+     * @param {ResponderStrategy} strategy - The strategy to check.
+     * @returns {ResponderStrategy} The strategy, unchanged.
+     * @throws {Error} If the strategy is not recognised.
+     */
+    static _validateStrategy(strategy) {
+        if (strategy === 'all' || strategy === 'first' || strategy === 'round-robin') {
+            return strategy;
+        }
+        if (typeof strategy?.prefer === 'string' && strategy.prefer.length > 0) {
+            return strategy;
+        }
+        throw new Error(`Unknown responder strategy: ${JSON.stringify(strategy)}.`);
     }
 
 
@@ -67,32 +333,468 @@ export class AsyncChannel extends BaseChannel {
 
     /**
      * Sends a promise-based request and waits for a corresponding ResponseMessage.
+     * Every attempt carries the same idempotency key, so responders replay the first
+     * successful result to retries instead of executing the request again.
      * @param {string} type - The specific request type (e.g., 'get_file_size').
      * @param {object|null} [payload=null] - Data required for the request.
-     * @param {string|null} [toAgent=null] - Optional target AgentID for Direct Messaging.
-     * @param {number} [timeout=AsyncChannel.DEFAULT_TIMEOUT] - Timeout in milliseconds.
+     * @param {string|null} [toAgent=null] - Optional target AgentID for Direct Messaging, or 'role:<role>' for the agents holding a role.
+     * @param {number|RequestOptions} [options=AsyncChannel.DEFAULT_TIMEOUT] - Timeout in milliseconds, or a RequestOptions object.
+     * @returns {Promise<any>} A promise that resolves with the response payload.
+     */
+    request(type, payload = null, toAgent = null, options = AsyncChannel.DEFAULT_TIMEOUT) {
+        return this._request(this, type, payload, toAgent, options);
+    }
+
+    /**
+     * Sends a request within a scope and waits for its response (see request()).
+     * @protected
+     * @param {RequestScope} scope - The channel or the namespace to send the request in.
+     * @param {string} type - The specific request type.
+     * @param {object|null} [payload=null] - Data required for the request.
+     * @param {string|null} [toAgent=null] - Optional target AgentID, or 'role:<role>'.
+     * @param {number|RequestOptions} [options=AsyncChannel.DEFAULT_TIMEOUT] - Timeout in milliseconds, or a RequestOptions object.
+     * @returns {Promise<any>} A promise that resolves with the response payload.
+     */
+    async _request(scope, type, payload = null, toAgent = null, options = AsyncChannel.DEFAULT_TIMEOUT) {
+        const requestOptions = this._normalizeRequestOptions(options);
+        const { retry, signal } = requestOptions;
+
+        // Retries resend the payload, so it has to stay intact: copy it instead of transferring it
+        if (retry.attempts > 1) {
+            requestOptions.transferables = [];
+        }
+
+        const started = performance.now();
+        let outcome = 'ok';
+        try {
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    return await this._sendRequest(scope, type, payload, toAgent, requestOptions);
+                } catch (error) {
+                    if (attempt >= retry.attempts || signal?.aborted || !retry.retryOn(error, attempt)) {
+                        throw error;
+                    }
+                    this._metrics.recordRetry(type);
+                    await this._retryDelay(retry, attempt, signal);
+                }
+            }
+        } catch (error) {
+            outcome = AsyncChannel._requestOutcome(error, signal);
+            throw error;
+        } finally {
+            this._metrics.recordRequest('outgoing', type, outcome, performance.now() - started);
+        }
+    }
+
+    /**
+     * Performs a single request attempt.
+     * @private
+     * @param {RequestScope} scope - The channel or the namespace to send the request in.
+     * @param {string} type - The specific request type.
+     * @param {object|null} payload - Data required for the request.
+     * @param {string|null} toAgent - Optional target AgentID for Direct Messaging.
+     * @param {ReturnType<AsyncChannel['_normalizeRequestOptions']>} requestOptions - The normalized request options.
      * @returns {Promise<any>} A promise that resolves with the response payload.
      */
-    request(type, payload = null, toAgent = null, timeout = AsyncChannel.DEFAULT_TIMEOUT) {
+    _sendRequest(scope, type, payload, toAgent, requestOptions) {
+        const { timeout, transferables, signal, onProgress, responderStrategy, idempotencyKey } = requestOptions;
+        const namespace = namespaceOf(scope);
+
+        // 0. Refuse requests no compatible peer has advertised, or that are already cancelled
+        const refusal = this._checkPeerSupport(type, toAgent, namespace);
+        if (refusal) {
+            return Promise.reject(refusal);
+        }
+        if (signal?.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
         const requestMessage = new RequestMessage(this.agent, type, payload, toAgent);
         const requestMsgID = requestMessage.requestMsgID;
+        // Lets the responder abandon work the requester has stopped waiting for
+        requestMessage.metadata.timeout = timeout;
+        // Lets the responder recognise retries of the same operation
+        requestMessage.metadata.idempotencyKey = idempotencyKey;
 
-        // 1. Send the message
-        this.sendMsg(requestMessage);
+        // Broadcasts (also among the holders of a role) that must run once are bid on first, then granted to a single responder
+        const role = this._addressedRole(toAgent);
+        let claim = null;
+        if ((!toAgent || role !== null) && responderStrategy !== 'all') {
+            requestMessage.metadata.claim = true;
+            claim = { requestType: scopedType(type, namespace), strategy: responderStrategy, role, bidders: [], timer: null, granted: null };
+        }
 
-        // 2. Create and return the tracking Promise
+        // 1. Create and return the tracking Promise
         return new Promise((resolve, reject) => {
+            const pending = { resolve, reject, timeout: null, timeoutMs: timeout, toAgent, signal, onAbort: null, onProgress, claim, scope };
+
             // Setup timeout
-            const timeoutId = setTimeout(() => {
-                this._pendingRequests.delete(requestMsgID);
-                reject(new RequestTimeoutError(requestMsgID));
-            }, timeout);
+            this._armRequestTimer(requestMsgID, pending);
+
+            // Setup cancellation
+            if (signal) {
+                pending.onAbort = () => {
+                    this._takePendingRequest(requestMsgID);
+                    this._sendCancel(scope, requestMsgID, toAgent, 'Request cancelled by the requester.');
+                    reject(signal.reason);
+                };
+                signal.addEventListener('abort', pending.onAbort, { once: true });
+            }
+
+            // Store the pending request to be retrieved by _handleResponse
+            this._pendingRequests.set(requestMsgID, pending);
+            this._metrics.observePending(this._pendingRequests.size);
 
-            // Store resolve, reject, and timeout to be retrieved by _handleResponse
-            this._pendingRequests.set(requestMsgID, { resolve, reject, timeout: timeoutId });
+            // 2. Send the message
+            try {
+                scope.sendMsg(requestMessage, transferables);
+            } catch (e) {
+                this._takePendingRequest(requestMsgID);
+                reject(e);
+            }
+        });
+    }
+
+    /**
+     * Classifies why a request failed, for the metrics.
+     * @private
+     * @param {any} error - The error the request failed with.
+     * @param {AbortSignal|null} signal - The signal the request ran under.
+     * @returns {import('../lib/metrics.js').RequestOutcome}
+     */
+    static _requestOutcome(error, signal) {
+        if (error instanceof RequestTimeoutError) {
+            return 'timeout';
+        }
+        if (signal?.aborted || error?.name === 'AbortError') {
+            return 'cancelled';
+        }
+        return 'error';
+    }
+
+    /**
+     * Waits out the backoff before the next attempt of a request.
+     * @private
+     * @param {Required<RetryPolicy>} retry - The retry policy.
+     * @param {number} attempt - The attempt that just failed (1-based).
+     * @param {AbortSignal|null} signal - The caller's abort signal; aborting ends the wait.
+     * @returns {Promise<void>}
+     */
+    _retryDelay(retry, attempt, signal) {
+        const delay = Math.min(retry.initialDelay * retry.factor ** (attempt - 1), retry.maxDelay);
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, delay);
+            signal?.addEventListener('abort', onAbort, { once: true });
         });
     }
 
+    /**
+     * Sends a request whose responder streams progress chunks, and iterates over them.
+     * The iterator yields each chunk in order and finishes when the final response arrives;
+     * the final payload is available from the stream's `result` promise. An ErrorMessage,
+     * timeout or abort makes the iterator throw. Leaving the loop early cancels the request.
+     * The timeout applies to the gap between chunks rather than to the whole stream.
+     * @param {string} type - The specific request type (e.g., 'opfs_walk_dir').
+     * @param {object|null} [payload=null] - Data required for the request.
+     * @param {string|null} [toAgent=null] - Optional target AgentID for Direct Messaging, or 'role:<role>' for the agents holding a role.
+     * @param {number|RequestOptions} [options=AsyncChannel.DEFAULT_TIMEOUT] - Timeout in milliseconds, or a RequestOptions object.
+     * @returns {RequestStream} An async iterator over the progress chunks.
+     */
+    requestStream(type, payload = null, toAgent = null, options = AsyncChannel.DEFAULT_TIMEOUT) {
+        return this._requestStream(this, type, payload, toAgent, options);
+    }
+
+    /**
+     * Sends a streamed request within a scope (see requestStream()).
+     * @protected
+     * @param {RequestScope} scope - The channel or the namespace to send the request in.
+     * @param {string} type - The specific request type.
+     * @param {object|null} [payload=null] - Data required for the request.
+     * @param {string|null} [toAgent=null] - Optional target AgentID, or 'role:<role>'.
+     * @param {number|RequestOptions} [options=AsyncChannel.DEFAULT_TIMEOUT] - Timeout in milliseconds, or a RequestOptions object.
+     * @returns {RequestStream} An async iterator over the progress chunks.
+     */
+    _requestStream(scope, type, payload = null, toAgent = null, options = AsyncChannel.DEFAULT_TIMEOUT) {
+        const requestOptions = typeof options === 'number' ? { timeout: options } : { ...options };
+        const callerSignal = requestOptions.signal ?? null;
+
+        // Our own controller lets the consumer cancel by leaving the loop, while still honouring the caller's signal
+        const controller = new AbortController();
+        const onCallerAbort = () => controller.abort(callerSignal.reason);
+        if (callerSignal?.aborted) {
+            controller.abort(callerSignal.reason);
+        } else {
+            callerSignal?.addEventListener('abort', onCallerAbort, { once: true });
+        }
+
+        const chunks = [];
+        let settled = false;
+        let wake = null;
+        const notify = () => {
+            wake?.();
+            wake = null;
+        };
+
+        const result = this._request(scope, type, payload, toAgent, {
+            ...requestOptions,
+            signal: controller.signal,
+            onProgress: (data, message) => {
+                chunks.push(data);
+                notify();
+                requestOptions.onProgress?.(data, message);
+            }
+        });
+        result.then(
+            () => { settled = true; notify(); },
+            () => { settled = true; notify(); }
+        );
+
+        async function* iterate() {
+            try {
+                while (true) {
+                    if (chunks.length > 0) {
+                        yield chunks.shift();
+                    } else if (settled) {
+                        return await result;
+                    } else {
+                        await new Promise(resolve => { wake = resolve; });
+                    }
+                }
+            } finally {
+                callerSignal?.removeEventListener('abort', onCallerAbort);
+                if (!settled) {
+                    controller.abort(new DOMException('Stream closed by the consumer.', 'AbortError'));
+                }
+            }
+        }
+
+        const stream = iterate();
+        stream.result = result;
+        return stream;
+    }
+
+    /**
+     * Starts (or restarts) the timeout of a pending request.
+     * @private
+     * @param {string} requestMsgID - The MessageID of the request.
+     * @param {PendingRequest} pending - The pending request.
+     */
+    _armRequestTimer(requestMsgID, pending) {
+        clearTimeout(pending.timeout);
+        pending.timeout = setTimeout(() => {
+            this._takePendingRequest(requestMsgID);
+            this._sendCancel(pending.scope, requestMsgID, pending.toAgent, 'Request timed out.');
+            pending.reject(new RequestTimeoutError(requestMsgID, pending.timeoutMs));
+        }, pending.timeoutMs);
+    }
+
+    /**
+     * Removes a pending request and releases its timer and abort listener.
+     * @private
+     * @param {string} requestMsgID - The MessageID of the request.
+     * @returns {PendingRequest|null} The removed request, or null if it was not pending.
+     */
+    _takePendingRequest(requestMsgID) {
+        const pending = this._pendingRequests.get(requestMsgID);
+        if (!pending) {
+            return null;
+        }
+        this._pendingRequests.delete(requestMsgID);
+        this._metrics.observePending(this._pendingRequests.size);
+        clearTimeout(pending.timeout);
+        clearTimeout(pending.claim?.timer);
+        if (pending.signal && pending.onAbort) {
+            pending.signal.removeEventListener('abort', pending.onAbort);
+        }
+        return pending;
+    }
+
+    /**
+     * Tells the responder(s) to stop working on a request.
+     * @private
+     * @param {RequestScope} scope - Where the request was sent.
+     * @param {string} requestMsgID - The MessageID of the request.
+     * @param {string|null} toAgent - The responder, or null if the request was broadcast.
+     * @param {string} reason - Human-readable cancellation reason.
+     */
+    _sendCancel(scope, requestMsgID, toAgent, reason) {
+        scope.sendMsg(new CancelMessage(this.agent, requestMsgID, reason, toAgent));
+    }
+
+    /**
+     * Checks the roster for a peer able to serve the request type.
+     * Only peers that advertise capabilities (protocol 2+) can cause a refusal: requests to
+     * unknown agents, or while legacy peers are present, are sent as before.
+     * @private
+     * @param {string} type - The request type.
+     * @param {string|null} toAgent - The target agent, a 'role:<role>' address, or null for a broadcast request.
+     * @param {string|undefined} namespace - The namespace the request is sent in, if any.
+     * @returns {UnsupportedRequestError|null} The refusal, or null if the request may be sent.
+     */
+    _checkPeerSupport(type, toAgent, namespace) {
+        const capability = REQUEST_CAPABILITY_PREFIX + scopedType(type, namespace);
+        const role = this._addressedRole(toAgent);
+
+        if (toAgent && role === null) {
+            const peer = this._roster.get(toAgent);
+            if (!peer) {
+                return null;
+            }
+            if (!peer.compatible) {
+                return new UnsupportedRequestError(type, toAgent, `peer speaks incompatible protocol version ${peer.protocolVersion}.`);
+            }
+            if (!mayServe(peer, capability)) {
+                return new UnsupportedRequestError(type, toAgent, 'peer has not advertised this request type.');
+            }
+            return null;
+        }
+
+        const peers = this._roster.list().filter(peer => peer.compatible && (role === null || peer.roles.includes(role)));
+        if (peers.length === 0 || peers.some(peer => mayServe(peer, capability))) {
+            return null;
+        }
+        return role === null
+            ? new UnsupportedRequestError(type, null, 'no compatible peer has advertised this request type.')
+            : new UnsupportedRequestError(type, toAgent, `no compatible agent with role '${role}' has advertised this request type.`);
+    }
+
+    /**
+     * Extracts the role from a 'role:<role>' address.
+     * @private
+     * @param {string|null} toAgent - The target of a request.
+     * @returns {string|null} The role, or null if the target is an agentID or a broadcast.
+     */
+    _addressedRole(toAgent) {
+        return toAgent?.startsWith(BaseChannel.ROLE_ADDRESS_PREFIX)
+            ? toAgent.slice(BaseChannel.ROLE_ADDRESS_PREFIX.length)
+            : null;
+    }
+
+    /**
+     * Resolves the request options argument, accepting the legacy numeric timeout form.
+     * @private
+     * @param {number|RequestOptions|null} options - The raw options argument passed to request().
+     * @returns {{timeout: number, transferables: Transferable[], signal: AbortSignal|null, onProgress: Function|null, responderStrategy: ResponderStrategy, retry: Required<RetryPolicy>, idempotencyKey: string}}
+     */
+    _normalizeRequestOptions(options) {
+        if (typeof options === 'number') {
+            options = { timeout: options };
+        }
+        return {
+            timeout: options?.timeout ?? AsyncChannel.DEFAULT_TIMEOUT,
+            transferables: options?.transferables ?? [],
+            signal: options?.signal ?? null,
+            onProgress: options?.onProgress ?? null,
+            responderStrategy: AsyncChannel._validateStrategy(options?.responderStrategy ?? this._responderStrategy),
+            retry: AsyncChannel._normalizeRetryPolicy(options?.retry),
+            idempotencyKey: options?.idempotencyKey ?? pushID.newID({})
+        };
+    }
+
+    /**
+     * Resolves the retry option into a complete policy.
+     * @private
+     * @param {number|RetryPolicy|undefined} retry - The raw retry option.
+     * @returns {Required<RetryPolicy>}
+     */
+    static _normalizeRetryPolicy(retry) {
+        if (retry === undefined || retry === null) {
+            return { ...AsyncChannel.DEFAULT_RETRY_POLICY, attempts: 1 };
+        }
+        const policy = typeof retry === 'number'
+            ? { ...AsyncChannel.DEFAULT_RETRY_POLICY, attempts: retry }
+            : { ...AsyncChannel.DEFAULT_RETRY_POLICY, ...retry };
+
+        if (!Number.isInteger(policy.attempts) || policy.attempts < 1) {
+            throw new Error(`Retry attempts must be a positive integer, got ${policy.attempts}.`);
+        }
+        return policy;
+    }
+
+    /**
+     * Records a bid on a claimed request and grants it once the strategy can decide.
+     * @private
+     * @param {ClaimMessage} message - The incoming bid.
+     */
+    _handleClaim(message) {
+        const pendingRequest = this._pendingRequests.get(message.requestMsgID);
+        const claim = pendingRequest?.claim;
+        if (!claim || claim.granted) {
+            return;
+        }
+
+        if (!claim.bidders.includes(message.agentID)) {
+            claim.bidders.push(message.agentID);
+        }
+
+        if (this._canGrantNow(claim)) {
+            this._grantClaim(message.requestMsgID, pendingRequest);
+        } else if (claim.timer === null) {
+            claim.timer = setTimeout(() => this._grantClaim(message.requestMsgID, pendingRequest), this._claimWindow);
+        }
+    }
+
+    /**
+     * Decides whether the bids collected so far are enough for the strategy to pick a winner.
+     * @private
+     * @param {ClaimState} claim - The claim being collected.
+     * @returns {boolean}
+     */
+    _canGrantNow(claim) {
+        if (claim.strategy === 'first') {
+            return true;
+        }
+
+        // Peers that could still bid: compatible, holding the role if any, and serving the type (or not known not to)
+        const capability = REQUEST_CAPABILITY_PREFIX + claim.requestType;
+        const candidates = this._roster.list()
+            .filter(peer => peer.compatible && mayServe(peer, capability))
+            .filter(peer => claim.role === null || peer.roles.includes(claim.role))
+            .map(peer => peer.agentID);
+
+        if (claim.strategy === 'round-robin') {
+            return candidates.every(agentID => claim.bidders.includes(agentID));
+        }
+        const preferred = (agentID) => MessageAgent.matchesID(agentID, claim.strategy.prefer);
+        return claim.bidders.some(preferred) || !candidates.some(preferred);
+    }
+
+    /**
+     * Picks the winning bidder and broadcasts the grant so the others stand down.
+     * @private
+     * @param {string} requestMsgID - The MessageID of the claimed request.
+     * @param {PendingRequest} pendingRequest - The pending request.
+     */
+    _grantClaim(requestMsgID, pendingRequest) {
+        const claim = pendingRequest.claim;
+        if (claim.granted || this._pendingRequests.get(requestMsgID) !== pendingRequest) {
+            return;
+        }
+        clearTimeout(claim.timer);
+
+        let granted = claim.bidders[0];
+        if (claim.strategy === 'round-robin') {
+            const bidders = [...claim.bidders].sort();
+            const last = this._roundRobinCursors.get(claim.requestType);
+            granted = bidders.find(agentID => last === undefined || agentID > last) ?? bidders[0];
+            this._roundRobinCursors.set(claim.requestType, granted);
+        } else if (typeof claim.strategy === 'object') {
+            granted = claim.bidders.find(agentID => MessageAgent.matchesID(agentID, claim.strategy.prefer)) ?? granted;
+        }
+
+        claim.granted = granted;
+        // Cancellations now only concern the winner
+        pendingRequest.toAgent = granted;
+        pendingRequest.scope.sendMsg(new GrantMessage(this.agent, requestMsgID, granted));
+    }
+
     /**
      * Processes incoming ResponseMessage or ErrorMessage and fulfills the pending Promise.
      * @private
@@ -106,24 +808,18 @@ export class AsyncChannel extends BaseChannel {
             return;
         }
 
-        const pendingRequest = this._pendingRequests.get(requestMsgID);
+        // Cleanup: Clear the timeout and abort listener, and remove from map
+        const pendingRequest = this._takePendingRequest(requestMsgID);
 
         if (!pendingRequest) {
             // Ignore if no matching pending request is found (e.g., late response)
             return;
         }
 
-        // Cleanup: Clear the timeout and remove from map
-        clearTimeout(pendingRequest.timeout);
-        this._pendingRequests.delete(requestMsgID);
-
         // Check if the response is an explicit error message
         if (message.type === ErrorMessage.msgType) {
-            const error = new Error(`Remote Error: ${message.payload.message}`);
-            // Attach structured error data for debugging
-            error.remoteStack = message.payload.stack;
-            error.remoteData = message.payload.data;
-            pendingRequest.reject(error);
+            // Rebuild the remote error class, with remoteAgentID, remoteStack and remoteData attached
+            pendingRequest.reject(message.toError());
             return;
         }
 
@@ -131,51 +827,534 @@ export class AsyncChannel extends BaseChannel {
         pendingRequest.resolve(message.payload);
     }
 
+    /**
+     * Rejects a pending request whose request message the transport failed to send,
+     * like a send that throws synchronously.
+     * @private
+     * @param {DeliveryFailure} failure - The message given up, and why.
+     */
+    _handleSendFailure(failure) {
+        if (failure.reason !== 'send-failed' || failure.message.type !== RequestMessage.msgType) {
+            return;
+        }
+        this._takePendingRequest(failure.message.msgID)?.reject(failure.error);
+    }
+
+    /**
+     * Hands a progress chunk to the caller of the matching pending request and restarts its timeout.
+     * @private
+     * @param {ProgressMessage} message - The incoming progress message.
+     */
+    _handleProgress(message) {
+        const pendingRequest = this._pendingRequests.get(message.requestMsgID);
+        if (!pendingRequest) {
+            // Late chunk for a request that already settled
+            return;
+        }
+
+        this._armRequestTimer(message.requestMsgID, pendingRequest);
+        if (!pendingRequest.onProgress) {
+            return;
+        }
+        try {
+            pendingRequest.onProgress(message.payload, message);
+        } catch (e) {
+            console.error(`onProgress callback for request ${message.requestMsgID} failed:`, e);
+        }
+    }
+
+    /**
+     * Registers (or joins) the bookkeeping for a request this agent is handling.
+     * The abort signal mirrors the requester's timeout so abandoned work stops on its own.
+     * @private
+     * @param {RequestMessage} message - The incoming request.
+     * @returns {ActiveRequest}
+     */
+    _beginActiveRequest(message) {
+        let active = this._activeRequests.get(message.msgID);
+        if (active) {
+            active.handlers++;
+            return active;
+        }
+
+        const timeout = message.metadata?.timeout;
+        active = {
+            controller: new AbortController(),
+            requesterID: message.agentID,
+            timeout: Number.isFinite(timeout) ? timeout : null,
+            timer: null,
+            handlers: 1,
+            seq: 0
+        };
+        this._armActiveTimer(message.msgID, active);
+        this._activeRequests.set(message.msgID, active);
+        return active;
+    }
+
+    /**
+     * Starts (or restarts) the responder-side mirror of the requester's timeout.
+     * @private
+     * @param {string} requestMsgID - The MessageID of the request.
+     * @param {ActiveRequest} active - The active request.
+     */
+    _armActiveTimer(requestMsgID, active) {
+        if (active.timeout === null) {
+            return;
+        }
+        clearTimeout(active.timer);
+        active.timer = setTimeout(() => {
+            active.controller.abort(new RequestTimeoutError(requestMsgID, active.timeout));
+        }, active.timeout);
+    }
+
+    /**
+     * Streams a progress chunk for an active request back to its requester.
+     * The requester restarts its timeout on every chunk, so the responder does the same.
+     * @private
+     * @param {RequestMessage} message - The request being answered.
+     * @param {ActiveRequest} active - The active request.
+     * @param {any} data - The progress data or partial result.
+     * @param {Transferable[]} [transferables=[]] - Objects to transfer ownership of.
+     */
+    _sendProgress(message, active, data, transferables = []) {
+        if (active.controller.signal.aborted) {
+            return;
+        }
+        this._armActiveTimer(message.msgID, active);
+        this._scopeOf(message).sendMsg(new ProgressMessage(this.agent, message.msgID, data, active.seq++, message.agentID), transferables);
+    }
+
+    /**
+     * Runs a request handler. Async generator handlers stream each yielded value as progress
+     * and answer with their return value.
+     * @private
+     * @param {Function} callback - The handler registered with onRequest().
+     * @param {RequestMessage} message - The request being answered.
+     * @param {ActiveRequest} active - The active request.
+     * @returns {Promise<any>} The final result payload.
+     */
+    async _runRequestHandler(callback, message, active) {
+        const context = {
+            signal: active.controller.signal,
+            progress: (data, transferables) => this._sendProgress(message, active, data, transferables)
+        };
+        const result = callback(message.payload, message, context);
+
+        if (!result || typeof result[Symbol.asyncIterator] !== 'function' || typeof result.next !== 'function') {
+            return result;
+        }
+
+        while (true) {
+            const { value, done } = await result.next();
+            if (done) {
+                return value;
+            }
+            if (context.signal.aborted) {
+                // Let the generator run its finally blocks
+                await result.return?.();
+                return undefined;
+            }
+            context.progress(value);
+        }
+    }
+
+    /**
+     * Releases a handler's hold on an active request, removing it once all handlers are done.
+     * @private
+     * @param {string} requestMsgID - The MessageID of the request.
+     */
+    _endActiveRequest(requestMsgID) {
+        const active = this._activeRequests.get(requestMsgID);
+        if (!active || --active.handlers > 0) {
+            return;
+        }
+        clearTimeout(active.timer);
+        this._activeRequests.delete(requestMsgID);
+    }
+
+    /**
+     * Aborts an active request when its requester cancels it.
+     * @private
+     * @param {CancelMessage} message - The incoming cancel message.
+     */
+    _handleCancel(message) {
+        const bid = this._bids.get(message.requestMsgID);
+        if (bid && bid.requesterID === message.agentID) {
+            this._dropBid(message.requestMsgID);
+        }
+
+        const active = this._activeRequests.get(message.requestMsgID);
+
+        // Only the original requester may cancel its request
+        if (!active || active.requesterID !== message.agentID) {
+            return;
+        }
+        active.controller.abort(new DOMException(message.payload?.reason || 'Request cancelled by the requester.', 'AbortError'));
+    }
+
+    /**
+     * Aborts every active request sent by an agent.
+     * @private
+     * @param {string} agentID - The requesting agent.
+     * @param {any} reason - The abort reason handed to the handlers.
+     */
+    _abortRequestsFrom(agentID, reason) {
+        for (const active of this._activeRequests.values()) {
+            if (active.requesterID === agentID) {
+                active.controller.abort(reason);
+            }
+        }
+    }
+
+    /**
+     * Bids on a claimed broadcast request. The handler only runs if the requester grants the request to us.
+     * Several local handlers for the same type share a single bid.
+     * @private
+     * @param {RequestMessage} message - The claimed request.
+     * @param {() => void} runner - Runs the local handler once granted.
+     */
+    _bidForRequest(message, runner) {
+        const existing = this._bids.get(message.msgID);
+        if (existing) {
+            existing.runners.push(runner);
+            return;
+        }
+
+        // Forget the bid if the requester never decides (e.g., it crashed)
+        const timeout = message.metadata?.timeout;
+        const timer = setTimeout(() => this._dropBid(message.msgID), Number.isFinite(timeout) ? timeout : AsyncChannel.DEFAULT_TIMEOUT);
+        this._bids.set(message.msgID, { requesterID: message.agentID, runners: [runner], timer });
+        this._scopeOf(message).sendMsg(new ClaimMessage(this.agent, message.msgID, message.agentID));
+    }
+
+    /**
+     * Runs the local handlers of a granted bid, or discards the bid when another agent won.
+     * @private
+     * @param {GrantMessage} message - The incoming grant.
+     */
+    _handleGrant(message) {
+        const bid = this._bids.get(message.requestMsgID);
+        if (!bid || bid.requesterID !== message.agentID) {
+            return;
+        }
+        this._dropBid(message.requestMsgID);
+
+        if (message.payload.grantedAgentID === this.agentID) {
+            bid.runners.forEach(run => run());
+        }
+    }
+
+    /**
+     * Discards a bid.
+     * @private
+     * @param {string} requestMsgID - The MessageID of the claimed request.
+     */
+    _dropBid(requestMsgID) {
+        const bid = this._bids.get(requestMsgID);
+        if (bid) {
+            clearTimeout(bid.timer);
+            this._bids.delete(requestMsgID);
+        }
+    }
+
+    /**
+     * Discards every bid on requests sent by an agent.
+     * @private
+     * @param {string} agentID - The requesting agent.
+     */
+    _dropBidsFrom(agentID) {
+        for (const [requestMsgID, bid] of Array.from(this._bids)) {
+            if (bid.requesterID === agentID) {
+                this._dropBid(requestMsgID);
+            }
+        }
+    }
+
+    /**
+     * Runs a request handler at most once per idempotency key. A repeated key replays the earlier
+     * result, or joins the run still in flight. Failed runs are forgotten so a retry executes again.
+     * @private
+     * @param {Function} callback - The handler registered with onRequest().
+     * @param {RequestMessage} message - The request being answered.
+     * @param {ActiveRequest} active - The active request.
+     * @param {IdempotencyCache} cache - The handler's deduplication cache.
+     * @returns {Promise<any>} The result payload.
+     */
+    _runIdempotent(callback, message, active, cache) {
+        const idempotencyKey = message.metadata?.idempotencyKey;
+        if (typeof idempotencyKey !== 'string' || idempotencyKey.length === 0) {
+            return this._runRequestHandler(callback, message, active);
+        }
+
+        const key = IdempotencyCache.keyFor(message.agentID, idempotencyKey);
+        const cached = cache.get(key);
+        if (cached) {
+            return cached.result.catch((error) => {
+                // The earlier attempt was cancelled by its requester, not failed: run it for this attempt instead
+                if (cached.signal.aborted) {
+                    return this._runIdempotent(callback, message, active, cache);
+                }
+                throw error;
+            });
+        }
+
+        const entry = { result: this._runRequestHandler(callback, message, active), signal: active.controller.signal };
+        cache.set(key, entry);
+        // Only successful results are replayed
+        entry.result.catch(() => cache.delete(key, entry));
+        return entry.result;
+    }
+
+    /**
+     * Executes a request handler and sends its response, or an ErrorMessage if it fails.
+     * @private
+     * @param {Function} callback - The handler registered with onRequest().
+     * @param {RequestMessage} message - The request being answered.
+     * @param {IdempotencyCache} cache - The handler's deduplication cache.
+     * @returns {Promise<void>}
+     */
+    async _serveRequest(callback, message, cache) {
+        const active = this._beginActiveRequest(message);
+        const signal = active.controller.signal;
+        const started = performance.now();
+        let outcome = 'ok';
+
+        try {
+            // Execute the callback which should return the result payload
+            const resultPayload = await this._runIdempotent(callback, message, active, cache);
+
+            // The requester has given up; nobody is waiting for the result
+            if (signal.aborted) {
+                outcome = AsyncChannel._requestOutcome(signal.reason, signal);
+                return;
+            }
+
+            // Send success response (Direct Message)
+            const response = new ResponseMessage(
+                this.agent,
+                message.msgID, // original request ID
+                resultPayload,
+                message.metadata, // original metadata
+                message.agentID // sender of the request
+            );
+            this._scopeOf(message).sendMsg(response);
+
+        } catch (error) {
+            if (signal.aborted) {
+                outcome = AsyncChannel._requestOutcome(signal.reason, signal);
+                return;
+            }
+            outcome = 'error';
+
+            // Send error response (Direct Message)
+            // We use ErrorMessage instead of ResponseMessage(error) to standardize error reporting
+            const errorMsg = new ErrorMessage(
+                this.agent,
+                error,
+                { originalRequestID: message.msgID },
+                message.agentID // sender of the request
+            );
+            // Ensure the response link is present on the ErrorMessage metadata
+            errorMsg.metadata.requestMsgID = message.msgID;
+            this._scopeOf(message).sendMsg(errorMsg);
+        } finally {
+            this._endActiveRequest(message.msgID);
+            this._metrics.recordRequest('incoming', message.metadata.requestType, outcome, performance.now() - started);
+        }
+    }
+
+    /**
+     * Returns the scope a received request was sent in, to answer it within the same one.
+     * @private
+     * @param {RequestMessage} message - The received request.
+     * @returns {RequestScope}
+     */
+    _scopeOf(message) {
+        const namespace = message.metadata?.namespace;
+        return namespace === undefined ? this : this.namespace(namespace);
+    }
+
+    /**
+     * Handles the responses, progress, bids, grants and cancellations exchanged about the
+     * requests of a namespace, which the channel's own listeners do not see.
+     * @protected
+     * @param {BaseMessage} message - A message received within a namespace.
+     */
+    _routeNamespaced(message) {
+        this._requestTraffic.get(message.type)?.(message);
+    }
+
+    // =========================================================================
+    // Remote Procedure Calls
+    // =========================================================================
+
+    /**
+     * Serves the methods of an object to other agents under a namespace. Each method is
+     * registered as the request type `rpc:<namespace>.<path>` and called with the arguments
+     * sent by proxy(); its (awaited) result is the response. Results with a toJSON() method
+     * are sent as its return value, and async generator methods stream their yielded values.
+     *
+     * Only the allowlisted methods are served. Without `options.methods`, the object's class
+     * may list them in a static `rpcMethods` array; otherwise every public method (not
+     * starting with '_') of the object and of its nested plain objects is served. A method
+     * taking an AbortSignal as its last parameter can be listed in `options.cancellable` (or
+     * the static `rpcCancellableMethods`) to get the request's signal there.
+     * @param {string} namespace - Dot-separated namespace (e.g., 'opfs' or 'app.settings').
+     * @param {object} object - The object whose methods are served.
+     * @param {ExposeOptions} [options={}] - Optional method allowlist and cancellable methods.
+     * @returns {() => void} Function that stops serving the methods.
+     */
+    expose(namespace, object, options = {}) {
+        return this._expose(this, namespace, object, options);
+    }
+
+    /**
+     * Serves the methods of an object within a scope (see expose()).
+     * @protected
+     * @param {RequestScope} scope - The channel or the namespace to serve the methods in.
+     * @param {string} namespace - Dot-separated RPC namespace.
+     * @param {object} object - The object whose methods are served.
+     * @param {ExposeOptions} [options={}] - Optional method allowlist and cancellable methods.
+     * @returns {() => void} Function that stops serving the methods.
+     */
+    _expose(scope, namespace, object, options = {}) {
+        if (!isValidPath(namespace)) {
+            throw new Error(`Invalid RPC namespace '${namespace}'.`);
+        }
+        const methods = collectMethods(object, options.methods);
+        if (methods.length === 0) {
+            throw new Error(`Nothing to expose under '${namespace}': the object has no public methods.`);
+        }
+
+        const cancellable = new Set(options.cancellable ?? object.constructor?.rpcCancellableMethods ?? []);
+
+        const removers = methods.map(({ path, method, owner }) =>
+            scope.onRequest(`${RPC_REQUEST_PREFIX}${namespace}.${path}`, (payload, message, { signal }) => {
+                if (!Array.isArray(payload?.args)) {
+                    throw new TypeError(`RPC call to '${namespace}.${path}' must carry an args array.`);
+                }
+                const args = cancellable.has(path) ? withSignal(payload.args, method, signal) : payload.args;
+                const result = method.apply(owner, args);
+                if (typeof result?.[Symbol.asyncIterator] === 'function') {
+                    return result;
+                }
+                return Promise.resolve(result).then(AsyncChannel._rpcResult);
+            })
+        );
+        return () => removers.forEach(remove => remove());
+    }
+
+    /**
+     * Returns a proxy for the methods another agent exposed under a namespace. Calling a
+     * (nested) method sends a request and returns a promise of its result:
+     * `await channel.proxy('opfs').read('/a.txt')` requests 'rpc:opfs.read' with ['/a.txt'].
+     * The proxy is not thenable, so it can itself be returned from async functions.
+     * @param {string} namespace - The namespace the methods were exposed under.
+     * @param {ProxyOptions} [options={}] - Target agent and request options for every call.
+     * @returns {any} The proxy.
+     */
+    proxy(namespace, options = {}) {
+        return this._proxy(this, namespace, options);
+    }
+
+    /**
+     * Returns a proxy calling the methods exposed within a scope (see proxy()).
+     * @protected
+     * @param {RequestScope} scope - The channel or the namespace to send the calls in.
+     * @param {string} namespace - The RPC namespace the methods were exposed under.
+     * @param {ProxyOptions} [options={}] - Target agent and request options for every call.
+     * @returns {any} The proxy.
+     */
+    _proxy(scope, namespace, options = {}) {
+        if (!isValidPath(namespace)) {
+            throw new Error(`Invalid RPC namespace '${namespace}'.`);
+        }
+        // Idempotency keys and transferables belong to a single call, so they are not shared
+        const { toAgent = null, idempotencyKey, transferables, ...requestOptions } = options;
+        return createProxy((path, args) =>
+            scope.request(`${RPC_REQUEST_PREFIX}${namespace}.${path}`, { args }, toAgent, { ...requestOptions })
+        );
+    }
+
+    /**
+     * Converts an exposed method's result for sending, using its toJSON() method when it has one.
+     * @private
+     * @param {any} result - The method result.
+     * @returns {any}
+     */
+    static _rpcResult(result) {
+        return typeof result?.toJSON === 'function' ? result.toJSON() : result;
+    }
+
+
     // =========================================================================
     // Symmetrical Convenience Methods (Responder - for consumers)
     // =========================================================================
 
     /**
      * Registers a listener for a specific RequestMessage type.
+     * The request type is advertised to peers as a capability while at least one handler is registered.
+     * The handler's context carries an AbortSignal that fires when the requester cancels, times out or leaves;
+     * once it fires, the handler's result is discarded.
+     * Handlers stream partial results either by calling `context.progress(data)` or by being async generators:
+     * every yielded value is sent as a progress chunk and the generator's return value becomes the response.
+     * Broadcast requests sent with an exactly-one-responder strategy are bid on first and only run if granted.
+     * Requests repeating a recently seen idempotency key get the earlier result without running the handler again.
      * @param {string} requestType - The specific request type to listen for (e.g., 'get_config').
-     * @param {(payload: object, req: RequestMessage) => Promise<any>} callback - The handler that returns a Promise for the result.
+     * @param {(payload: object, req: RequestMessage, context: RequestContext) => Promise<any>|AsyncGenerator} callback - The handler that returns a Promise for the result.
+     * @returns {() => void} Function that removes the handler.
      */
     onRequest(requestType, callback) {
+        return this._onRequest(this, requestType, callback);
+    }
+
+    /**
+     * Registers a request handler within a scope (see onRequest()). The request types of a
+     * namespace are advertised as 'request:<namespace>/<type>'.
+     * @protected
+     * @param {RequestScope} scope - The channel or the namespace whose requests are handled.
+     * @param {string} requestType - The specific request type to listen for.
+     * @param {(payload: object, req: RequestMessage, context: RequestContext) => Promise<any>|AsyncGenerator} callback - The handler that returns a Promise for the result.
+     * @returns {() => void} Function that removes the handler.
+     */
+    _onRequest(scope, requestType, callback) {
+        const handledType = scopedType(requestType, namespaceOf(scope));
+        const capability = REQUEST_CAPABILITY_PREFIX + handledType;
+        this._requestHandlerCounts.set(handledType, (this._requestHandlerCounts.get(handledType) || 0) + 1);
+        this.addCapability(capability);
+        const cache = new IdempotencyCache(this._idempotencyCacheSize);
+
         // The request type is stored in metadata, so we listen for the generic 'request' type
-        this.on(RequestMessage.msgType, async (message) => {
+        const unsubscribe = scope.on(RequestMessage.msgType, (message) => {
             // Only handle messages matching the specific request type filter
             if (message.metadata?.requestType !== requestType) {
                 return;
             }
 
-            try {
-                // Execute the callback which should return the result payload
-                const resultPayload = await callback(message.payload, message);
-
-                // Send success response (Direct Message)
-                const response = new ResponseMessage(
-                    this.agent,
-                    message.msgID, // original request ID
-                    resultPayload,
-                    message.metadata, // original metadata
-                    message.agentID // sender of the request
-                );
-                this.sendMsg(response);
-
-            } catch (error) {
-                // Send error response (Direct Message)
-                // We use ErrorMessage instead of ResponseMessage(error) to standardize error reporting
-                const errorMsg = new ErrorMessage(
-                    this.agent,
-                    error,
-                    { originalRequestID: message.msgID },
-                    message.agentID // sender of the request
-                );
-                // Ensure the response link is present on the ErrorMessage metadata
-                errorMsg.metadata.requestMsgID = message.msgID;
-                this.sendMsg(errorMsg);
+            // Claimed broadcasts only run once the requester grants them to us
+            if (message.metadata.claim) {
+                this._bidForRequest(message, () => this._serveRequest(callback, message, cache));
+                return;
             }
+
+            return this._serveRequest(callback, message, cache);
         });
+
+        let registered = true;
+        return () => {
+            if (!registered) {
+                return;
+            }
+            registered = false;
+            unsubscribe();
+            const remaining = (this._requestHandlerCounts.get(handledType) || 1) - 1;
+            if (remaining > 0) {
+                this._requestHandlerCounts.set(handledType, remaining);
+            } else {
+                this._requestHandlerCounts.delete(handledType);
+                this.removeCapability(capability);
+            }
+        };
     }
 
     /**
@@ -183,11 +1362,20 @@ export class AsyncChannel extends BaseChannel {
      */
     close() {
         // Reject and clean up all outstanding promises
-        this._pendingRequests.forEach(req => {
-            clearTimeout(req.timeout);
-            req.reject(new Error(`Channel closed. Request aborted.`));
-        });
-        this._pendingRequests.clear();
+        for (const requestMsgID of Array.from(this._pendingRequests.keys())) {
+            this._takePendingRequest(requestMsgID).reject(new Error(`Channel closed. Request aborted.`));
+        }
+
+        // Stop handling requests nobody will receive a response for
+        for (const active of this._activeRequests.values()) {
+            clearTimeout(active.timer);
+            active.controller.abort(new DOMException('Channel closed.', 'AbortError'));
+        }
+        this._activeRequests.clear();
+
+        for (const requestMsgID of Array.from(this._bids.keys())) {
+            this._dropBid(requestMsgID);
+        }
 
         super.close();
     }
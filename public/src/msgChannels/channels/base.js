@@ -1,37 +1,123 @@
 /**
  * @fileoverview Defines the BaseChannel class, an object-oriented abstraction
- * over the native BroadcastChannel API. It enforces a structured, traceable
- * message class hierarchy and provides extensible primitives for subclasses.
+ * over a pluggable message transport (BroadcastChannel by default). It enforces a
+ * structured, traceable message class hierarchy and provides extensible primitives for subclasses.
  */
 
-import { BaseMessage } from '../messages/base.js';
+import { BaseMessage, MessageValidationError } from '../messages/base.js';
+import { fromWire } from '../messages/registry.js';
 import { MessageAgent } from '../messages/messageAgent.js';
 import { LogMessage } from '../messages/log.js';
+import { LogLevelMessage } from '../messages/logLevel.js';
 import { ErrorMessage } from '../messages/error.js';
 import { StatusMessage } from '../messages/status.js';
 import { EventMessage } from '../messages/event.js';
+import { HandshakeMessage } from '../messages/handshake.js';
 import { HelloMessage } from '../messages/hello.js';
 import { GreetingMessage } from '../messages/greetings.js';
 import { GoodbyeMessage } from '../messages/goodbye.js';
+import { HeartbeatMessage } from '../messages/heartbeat.js';
+import { BatchMessage } from '../messages/batch.js';
+import { AckMessage } from '../messages/ack.js';
+import { BroadcastTransport } from '../transports/broadcast.js';
+import { SecureTransport } from '../transports/secure.js';
+import { AgentRoster } from '../lib/roster.js';
+import { MiddlewarePipeline } from '../lib/middleware.js';
+import { Logger } from '../lib/logger.js';
+import { StatusStore } from '../lib/statusStore.js';
+import { ChannelMetrics } from '../lib/metrics.js';
+import { MessageCoalescer } from '../lib/coalescer.js';
+import { LeaderElection } from '../lib/election.js';
+import { HybridLogicalClock } from '../lib/hlc.js';
+import { CausalBuffer } from '../lib/causalBuffer.js';
+import { ListenerRegistry, ChannelTimeoutError } from '../lib/listeners.js';
+import { ChannelNamespace } from './namespace.js';
+import { ReliableDelivery } from '../lib/reliable.js';
 
 /**
  * @typedef {import('../messages/base.js').BaseMessage} BaseMessage
  * @typedef {import('../messages/messageAgent.js').MessageAgent} MessageAgent
+ * @typedef {import('../transports/base.js').BaseTransport} BaseTransport
+ * @typedef {import('../lib/roster.js').AgentRecord} AgentRecord
+ * @typedef {import('../lib/roster.js').AgentJoinedCallback} AgentJoinedCallback
+ * @typedef {import('../lib/roster.js').AgentLeftCallback} AgentLeftCallback
+ * @typedef {import('../lib/middleware.js').Middleware} Middleware
+ * @typedef {import('../messages/log.js').LogLevel} LogLevel
+ * @typedef {import('../lib/metrics.js').MetricsSnapshot} MetricsSnapshot
+ * @typedef {import('../transports/secure.js').SecurityOptions} SecurityOptions
+ * @typedef {import('../lib/coalescer.js').CoalescePolicy} CoalescePolicy
+ * @typedef {import('../lib/coalescer.js').BackpressureCallback} BackpressureCallback
+ * @typedef {import('../lib/election.js').ElectionOptions} ElectionOptions
+ * @typedef {import('../lib/causalBuffer.js').CausalBufferOptions} CausalBufferOptions
+ * @typedef {import('../lib/reliable.js').ReliableOptions} ReliableOptions
+ * @typedef {import('../lib/reliable.js').DeliveryFailure} DeliveryFailure
+ * @typedef {import('../lib/recorder.js').ChannelRecorder} ChannelRecorder
+ *
+ * @typedef {object} ChannelOptions
+ * @property {BaseTransport} [transport] - Transport to communicate over. Defaults to a BroadcastTransport named after the channel.
+ * @property {number} [heartbeatInterval=BaseChannel.DEFAULT_HEARTBEAT_INTERVAL] - Milliseconds between heartbeats. 0 disables heartbeats and liveness expiry.
+ * @property {number} [agentTimeout] - Milliseconds of silence after which an agent is considered gone. Defaults to three heartbeat intervals.
+ * @property {string[]} [capabilities=[]] - Capabilities to advertise in the handshake from the start.
+ * @property {string[]} [roles=[]] - Roles to advertise from the start; messages addressed to 'role:<role>' reach this agent (see addRole()).
+ * @property {string[]} [tags=[]] - Tags to advertise from the start (see addTag()).
+ * @property {number} [minProtocolVersion=HandshakeMessage.MIN_PROTOCOL_VERSION] - Oldest peer protocol version this channel accepts.
+ * @property {Middleware[]} [middleware=[]] - Middleware installed before the initial hello is sent (see use()).
+ * @property {LogLevel} [logLevel='trace'] - Minimum level of log messages this agent sends (see setLogLevel()).
+ * @property {number} [metricsInterval=0] - Milliseconds between metrics() snapshots published as StatusMessages under BaseChannel.METRICS_STATUS_KEY. 0 disables publishing.
+ * @property {Object<string, CoalescePolicy>} [coalesce] - Coalescing policies keyed by message type (see coalesce()).
+ * @property {number} [highWaterMark=MessageCoalescer.DEFAULT_HIGH_WATER_MARK] - Number of held coalesced messages above which backpressure is signalled (see onBackpressure()).
+ * @property {SecurityOptions} [security] - Sign (and optionally encrypt) every envelope with a shared secret, wrapping the transport in a SecureTransport. Every agent on the channel must use the same secret.
+ * @property {boolean} [persistAgentID=false] - Keep the agentID's instance suffix in sessionStorage, so the agentID survives reloads of the tab.
+ * @property {boolean|CausalBufferOptions} [causalDelivery=false] - Hold received messages until the messages they causally depend on were delivered (see CausalBuffer). Only covers peers that enable it too.
+ * @property {boolean|ReliableOptions} [reliable=false] - Retransmit direct messages sent to an agentID until the recipient acknowledges them (see onDeliveryFailed()). Receiving agents always acknowledge and drop duplicates, whether or not they enable it.
+ * @property {(channel: BaseChannel) => ChannelRecorder} [recorder] - Creates a recorder capturing every message the channel posts and receives, from the initial hello on (e.g., `channel => new ChannelRecorder(channel)`).
+ * @property {boolean} [rekeyOnDuplicate=true] - When another agent turns out to use the same agentID, the later of the two switches to a new one (see onDuplicateAgent()).
+ *
+ * @callback IncompatiblePeerCallback
+ * @param {AgentRecord} agent - A snapshot of the peer whose protocol range does not overlap with ours.
+ * @returns {void}
  *
  * @callback MessageCallback
  * @param {BaseMessage} message - The structured message object received.
  * @returns {void}
+ *
+ * @typedef {object} DuplicateAgentEvent
+ * @property {string} agentID - The agentID both agents used.
+ * @property {boolean} yielded - True if this agent is the later of the two and has to give way; the earlier one keeps the agentID.
+ * @property {string|null} newAgentID - The agentID this agent switched to, or null if it kept (or could not change) its agentID.
+ *
+ * @callback DuplicateAgentCallback
+ * @param {DuplicateAgentEvent} event - Describes the clash.
+ * @returns {void}
+ *
+ * @callback DeliveryFailedCallback
+ * @param {DeliveryFailure} failure - The message that was given up, and why.
+ * @returns {void}
+ *
+ * @callback InvalidMessageCallback
+ * @param {MessageValidationError} error - Describes why the envelope was rejected.
+ * @returns {void}
+ *
+ * @typedef {object} AgentQuery
+ * @property {string} [role] - Only agents advertising this role.
+ * @property {string} [tag] - Only agents advertising this tag.
+ * @property {string} [capability] - Only agents advertising this capability (e.g., 'request:opfs_read_file').
+ *
+ * @typedef {object} WaitForOptions
+ * @property {(message: BaseMessage) => boolean} [predicate] - Only resolve for messages matching this predicate.
+ * @property {number} [timeout=BaseChannel.DEFAULT_WAIT_TIMEOUT] - Timeout in milliseconds. Pass Infinity to wait indefinitely.
+ * @property {AbortSignal} [signal] - Aborts the wait, rejecting with the signal's reason.
  */
 
 
 export class BaseChannel {
 
     /**
-     * Internal reference to the native BroadcastChannel instance.
+     * The transport carrying messages between contexts (BroadcastChannel, MessagePort, in-memory, ...).
      * @private
-     * @type {BroadcastChannel}
+     * @type {BaseTransport}
      */
-    _channel;
+    _transport;
 
     /**
      * The unique name used to connect contexts (Main Thread, Worker, etc.).
@@ -47,37 +133,293 @@ export class BaseChannel {
     agent;
 
     /**
-     * Map of message types to their registered callbacks.
+     * The recorder created through `options.recorder`, if any.
+     * @type {ChannelRecorder|null}
+     */
+    recorder = null;
+
+    /**
+     * Callbacks registered per message type (or wildcard pattern such as '*' and 'system_*').
+     * @private
+     * @type {ListenerRegistry}
+     */
+    _listeners = new ListenerRegistry();
+
+    /**
+     * Callbacks notified when a received envelope is rejected as malformed.
+     * @private
+     * @type {Array<InvalidMessageCallback>}
+     */
+    _invalidMessageCallbacks = [];
+
+    /**
+     * Live view of the other agents sharing this channel.
+     * @private
+     * @type {AgentRoster}
+     */
+    _roster = new AgentRoster();
+
+    /**
+     * Interval handle for the periodic heartbeat and liveness sweep.
+     * @private
+     * @type {number|null}
+     */
+    _heartbeatTimer = null;
+
+    /**
+     * Milliseconds between heartbeats (0 when disabled).
+     * @private
+     * @type {number}
+     */
+    _heartbeatInterval;
+
+    /**
+     * Milliseconds of silence after which a known agent is expired.
+     * @private
+     * @type {number}
+     */
+    _agentTimeout;
+
+    /**
+     * Oldest peer protocol version this channel accepts.
+     * @private
+     * @type {number}
+     */
+    _minProtocolVersion;
+
+    /**
+     * Callbacks notified when a peer turns out to speak an incompatible protocol.
      * @private
-     * @type {Map<string, Array<MessageCallback>>}
+     * @type {Array<IncompatiblePeerCallback>}
      */
-    _listeners = new Map();
+    _incompatiblePeerCallbacks = [];
 
+    /**
+     * Callbacks notified when another agent turns out to use this agent's agentID.
+     * @private
+     * @type {Array<DuplicateAgentCallback>}
+     */
+    _duplicateAgentCallbacks = [];
 
     /**
-     * Initializes the BaseChannel, creating the native BroadcastChannel instance.
+     * Whether this agent switches to a new agentID when it clashes with an earlier agent.
+     * @private
+     * @type {boolean}
+     */
+    _rekeyOnDuplicate;
+
+    /**
+     * Nonces of the agents already found to share this agent's agentID, so each clash is handled once.
+     * @private
+     * @type {Set<string>}
+     */
+    _duplicateNonces = new Set();
+
+    /**
+     * True once the initial hello has been sent; capability changes after that are re-advertised.
+     * @private
+     * @type {boolean}
+     */
+    _announced = false;
+
+    /**
+     * True while a capability re-advertisement is queued.
+     * @private
+     * @type {boolean}
+     */
+    _advertiseScheduled = false;
+
+    /**
+     * Inbound and outbound middleware registered with use().
+     * @private
+     * @type {MiddlewarePipeline}
+     */
+    _middleware = new MiddlewarePipeline();
+
+    /**
+     * Minimum log levels keyed by logger namespace; the '' key holds the agent-wide default.
+     * @private
+     * @type {Map<string, LogLevel>}
+     */
+    _logLevels = new Map();
+
+    /**
+     * The replicated status store, created on first use by statusStore().
+     * @private
+     * @type {StatusStore|null}
+     */
+    _statusStore = null;
+
+    /**
+     * Message and request counters reported by metrics().
+     * @private
+     * @type {ChannelMetrics}
+     */
+    _metrics = new ChannelMetrics();
+
+    /**
+     * Milliseconds between published metrics snapshots (0 when disabled).
+     * @private
+     * @type {number}
+     */
+    _metricsInterval;
+
+    /**
+     * Timer publishing metrics snapshots.
+     * @private
+     * @type {number|null}
+     */
+    _metricsTimer = null;
+
+    /**
+     * Holds back and batches outgoing messages of coalesced types.
+     * @private
+     * @type {MessageCoalescer}
+     */
+    _coalescer;
+
+    /**
+     * Hybrid logical clock stamped on every posted message and advanced by every received one.
+     * @private
+     * @type {HybridLogicalClock}
+     */
+    _clock = new HybridLogicalClock();
+
+    /**
+     * Orders received messages causally, when causal delivery is enabled.
+     * @private
+     * @type {CausalBuffer|null}
+     */
+    _causal = null;
+
+    /**
+     * Acknowledges and deduplicates received reliable messages and, when enabled, retransmits sent ones.
+     * @private
+     * @type {ReliableDelivery}
+     */
+    _reliable;
+
+    /**
+     * Whether this agent's own direct messages are sent reliably.
+     * @private
+     * @type {boolean}
+     */
+    _reliableSend;
+
+    /**
+     * Callbacks notified when a reliable direct message is given up.
+     * @private
+     * @type {Array<DeliveryFailedCallback>}
+     */
+    _deliveryFailedCallbacks = [];
+
+    /**
+     * Leader elections this agent takes part in, keyed by name.
+     * @private
+     * @type {Map<string, LeaderElection>}
+     */
+    _elections = new Map();
+
+    /**
+     * Top-level namespace views created by namespace(), keyed by name.
+     * @private
+     * @type {Map<string, ChannelNamespace>}
+     */
+    _namespaces = new Map();
+
+    /**
+     * Default interval between heartbeats in milliseconds.
+     * @type {number}
+     */
+    static DEFAULT_HEARTBEAT_INTERVAL = 5000; // 5 seconds
+
+    /**
+     * Default timeout for waitForAgent() in milliseconds.
+     * @type {number}
+     */
+    static DEFAULT_WAIT_TIMEOUT = ListenerRegistry.DEFAULT_WAIT_TIMEOUT;
+
+    /**
+     * Status key under which metrics snapshots are published.
+     * @type {string}
+     */
+    static METRICS_STATUS_KEY = 'channel_metrics';
+
+    /**
+     * Prefix of the toAgent addresses that target every agent holding a role (e.g., 'role:io').
+     * @type {string}
+     */
+    static ROLE_ADDRESS_PREFIX = 'role:';
+
+
+    /**
+     * Initializes the BaseChannel, attaching to the given transport or creating a BroadcastChannel one.
      * Registers the private handshake handler and error handler.
      * @param {string} channelName - The unique name for this communication channel.
      * @param {string|null} [agentName=null] - Optional name for this context (e.g., 'UI').
+     * @param {ChannelOptions} [options={}] - Optional channel configuration.
      */
-    constructor(channelName, agentName = null) {
+    constructor(channelName, agentName = null, options = {}) {
         if (typeof channelName !== 'string' || channelName.length === 0) {
             throw new Error('BaseChannel requires a non-empty channel name.');
         }
+        BaseChannel._checkDeliveryWindow(options);
 
         this.channelName = channelName;
 
-        this.agent = new MessageAgent(agentName);
-        this._channel = new BroadcastChannel(channelName);
+        this.agent = new MessageAgent(agentName, { persist: options.persistAgentID === true });
+        this._transport = options.transport || new BroadcastTransport(channelName);
+        if (options.security) {
+            this._transport = new SecureTransport(this._transport, options.security);
+        }
+        this._heartbeatInterval = options.heartbeatInterval ?? BaseChannel.DEFAULT_HEARTBEAT_INTERVAL;
+        this._agentTimeout = options.agentTimeout ?? this._heartbeatInterval * 3;
+        this._minProtocolVersion = options.minProtocolVersion ?? HandshakeMessage.MIN_PROTOCOL_VERSION;
+        this._rekeyOnDuplicate = options.rekeyOnDuplicate ?? true;
+        this._metricsInterval = options.metricsInterval ?? 0;
+        if (options.causalDelivery) {
+            const causalOptions = typeof options.causalDelivery === 'object' ? options.causalDelivery : {};
+            this._causal = new CausalBuffer(this, this._dispatchInbound.bind(this), causalOptions);
+            this._roster.onLeft(agent => this._causal?.forget(agent.agentID));
+        }
+        this._reliableSend = Boolean(options.reliable);
+        this._reliable = new ReliableDelivery(this.agent.nonce, {
+            post: message => this._postMessages([message], []),
+            sendAck: (toAgent, msgIDs) => this.sendMsg(new AckMessage(this.agent, msgIDs, toAgent)),
+            onFailed: failure => this._notifyDeliveryFailed(failure)
+        }, typeof options.reliable === 'object' ? options.reliable : {});
+        this._roster.onLeft(agent => this._reliable.dropPeer(agent.agentID));
+        this._coalescer = new MessageCoalescer(this._postMessages.bind(this), { highWaterMark: options.highWaterMark });
+        Object.entries(options.coalesce || {}).forEach(([type, policy]) => this.coalesce(type, policy));
+        (options.capabilities || []).forEach(capability => this.agent.capabilities.add(capability));
+        (options.roles || []).forEach(role => this.addRole(role));
+        (options.tags || []).forEach(tag => this.addTag(tag));
+        (options.middleware || []).forEach(middleware => this._middleware.add(middleware));
+        this.setLogLevel(options.logLevel ?? 'trace');
+        this.recorder = options.recorder ? options.recorder(this) : null;
 
-        // Register native event handlers
-        this._channel.onmessage = this._messageRouter.bind(this);
-        this._channel.onmessageerror = this._messageErrorHandler.bind(this);
+        // Register transport event handlers
+        this._transport.onmessage = this._messageRouter.bind(this);
+        this._transport.onmessageerror = this._messageErrorHandler.bind(this);
+        if (this._transport instanceof SecureTransport) {
+            this._transport.onreject = this._securityRejectHandler.bind(this);
+            this._transport.onsenderror = this._sendErrorHandler.bind(this);
+        }
 
         // Register the internal handshake handler for extensibility
-        this.on(HelloMessage.msgType, this._handleHandshake.bind(this));
+        const handshakeHandler = this._handleHandshake.bind(this);
+        this.on(HelloMessage.msgType, handshakeHandler);
+        this.on(GreetingMessage.msgType, handshakeHandler);
+        this.on(HeartbeatMessage.msgType, handshakeHandler);
+        this.on(GoodbyeMessage.msgType, handshakeHandler);
+
+        // Let other agents adjust our log verbosity at runtime
+        this.on(LogLevelMessage.msgType, this._handleLogLevel.bind(this));
 
         this.hello();
+        this._announced = true;
+        this._startHeartbeat();
+        this._startMetricsPublishing();
     }
 
     /**
@@ -88,145 +430,718 @@ export class BaseChannel {
         return this.agent.agentID;
     }
 
+    /**
+     * The transport this channel communicates over.
+     * @returns {BaseTransport}
+     */
+    get transport() {
+        return this._transport;
+    }
+
+    /**
+     * The capabilities this agent currently advertises.
+     * @returns {string[]}
+     */
+    get capabilities() {
+        return Array.from(this.agent.capabilities);
+    }
+
+    /**
+     * The roles this agent currently advertises.
+     * @returns {string[]}
+     */
+    get roles() {
+        return Array.from(this.agent.roles);
+    }
+
+    /**
+     * The tags this agent currently advertises.
+     * @returns {string[]}
+     */
+    get tags() {
+        return Array.from(this.agent.tags);
+    }
+
+    /**
+     * The hybrid logical clock stamped on this agent's messages (`metadata.hlc`). Its readings
+     * order events across agents consistently with causality (see HybridLogicalClock.compareMessages()).
+     * @returns {HybridLogicalClock}
+     */
+    get clock() {
+        return this._clock;
+    }
+
+    /**
+     * The number of reliable direct messages sent and not acknowledged yet.
+     * @returns {number}
+     */
+    get unacknowledged() {
+        return this._reliable.pending;
+    }
+
+    /**
+     * Snapshots of the other agents currently known to be on the channel.
+     * @returns {AgentRecord[]}
+     */
+    get agents() {
+        return this._roster.list();
+    }
+
+    /**
+     * Checks that reliable delivery gives up before a SecureTransport refuses its
+     * retransmissions: they resend the original envelope, whose timestamp must stay within
+     * the transport's maxClockSkew.
+     * @private
+     * @param {ChannelOptions} options - The channel options.
+     * @throws {Error} If messages would still be retransmitted once too old to be accepted.
+     */
+    static _checkDeliveryWindow(options) {
+        if (!options.reliable) {
+            return;
+        }
+        let maxClockSkew = null;
+        if (options.security) {
+            maxClockSkew = options.security.maxClockSkew ?? SecureTransport.DEFAULT_MAX_CLOCK_SKEW;
+        } else if (options.transport instanceof SecureTransport) {
+            maxClockSkew = options.transport.maxClockSkew;
+        }
+        const deliveryWindow = ReliableDelivery.deliveryWindow(typeof options.reliable === 'object' ? options.reliable : {});
+        if (maxClockSkew !== null && deliveryWindow > maxClockSkew) {
+            throw new Error(`Reliable delivery retransmits for up to ${deliveryWindow}ms, but the SecureTransport refuses envelopes older than ${maxClockSkew}ms: lower retransmitTimeout or maxRetransmits, or raise maxClockSkew.`);
+        }
+    }
+
     // =========================================================================
     // Core Messaging and Extensibility Primitives
     // =========================================================================
 
     /**
-     * Extracts the message type string safely from a string or a message class/object.
+     * The single router for all incoming messages from the transport.
+     * NOTE: This method is a pure dispatcher/filter. Logic for handshake replies is externalized.
      * @private
-     * @param {string|{msgType: string}} type - The input type definition (string or class with static msgType).
-     * @returns {string} The resolved message type string.
+     * @param {MessageEvent} event - The native message event.
      */
-    _getTypeString(type) {
-        if (typeof type === 'string' && type.length > 0) {
-            return type;
+    _messageRouter(event) {
+        // Batches are unpacked first, so everything below sees the messages they carry
+        if (event.data?.type === BatchMessage.msgType) {
+            this._unpackBatch(event.data);
+            return;
         }
-        // Handle class objects with a static msgType property
-        if (typeof type === 'function' && 'msgType' in type && typeof type.msgType === 'string' && type.msgType.length > 0) {
-            return type.msgType;
+        this._receiveEnvelope(event.data);
+    }
+
+    /**
+     * Rehydrates a received envelope, acknowledges it if asked to (dropping copies already
+     * received), records it, advances the clock past it and passes it on, through the causal
+     * delivery buffer when enabled.
+     * @private
+     * @param {any} data - The raw envelope.
+     */
+    _receiveEnvelope(data) {
+        // 1. Rehydration & Validation (rebuilds the registered subclass, rejects malformed data)
+        let message;
+        try {
+            message = fromWire(data);
+        } catch (e) {
+            if (!(e instanceof MessageValidationError)) {
+                throw e;
+            }
+            this._rejectMessage(e);
+            return;
+        }
+
+        // 2. Reliable Delivery (acknowledgements are consumed here; duplicates are dropped)
+        if (message instanceof AckMessage) {
+            if (message.toAgent === this.agentID) {
+                this._reliable.acknowledge(message.payload.msgIDs);
+            }
+            return;
         }
-        // Handle object instances with a msgType property
-        if (typeof type === 'object' && type !== null && 'msgType' in type && typeof type.msgType === 'string' && type.msgType.length > 0) {
-            return type.msgType;
+        if (message.metadata.reliable !== undefined && message.toAgent === this.agentID && !this._reliable.accept(message)) {
+            return;
+        }
+        this.recorder?.capture('inbound', message);
+
+        // 3. Clock & Causal Order (messages may wait for the messages they depend on)
+        if (message.metadata.hlc !== undefined) {
+            this._clock.receive(message.metadata.hlc);
+        }
+        if (this._causal) {
+            this._causal.receive(message);
+        } else {
+            this._dispatchInbound(message);
+        }
+    }
+
+    /**
+     * Passes a received message through the inbound middleware to the router.
+     * @private
+     * @param {BaseMessage} message - The received message.
+     */
+    _dispatchInbound(message) {
+        // 4. Inbound Middleware (may transform, delay or drop the message)
+        try {
+            this._middleware.dispatch(
+                'inbound',
+                message,
+                { channel: this, direction: 'inbound', transferables: [] },
+                this._routeMessage.bind(this),
+                (e) => console.error(`BaseChannel inbound middleware failed in context '${this.agentID}':`, e)
+            );
+        } catch (e) {
+            console.error(`BaseChannel inbound middleware failed in context '${this.agentID}':`, e);
+        }
+    }
+
+    /**
+     * Receives the messages carried by a BatchMessage, in order. Each is validated on its own;
+     * nested batches and messages claiming another sender are rejected.
+     * @private
+     * @param {object} data - The raw batch envelope.
+     */
+    _unpackBatch(data) {
+        let batch;
+        try {
+            batch = BatchMessage.fromWire(data);
+        } catch (e) {
+            if (!(e instanceof MessageValidationError)) {
+                throw e;
+            }
+            this._rejectMessage(e);
+            return;
+        }
+
+        for (const envelope of batch.payload.messages) {
+            if (envelope?.type === BatchMessage.msgType || envelope?.agentID !== batch.agentID) {
+                this._rejectMessage(new MessageValidationError(
+                    envelope?.type ?? 'unknown',
+                    ['batched messages must be sent by the batch sender and cannot be batches'],
+                    { ...envelope, agentID: batch.agentID }
+                ));
+                continue;
+            }
+            this._receiveEnvelope(envelope);
+        }
+    }
+
+    /**
+     * Delivers a received message that made it through the inbound middleware.
+     * @private
+     * @param {BaseMessage} message - The received message.
+     */
+    _routeMessage(message) {
+        const type = message.type;
+
+        // Any traffic proves the sender is still alive
+        if (message.agentID !== this.agentID) {
+            this._roster.touch(message.agentID);
+        }
+
+        // 5. Direct Message Filtering
+        if (message.toAgent && !this._isAddressedTo(message.toAgent)) {
+            return;
+        }
+        this._metrics.recordMessage('received', message);
+
+        // 6. Namespaced messages only reach the listeners of their namespace
+        const namespace = message.metadata.namespace;
+        if (namespace !== undefined) {
+            this._namespaces.get(namespace.split('.')[0])?.receive(message);
+            return;
+        }
+
+        // 7. Handle Standard Dispatch (General and Wildcard Listeners)
+        const listeners = this._listeners.match(type);
+        if (listeners.length > 0) {
+            for (const callback of listeners) {
+                try {
+                    callback(message);
+                } catch (e) {
+                    console.error(`BaseChannel listener failed for type '${type}' in context '${this.agentID}':`, e);
+                }
+            }
+        }
+    }
+
+
+    /**
+     * Checks whether a toAgent address designates this agent: its agentID, or 'role:<role>' for a role it holds.
+     * @private
+     * @param {string} toAgent - The address of a direct message.
+     * @returns {boolean}
+     */
+    _isAddressedTo(toAgent) {
+        if (toAgent === this.agentID) {
+            return true;
+        }
+        return toAgent.startsWith(BaseChannel.ROLE_ADDRESS_PREFIX) &&
+            this.agent.roles.has(toAgent.slice(BaseChannel.ROLE_ADDRESS_PREFIX.length));
+    }
+
+    /**
+     * Reports a malformed envelope to local invalid-message listeners and, when the sender is
+     * identifiable, back to the sender as a direct ErrorMessage linked to the offending msgID
+     * (so a malformed request fails fast instead of timing out).
+     * @private
+     * @param {MessageValidationError} error - The validation failure.
+     */
+    _rejectMessage(error) {
+        this._notifyInvalidMessage(error);
+
+        // Never answer an error with an error: two mismatched peers would ping-pong forever
+        if (!error.agentID || error.agentID === this.agentID || error.msgType === ErrorMessage.msgType) {
+            return;
+        }
+
+        const errorMsg = new ErrorMessage(
+            this.agent,
+            error,
+            { msgType: error.msgType, problems: error.problems },
+            error.agentID
+        );
+        if (error.msgID) {
+            errorMsg.metadata.requestMsgID = error.msgID;
+        }
+        this.sendMsg(errorMsg);
+    }
+
+    /**
+     * Reports an envelope refused by a SecureTransport (unsigned, tampered, stale or replayed)
+     * to local invalid-message listeners. Unlike malformed envelopes, the claimed sender is
+     * untrusted, so nothing is sent back; the exception is a replayed reliable message for
+     * this agent, whose signature was verified: it is a retransmission whose acknowledgement
+     * got lost, so it is acknowledged again.
+     * @private
+     * @param {{data: any, reason: string}} event - The refused envelope and the reason.
+     */
+    _securityRejectHandler(event) {
+        if (event.reason === SecureTransport.REPLAY_REASON && event.data?.metadata?.reliable !== undefined &&
+            event.data.toAgent === this.agentID && typeof event.data.agentID === 'string') {
+            this._reliable.accept(event.data);
+            return;
+        }
+        const msgType = typeof event.data?.type === 'string' ? event.data.type : 'unknown';
+        this._notifyInvalidMessage(new MessageValidationError(msgType, [event.reason], event.data));
+    }
+
+    /**
+     * Reports the messages of an envelope a SecureTransport failed to seal or send as
+     * delivery failures, so they are not silently lost. Nothing is sent from here: when the
+     * keys are unusable, every send fails.
+     * @private
+     * @param {{data: any, error: any}} event - The envelope and the transport's error.
+     */
+    _sendErrorHandler(event) {
+        const messages = event.data?.type === BatchMessage.msgType ? event.data.payload.messages : [event.data];
+        for (const message of messages) {
+            // Acknowledgements are bookkeeping: a reliable sender retransmits, and the retransmission is acknowledged again
+            if (message instanceof AckMessage) {
+                continue;
+            }
+            const attempts = this._reliable.release(message.msgID) || 1;
+            this._notifyDeliveryFailed({ message, toAgent: message.toAgent ?? null, attempts, reason: 'send-failed', error: event.error });
+        }
+    }
+
+    /**
+     * Invokes the invalid-message listeners.
+     * @private
+     * @param {MessageValidationError} error - Describes why the envelope was rejected.
+     */
+    _notifyInvalidMessage(error) {
+        for (const callback of this._invalidMessageCallbacks) {
+            try {
+                callback(error);
+            } catch (e) {
+                console.error(`BaseChannel invalid-message listener failed in context '${this.agentID}':`, e);
+            }
+        }
+    }
+
+    /**
+     * Handles transport messageerror events (serialization failure).
+     * Reports the failure using the system's ErrorMessage primitive.
+     * @private
+     * @param {MessageEvent} event - The native messageerror event.
+     */
+    _messageErrorHandler(event) {
+        // Use our structured ErrorMessage to report the native error, ensuring traceability
+        this.error(
+            `Channel message deserialization failed. Could not receive data.`,
+            { nativeError: event.error, failedData: event.data },
+            null // Broadcast the error
+        );
+    }
+
+    /**
+     * @private
+     * Handles incoming handshake messages, keeps the agent roster current and automatically replies to 'hello'.
+     * This decouples the handshake side effect from the core router.
+     * @param {BaseMessage} message - The incoming handshake message.
+     */
+    _handleHandshake(message) {
+        if (message.agentID === this.agentID) {
+            this._handleDuplicateAgent(message);
+            return;
+        }
+
+        if (message.type === GoodbyeMessage.msgType) {
+            this._roster.remove(message.agentID, 'goodbye');
+            return;
+        }
+
+        const { protocolVersion, compatible } = this._negotiateProtocol(message.payload.protocol);
+        const capabilities = Array.isArray(message.payload.capabilities) ? message.payload.capabilities : null;
+        // A hello is posted from the constructor, before the agent registered its request handlers
+        const capabilitiesSettled = message.type !== HelloMessage.msgType || this._roster.get(message.agentID)?.capabilitiesSettled === true;
+        const previous = this._roster.announce(message.agentID, {
+            scope: message.payload.scope,
+            protocolVersion,
+            capabilities,
+            capabilitiesSettled,
+            roles: Array.isArray(message.payload.roles) ? message.payload.roles : [],
+            tags: Array.isArray(message.payload.tags) ? message.payload.tags : [],
+            compatible
+        });
+
+        // Notify once per transition into incompatibility (not on every heartbeat)
+        if (!compatible && (!previous || previous.compatible)) {
+            this._notifyIncompatiblePeer(this._roster.get(message.agentID));
+        }
+
+        if (message.type === HelloMessage.msgType) {
+            // Auto-reply to a Hello message with a Greeting (Direct Message)
+            this.greeting(message.agentID);
+            return;
+        }
+    }
+
+    /**
+     * Handles a handshake carrying this agent's own agentID. Transports do not echo our own
+     * messages, so a different nonce means another agent uses the same agentID (typically a
+     * duplicated tab that copied a persisted agentID). The agent created later gives way and,
+     * unless disabled, re-keys; the earlier one answers with a greeting so a newcomer that
+     * has only sent its hello learns about the clash.
+     * @private
+     * @param {BaseMessage} message - The handshake message.
+     */
+    _handleDuplicateAgent(message) {
+        const remote = message.payload.instance;
+        // Peers predating duplicate detection send no instance data; equal nonces are our own messages
+        if (typeof remote?.nonce !== 'string' || remote.nonce === this.agent.nonce || message.type === GoodbyeMessage.msgType) {
+            return;
+        }
+        if (this._duplicateNonces.has(remote.nonce)) {
+            return;
+        }
+        this._duplicateNonces.add(remote.nonce);
+
+        const agentID = this.agentID;
+        const yielded = remote.since < this.agent.since ||
+            (remote.since === this.agent.since && remote.nonce < this.agent.nonce);
+
+        let newAgentID = null;
+        if (!yielded) {
+            // A greeting from the clashing agent is its answer to ours: do not answer it again
+            if (message.type !== GreetingMessage.msgType) {
+                this.greeting(agentID);
+            }
+        } else if (this._rekeyOnDuplicate) {
+            newAgentID = this.rekey();
+        }
+
+        for (const callback of this._duplicateAgentCallbacks) {
+            try {
+                callback({ agentID, yielded, newAgentID });
+            } catch (e) {
+                console.error(`BaseChannel duplicate-agent listener failed in context '${this.agentID}':`, e);
+            }
+        }
+    }
+
+    /**
+     * Negotiates the protocol version with a peer from its handshake protocol descriptor.
+     * The agreed version is the highest both sides speak; the peer is incompatible when
+     * that version falls below either side's minimum. Peers without a descriptor speak version 1.
+     * @private
+     * @param {{version: number, minVersion: number}|undefined} protocol - The peer's advertised protocol range.
+     * @returns {{protocolVersion: number, compatible: boolean}}
+     */
+    _negotiateProtocol(protocol) {
+        const remoteVersion = Number.isInteger(protocol?.version) ? protocol.version : 1;
+        const remoteMinVersion = Number.isInteger(protocol?.minVersion) ? protocol.minVersion : remoteVersion;
+
+        const protocolVersion = Math.min(HandshakeMessage.PROTOCOL_VERSION, remoteVersion);
+        const compatible = protocolVersion >= Math.max(this._minProtocolVersion, remoteMinVersion);
+
+        return { protocolVersion, compatible };
+    }
+
+    /**
+     * Invokes the incompatible-peer callbacks.
+     * @private
+     * @param {AgentRecord} agent - The incompatible peer.
+     */
+    _notifyIncompatiblePeer(agent) {
+        for (const callback of this._incompatiblePeerCallbacks) {
+            try {
+                callback(agent);
+            } catch (e) {
+                console.error(`BaseChannel incompatible-peer listener failed in context '${this.agentID}':`, e);
+            }
+        }
+    }
+
+    /**
+     * Queues a single heartbeat carrying the updated capability list, so peers learn about
+     * capabilities added after the initial hello without waiting for the next interval.
+     * @private
+     */
+    _scheduleAdvertise() {
+        if (!this._announced || this._advertiseScheduled) {
+            return;
+        }
+        this._advertiseScheduled = true;
+        queueMicrotask(() => {
+            this._advertiseScheduled = false;
+            if (this._announced) {
+                this.heartbeat();
+            }
+        });
+    }
+
+    /**
+     * Applies a minimum log level requested by another agent.
+     * @private
+     * @param {LogLevelMessage} message - The received log level message.
+     */
+    _handleLogLevel(message) {
+        const { level, namespace } = message.payload;
+        this.setLogLevel(level, namespace ?? null);
+    }
+
+    /**
+     * Starts the periodic heartbeat, which also expires agents that have gone silent.
+     * @private
+     */
+    _startHeartbeat() {
+        if (this._heartbeatInterval <= 0) {
+            return;
+        }
+        this._heartbeatTimer = setInterval(() => {
+            this.heartbeat();
+            this._roster.expire(this._agentTimeout);
+        }, this._heartbeatInterval);
+    }
+
+    /**
+     * Stops the periodic heartbeat.
+     * @private
+     */
+    _stopHeartbeat() {
+        if (this._heartbeatTimer !== null) {
+            clearInterval(this._heartbeatTimer);
+            this._heartbeatTimer = null;
+        }
+    }
+
+    /**
+     * Starts publishing metrics snapshots, if an interval was configured.
+     * @private
+     */
+    _startMetricsPublishing() {
+        if (this._metricsInterval <= 0) {
+            return;
+        }
+        this._metricsTimer = setInterval(() => this.publishMetrics(), this._metricsInterval);
+    }
+
+    /**
+     * Stops publishing metrics snapshots.
+     * @private
+     */
+    _stopMetricsPublishing() {
+        if (this._metricsTimer !== null) {
+            clearInterval(this._metricsTimer);
+            this._metricsTimer = null;
         }
-        throw new Error('Invalid type specified. Must be a non-empty string or an object/class with a valid static msgType property.');
     }
 
     /**
-     * The single router for all incoming messages from the native BroadcastChannel.
-     * NOTE: This method is a pure dispatcher/filter. Logic for handshake replies is externalized.
-     * @private
-     * @param {MessageEvent} event - The native message event.
+     * Sends a structured message across the channel. This is the foundational send utility.
+     * The message passes through the outbound middleware first; errors thrown by synchronous
+     * middleware propagate to the caller, failures of asynchronous ones are logged.
+     * @param {BaseMessage} message - The message object to post. Must be an instance of a specialized class.
+     * @param {Transferable[]} [transferables=[]] - Array of objects to transfer ownership of (cloned when the transport cannot transfer).
      */
-    _messageRouter(event) {
-        const message = event.data;
-
-        // 1. Robust Validation (prevents crashes from malformed data)
-        if (typeof message !== 'object' || message === null || typeof message.type !== 'string' || !message.agentID) {
-            console.warn(`BaseChannel received malformed or non-protocol data, ignoring:`, message);
-            return;
+    sendMsg(message, transferables = []) {
+        // CRITICAL FIX: Enforce message structure at runtime
+        if (!(message instanceof BaseMessage)) {
+            throw new TypeError('Message sent to channel must be an instance of BaseMessage or one of its specialized subclasses.');
         }
 
-        const type = message.type;
-
-        // 2. Direct Message Filtering
-        if (message.toAgent && message.toAgent !== this.agentID) {
-            return;
-        }
+        this._middleware.dispatch(
+            'outbound',
+            message,
+            { channel: this, direction: 'outbound', transferables },
+            (outgoing) => {
+                if (!this._coalescer.offer(outgoing, transferables)) {
+                    this._postMessages([outgoing], transferables);
+                }
+            },
+            (e) => console.error(`BaseChannel outbound middleware failed in context '${this.agentID}':`, e)
+        );
+    }
 
-        // 3. Handle Standard Dispatch (General Listeners)
-        const listeners = this._listeners.get(type) || [];
-        if (listeners.length > 0) {
-            for (const callback of listeners) {
-                try {
-                    callback(message);
-                } catch (e) {
-                    console.error(`BaseChannel listener failed for type '${type}' in context '${this.agentID}':`, e);
+    /**
+     * Posts messages that made it through the outbound middleware, several at once as a BatchMessage.
+     * @private
+     * @param {BaseMessage[]} messages - The messages, in order.
+     * @param {Transferable[]} transferables - Objects they transfer.
+     */
+    _postMessages(messages, transferables) {
+        // Stamped when actually posted, so messages dropped by middleware or coalescing leave no sequence gaps
+        let retained = false;
+        const retransmissions = new Set();
+        for (const message of messages) {
+            message.metadata.hlc = this._clock.tick();
+            // Stamps copied from another message (e.g., a forwarded one) must not go out as this agent's own
+            if (this._causal) {
+                message.metadata.causal = this._causal.stamp(message);
+            } else {
+                delete message.metadata.causal;
+            }
+            let retransmission = false;
+            if (this._isReliable(message)) {
+                retransmission = this._reliable.isTracked(message);
+                if (retransmission) {
+                    retransmissions.add(message);
+                } else {
+                    this._reliable.track(message);
                 }
+                retained = true;
+            } else {
+                delete message.metadata.reliable;
+            }
+            if (!retransmission && !(message instanceof AckMessage)) {
+                this.recorder?.capture('outbound', message);
             }
         }
+        const envelope = messages.length === 1 ? messages[0] : new BatchMessage(this.agent, messages);
+        // Reliable messages may be retransmitted, so their buffers are copied rather than transferred
+        this._transport.post(envelope, retained ? [] : transferables);
+        // A message is counted as sent once; its retransmissions are counted apart
+        messages.forEach(message => this._metrics.recordMessage(retransmissions.has(message) ? 'retransmitted' : 'sent', message));
     }
 
-
     /**
-     * Handles native BroadcastChannel messageerror events (serialization failure).
-     * Reports the failure using the system's ErrorMessage primitive.
+     * Checks whether an outgoing message is sent reliably: a direct message to an agentID
+     * (not a role address) from an agent that enabled reliable delivery.
      * @private
-     * @param {MessageEvent} event - The native messageerror event.
+     * @param {BaseMessage} message - The outgoing message.
+     * @returns {boolean}
      */
-    _messageErrorHandler(event) {
-        // Use our structured ErrorMessage to report the native error, ensuring traceability
-        this.error(
-            `BroadcastChannel message serialization failed. Could not receive data.`,
-            { nativeError: event.error, failedData: event.data },
-            null // Broadcast the error
-        );
+    _isReliable(message) {
+        return this._reliableSend && typeof message.toAgent === 'string' && !(message instanceof AckMessage) &&
+            !message.toAgent.startsWith(BaseChannel.ROLE_ADDRESS_PREFIX) && message.toAgent !== this.agentID;
     }
 
     /**
+     * Invokes the delivery-failed listeners.
      * @private
-     * Handles incoming handshake messages and automatically replies to 'hello'.
-     * This decouples the handshake side effect from the core router.
-     * @param {BaseMessage} message - The incoming handshake message.
+     * @param {DeliveryFailure} failure - The message given up, and why.
      */
-    _handleHandshake(message) {
-        if (message.type === HelloMessage.msgType) {
-            // Auto-reply to a Hello message with a Greeting (Direct Message)
-            this.greeting(message.agentID);
-            return;
+    _notifyDeliveryFailed(failure) {
+        for (const callback of this._deliveryFailedCallbacks) {
+            try {
+                callback(failure);
+            } catch (e) {
+                console.error(`BaseChannel delivery-failed listener failed in context '${this.agentID}':`, e);
+            }
         }
     }
 
     /**
-     * Sends a structured message across the channel. This is the foundational send utility.
-     * @param {BaseMessage} message - The message object to post. Must be an instance of a specialized class.
-     * @param {Transferable[]} [transferables=[]] - Array of objects to transfer ownership of.
+     * Adds middleware that sees every message this channel sends (outbound) and receives
+     * (inbound, after rehydration and before any listener), including handshake and
+     * request/response traffic. Middleware run in registration order in both directions.
+     * Each handler returns the message to pass on (possibly a replacement), undefined to
+     * pass it on unchanged, null to drop it, or a promise of any of these to delay it.
+     * Pass middleware in `options.middleware` to also cover the initial hello.
+     * @param {Middleware} middleware - An object with `inbound` and/or `outbound` handlers.
+     * @returns {() => void} Function that removes the middleware.
      */
-    sendMsg(message, transferables = []) {
-        // CRITICAL FIX: Enforce message structure at runtime
-        if (!(message instanceof BaseMessage)) {
-            throw new TypeError('Message sent to channel must be an instance of BaseMessage or one of its specialized subclasses.');
-        }
-
-        this._channel.postMessage(message, transferables);
+    use(middleware) {
+        return this._middleware.add(middleware);
     }
 
     /**
      * Registers a listener for a specific message type.
      * Accepts type as a string or a Message class/object (e.g., LogMessage).
-     * @param {string|{msgType: string}} type - The message type or message class/object to listen for.
+     * Strings may also be wildcard patterns: '*' for every message, or a prefix such as 'system_*'.
+     * @param {string|{msgType: string}} type - The message type, wildcard pattern or message class/object to listen for.
      * @param {MessageCallback} callback - The function to execute when the message is received.
+     * @returns {() => void} Function that removes this registration of the listener.
      */
     on(type, callback) {
-        const typeString = this._getTypeString(type);
-        const listeners = this._listeners.get(typeString) || [];
-        listeners.push(callback);
-        this._listeners.set(typeString, listeners);
+        return this._listeners.on(type, callback);
+    }
+
+    /**
+     * Registers a listener that is removed after its first invocation.
+     * @param {string|{msgType: string}} type - The message type, wildcard pattern or message class/object to listen for.
+     * @param {MessageCallback} callback - The function to execute when the message is received.
+     * @returns {() => void} Function that removes this registration before it fires.
+     */
+    once(type, callback) {
+        return this._listeners.once(type, callback);
+    }
+
+    /**
+     * Waits for the next message of a type, optionally matching a predicate.
+     * @param {string|{msgType: string}} type - The message type, wildcard pattern or message class/object to wait for.
+     * @param {WaitForOptions} [options={}] - Predicate, timeout and abort signal.
+     * @returns {Promise<BaseMessage>} Resolves with the first matching message.
+     */
+    waitFor(type, { predicate = null, timeout = BaseChannel.DEFAULT_WAIT_TIMEOUT, signal = null } = {}) {
+        return this._listeners.waitFor(type, { predicate, timeout, signal });
     }
 
     /**
      * Removes a specific listener function for a message type.
      * Accepts type as a string or a Message class/object.
-     * @param {string|{msgType: string}} type - The message type or message class/object.
-     * @param {Function} callback - The function previously registered with `on()`.
+     * @param {string|{msgType: string}} type - The message type, wildcard pattern or message class/object.
+     * @param {Function} callback - The function previously registered with `on()` or `once()`.
      */
     off(type, callback) {
-        const typeString = this._getTypeString(type);
-        const listeners = this._listeners.get(typeString);
-        if (listeners) {
-            this._listeners.set(typeString, listeners.filter(cb => cb !== callback));
-        }
+        this._listeners.off(type, callback);
     }
 
     /**
-     * Closes the native BroadcastChannel instance and cleans up resources.
+     * Closes the transport and cleans up resources.
      * Sends a 'goodbye' message just before closing.
      */
     close() {
+        this._announced = false;
+        this._stopHeartbeat();
+        this._stopMetricsPublishing();
+        this._coalescer.close(); // Held messages go out before the goodbye
+        this._causal?.close();
+        this._reliable.close(); // Acknowledgements can no longer arrive
+        this._elections.forEach(election => election.resign());
+        this._elections.clear();
         this.goodbye(); // Announce departure
-        this._channel.close();
+
+        // Messages held by asynchronous outbound middleware (including the goodbye) still go out
+        const outbound = this._middleware.drained('outbound');
+        if (outbound) {
+            outbound.then(() => this._transport.close());
+        } else {
+            this._transport.close();
+        }
+        this._roster.clear('closed');
         this._listeners.clear();
+        this._namespaces.forEach(view => view.close());
     }
 
     // =========================================================================
@@ -258,30 +1173,196 @@ export class BaseChannel {
         this.sendMsg(message);
     }
 
+    /**
+     * [PRIMITIVE] Re-announces this agent's presence using HeartbeatMessage.
+     * Called automatically every heartbeat interval.
+     */
+    heartbeat() {
+        const message = new HeartbeatMessage(this.agent);
+        this.sendMsg(message);
+    }
+
+    /**
+     * Switches this agent to a new agentID (a new instance suffix) and announces it with a hello.
+     * Called automatically when the agentID turns out to be in use by an earlier agent (see
+     * onDuplicateAgent()). Replies to messages sent under the old agentID no longer reach this agent;
+     * the elections it takes part in follow it to the new agentID.
+     * @returns {string} The new agentID.
+     */
+    rekey() {
+        const previousAgentID = this.agentID;
+        const agentID = this.agent.rekey();
+        this.hello();
+        this._elections.forEach(election => election.rekey(previousAgentID));
+        return agentID;
+    }
+
+    /**
+     * Adds a capability to this agent's handshake advertisement.
+     * @param {string} capability - The capability name (e.g., 'request:opfs_read_file').
+     */
+    addCapability(capability) {
+        if (typeof capability !== 'string' || capability.length === 0) {
+            throw new Error('Capability must be a non-empty string.');
+        }
+        if (!this.agent.capabilities.has(capability)) {
+            this.agent.capabilities.add(capability);
+            this._scheduleAdvertise();
+        }
+    }
+
+    /**
+     * Removes a capability from this agent's handshake advertisement.
+     * @param {string} capability - The capability name.
+     */
+    removeCapability(capability) {
+        if (this.agent.capabilities.delete(capability)) {
+            this._scheduleAdvertise();
+        }
+    }
+
+    /**
+     * Adds a role to this agent's handshake advertisement. Messages addressed to 'role:<role>'
+     * are delivered to every agent holding the role; requests addressed to a role are served
+     * by its holders like a broadcast among them.
+     * @param {string} role - The role name (e.g., 'io').
+     */
+    addRole(role) {
+        if (typeof role !== 'string' || role.length === 0) {
+            throw new Error('Role must be a non-empty string.');
+        }
+        if (!this.agent.roles.has(role)) {
+            this.agent.roles.add(role);
+            this._scheduleAdvertise();
+        }
+    }
+
+    /**
+     * Removes a role from this agent's handshake advertisement.
+     * @param {string} role - The role name.
+     */
+    removeRole(role) {
+        if (this.agent.roles.delete(role)) {
+            this._scheduleAdvertise();
+        }
+    }
+
+    /**
+     * Adds a tag to this agent's handshake advertisement.
+     * @param {string} tag - The tag (e.g., 'settings-page').
+     */
+    addTag(tag) {
+        if (typeof tag !== 'string' || tag.length === 0) {
+            throw new Error('Tag must be a non-empty string.');
+        }
+        if (!this.agent.tags.has(tag)) {
+            this.agent.tags.add(tag);
+            this._scheduleAdvertise();
+        }
+    }
+
+    /**
+     * Removes a tag from this agent's handshake advertisement.
+     * @param {string} tag - The tag.
+     */
+    removeTag(tag) {
+        if (this.agent.tags.delete(tag)) {
+            this._scheduleAdvertise();
+        }
+    }
+
+    /**
+     * Finds the known agents matching every given criterion, from the roles, tags and
+     * capabilities they advertise (e.g., `findAgents({capability: 'request:opfs_read_file'})`).
+     * @param {AgentQuery} [query={}] - The criteria; an empty query matches every known agent.
+     * @returns {AgentRecord[]} Snapshots of the matching agents.
+     */
+    findAgents(query = {}) {
+        return this._roster.list().filter(agent => BaseChannel._matchesQuery(agent, query));
+    }
+
+    /**
+     * @private
+     * @param {AgentRecord} agent - A roster record.
+     * @param {AgentQuery} query - The criteria.
+     * @returns {boolean} True if the agent matches every given criterion.
+     */
+    static _matchesQuery(agent, query) {
+        return (query.role === undefined || agent.roles.includes(query.role)) &&
+            (query.tag === undefined || agent.tags.includes(query.tag)) &&
+            (query.capability === undefined || (agent.capabilities ?? []).includes(query.capability));
+    }
+
+    /**
+     * Waits until an agent matching the predicate is on the channel.
+     * Resolves immediately if a matching agent is already known.
+     * @param {string|((agent: AgentRecord) => boolean)} predicate - An agentID, 'scope:name' for any instance of that name (e.g., 'worker:io'), or a predicate over agent records.
+     * @param {number} [timeout=BaseChannel.DEFAULT_WAIT_TIMEOUT] - Timeout in milliseconds.
+     * @returns {Promise<AgentRecord>} Resolves with the matching agent.
+     */
+    waitForAgent(predicate, timeout = BaseChannel.DEFAULT_WAIT_TIMEOUT) {
+        const matches = typeof predicate === 'function'
+            ? predicate
+            : (agent) => MessageAgent.matchesID(agent.agentID, predicate);
+
+        const existing = this._roster.list().find(matches);
+        if (existing) {
+            return Promise.resolve(existing);
+        }
+
+        return new Promise((resolve, reject) => {
+            const timeoutId = setTimeout(() => {
+                unsubscribe();
+                reject(new ChannelTimeoutError('No matching agent joined the channel.', timeout));
+            }, timeout);
+
+            const unsubscribe = this._roster.onJoined((agent) => {
+                try {
+                    if (!matches(agent)) {
+                        return;
+                    }
+                    resolve(agent);
+                } catch (e) {
+                    reject(e);
+                }
+                clearTimeout(timeoutId);
+                unsubscribe();
+            });
+        });
+    }
+
 
     // =========================================================================
     // Symmetrical Convenience Methods (Producer)
     // =========================================================================
 
     /**
-     * Sends a structured log message.
+     * Sends a structured log message, unless its level is below the minimum for its namespace.
      * @param {string} message - The primary log message.
      * @param {any} [data=null] - Optional additional data/context.
-     * @param {'info'|'warn'|'debug'} [level='info'] - The log level.
+     * @param {LogLevel} [level='info'] - The log level.
      * @param {string|null} [toAgent=null] - Direct Message target.
+     * @param {string|null} [namespace=null] - Module namespace (usually set through logger()).
      */
-    log(message, data = null, level = 'info', toAgent = null) {
-        const logMessage = new LogMessage(this.agent, level, message, data, toAgent);
+    log(message, data = null, level = 'info', toAgent = null, namespace = null) {
+        if (!this.isLogLevelEnabled(level, namespace)) {
+            return;
+        }
+        const logMessage = new LogMessage(this.agent, level, message, data, toAgent, namespace);
         this.sendMsg(logMessage);
     }
 
     /**
      * Sends a structured error message. Accepts an Error object or string.
+     * Errors count as the 'error' log level, so they are only suppressed when the minimum is 'fatal'.
      * @param {Error|string} err - The Error object or primary error message string.
      * @param {object|null} [data=null] - Optional additional data/context.
      * @param {string|null} [toAgent=null] - Direct Message target.
      */
     error(err, data = null, toAgent = null) {
+        if (!this.isLogLevelEnabled('error')) {
+            return;
+        }
         const errorMessage = new ErrorMessage(this.agent, err, data, toAgent);
         this.sendMsg(errorMessage);
     }
@@ -308,6 +1389,230 @@ export class BaseChannel {
         this.sendMsg(message);
     }
 
+    /**
+     * Returns the channel's replicated status store, creating it (and requesting snapshots
+     * from the agents already on the channel) on first call. Create it before publishing
+     * statuses so the store can answer other agents' snapshot requests with them.
+     * @returns {StatusStore}
+     */
+    statusStore() {
+        if (!this._statusStore) {
+            this._statusStore = new StatusStore(this);
+        }
+        return this._statusStore;
+    }
+
+
+    // =========================================================================
+    // Leader Election
+    // =========================================================================
+
+    /**
+     * Joins a leader election among the agents of this channel that call elect() with the
+     * same name, e.g. to let a single IO worker serve requests when several tabs run one.
+     * Uses the Web Locks API when available, a bully-style protocol over the channel otherwise.
+     * The leader is replaced when it leaves, resigns or stops sending heartbeats.
+     * Calling elect() again with the same name returns the same election until it is resigned.
+     * @param {string} name - The name of the election.
+     * @param {ElectionOptions} [options={}] - Optional configuration.
+     * @returns {LeaderElection}
+     */
+    elect(name, options = {}) {
+        const existing = this._elections.get(name);
+        if (existing && !existing.resigned) {
+            return existing;
+        }
+        const election = new LeaderElection(this, name, options);
+        this._elections.set(name, election);
+        return election;
+    }
+
+
+    // =========================================================================
+    // Namespaces
+    // =========================================================================
+
+    /**
+     * Handles the channel's own protocol messages received within a namespace, before the
+     * namespace's listeners see them. The base channel has none (see AsyncChannel).
+     * @protected
+     * @param {BaseMessage} message - A message received within a namespace.
+     */
+    _routeNamespaced(message) {
+        // Plain channels exchange nothing of their own within namespaces
+    }
+
+    /**
+     * Returns a scoped view of the channel for one feature, sharing the channel's transport,
+     * agent identity and roster. Messages sent through the view carry its name and reach only
+     * the listeners of the same namespace on other agents; the channel's own listeners never
+     * see them. Views have their own middleware, and nest ('uploads.images').
+     * Calling namespace() again with the same name returns the same view. On an AsyncChannel,
+     * views also carry requests (e.g., `channel.namespace('io').request('write', payload)`).
+     * @param {string} name - Dot-separated namespace name (e.g., 'uploads' or 'uploads.images').
+     * @returns {ChannelNamespace}
+     */
+    namespace(name) {
+        if (!ChannelNamespace.isValidName(name)) {
+            throw new Error(`Invalid namespace name '${name}'.`);
+        }
+        const [segment, ...rest] = name.split('.');
+        let view = this._namespaces.get(segment);
+        if (!view) {
+            view = new ChannelNamespace(this, segment);
+            this._namespaces.set(segment, view);
+        }
+        return rest.length > 0 ? view.namespace(rest.join('.')) : view;
+    }
+
+
+    // =========================================================================
+    // Log Levels and Namespaced Loggers
+    // =========================================================================
+
+    /**
+     * Returns a logger whose messages carry the given namespace (e.g., 'opfs.write').
+     * @param {string} namespace - Dot-separated module namespace.
+     * @returns {Logger}
+     */
+    logger(namespace) {
+        return new Logger(this, namespace);
+    }
+
+    /**
+     * Sets the minimum level of log messages this agent sends.
+     * A namespaced level applies to that namespace and its children ('opfs' covers 'opfs.write')
+     * and takes precedence over the agent-wide level.
+     * @param {LogLevel|null} level - The new minimum; null removes a namespace override.
+     * @param {string|null} [namespace=null] - Restricts the level to a logger namespace.
+     */
+    setLogLevel(level, namespace = null) {
+        const key = namespace || '';
+        if (level === null) {
+            if (key === '') {
+                throw new Error('The agent-wide log level cannot be removed.');
+            }
+            this._logLevels.delete(key);
+            return;
+        }
+        if (!LogMessage.LEVELS.includes(level)) {
+            throw new Error(`Invalid log level: ${level}. Must be one of ${LogMessage.LEVELS.join(', ')}.`);
+        }
+        this._logLevels.set(key, level);
+    }
+
+    /**
+     * Returns the minimum level in effect for a namespace, from its closest configured ancestor.
+     * @param {string|null} [namespace=null] - The logger namespace; null for the agent-wide level.
+     * @returns {LogLevel}
+     */
+    getLogLevel(namespace = null) {
+        let best = '';
+        if (namespace) {
+            for (const key of this._logLevels.keys()) {
+                if (key.length > best.length && (namespace === key || namespace.startsWith(key + '.'))) {
+                    best = key;
+                }
+            }
+        }
+        return this._logLevels.get(best);
+    }
+
+    /**
+     * Checks whether a log message of the given level and namespace would be sent.
+     * @param {LogLevel} level - The level to check.
+     * @param {string|null} [namespace=null] - The logger namespace.
+     * @returns {boolean}
+     */
+    isLogLevelEnabled(level, namespace = null) {
+        return LogMessage.isAtLeast(level, this.getLogLevel(namespace));
+    }
+
+    /**
+     * Asks another agent (or every agent) to change its minimum log level.
+     * @param {string|null} toAgent - The agent to reconfigure; null reconfigures every other agent.
+     * @param {LogLevel} level - The new minimum level.
+     * @param {string|null} [namespace=null] - Restricts the change to a logger namespace.
+     */
+    setRemoteLogLevel(toAgent, level, namespace = null) {
+        const message = new LogLevelMessage(this.agent, level, namespace, toAgent);
+        this.sendMsg(message);
+    }
+
+
+    // =========================================================================
+    // Metrics
+    // =========================================================================
+
+    /**
+     * Returns per-type message counts and approximate payload sizes, and (on an AsyncChannel)
+     * request outcomes, latency histograms and pending-request depth.
+     * @returns {MetricsSnapshot}
+     */
+    metrics() {
+        return this._metrics.snapshot(this.agentID);
+    }
+
+    /**
+     * Clears the counters reported by metrics().
+     */
+    resetMetrics() {
+        this._metrics.reset();
+    }
+
+    /**
+     * Broadcasts the current metrics() snapshot as a StatusMessage under BaseChannel.METRICS_STATUS_KEY.
+     * Called periodically when the channel was created with `metricsInterval`.
+     */
+    publishMetrics() {
+        this.status(BaseChannel.METRICS_STATUS_KEY, this.metrics());
+    }
+
+
+    // =========================================================================
+    // Coalescing and Backpressure
+    // =========================================================================
+
+    /**
+     * Coalesces outgoing messages of a type: instead of posting each one, the channel holds
+     * them for the policy's interval (or until the next animation frame) and posts them
+     * together in one envelope, keeping only the newest message per key in 'latest' mode.
+     * Receivers unpack the envelope before middleware and listeners run.
+     * Held messages are delayed, so messages of other types may overtake them.
+     * For instance, `key: message => message.payload.data.path` keeps the newest event per file.
+     * @param {string|{msgType: string}} type - The message type or message class/object.
+     * @param {CoalescePolicy|null} [policy={}] - The policy, or null to post the type immediately again.
+     */
+    coalesce(type, policy = {}) {
+        this._coalescer.setPolicy(ListenerRegistry.resolveType(type), policy);
+    }
+
+    /**
+     * Posts all held coalesced messages now.
+     */
+    flushCoalesced() {
+        this._coalescer.flush();
+    }
+
+    /**
+     * The number of coalesced messages waiting to be posted.
+     * @returns {number}
+     */
+    get outboundPending() {
+        return this._coalescer.pending;
+    }
+
+    /**
+     * Registers a callback notified with `true` when the held coalesced messages grow past the
+     * high-water mark (`options.highWaterMark`), and with `false` once half of them have drained.
+     * Producers can use it to slow down.
+     * @param {BackpressureCallback} callback - Receives whether backpressure is active and the pending count.
+     * @returns {() => void} Function that removes the callback.
+     */
+    onBackpressure(callback) {
+        return this._coalescer.onBackpressure(callback);
+    }
+
 
     // =========================================================================
     // Symmetrical Convenience Methods (Listener)
@@ -316,57 +1621,135 @@ export class BaseChannel {
     /**
      * Registers a listener for system log messages.
      * @param {MessageCallback} callback - Handler receives the full message object.
+     * @returns {() => void} Function that removes the listener.
      */
     onLog(callback) {
-        this.on(LogMessage.msgType, callback);
+        return this.on(LogMessage.msgType, callback);
     }
 
     /**
      * Registers a listener for system error messages.
      * @param {MessageCallback} callback - Handler receives the full message object.
+     * @returns {() => void} Function that removes the listener.
      */
     onError(callback) {
-        this.on(ErrorMessage.msgType, callback);
+        return this.on(ErrorMessage.msgType, callback);
     }
 
     /**
      * Registers a listener for application events.
      * @param {MessageCallback} callback - Handler receives the full message object.
+     * @returns {() => void} Function that removes the listener.
      */
     onEvent(callback) {
-        this.on(EventMessage.msgType, callback);
+        return this.on(EventMessage.msgType, callback);
     }
 
     /**
      * Registers a listener for system status updates.
      * @param {MessageCallback} callback - Handler receives the full message object.
+     * @returns {() => void} Function that removes the listener.
      */
     onStatus(callback) {
-        this.on(StatusMessage.msgType, callback);
+        return this.on(StatusMessage.msgType, callback);
     }
 
     /**
      * Registers a listener for agents joining the channel.
      * NOTE: The automatic reply (greeting) is handled internally.
      * @param {MessageCallback} callback - Handler receives the HelloMessage object.
+     * @returns {() => void} Function that removes the listener.
      */
     onHello(callback) {
-        this.on(HelloMessage.msgType, callback);
+        return this.on(HelloMessage.msgType, callback);
     }
 
     /**
      * Registers a listener for agent's direct greeting replies.
      * @param {MessageCallback} callback - Handler receives the GreetingMessage object.
+     * @returns {() => void} Function that removes the listener.
      */
     onGreeting(callback) {
-        this.on(GreetingMessage.msgType, callback);
+        return this.on(GreetingMessage.msgType, callback);
     }
 
     /**
      * Registers a listener for agents announcing their departure.
      * @param {MessageCallback} callback - Handler receives the GoodbyeMessage object.
+     * @returns {() => void} Function that removes the listener.
      */
     onGoodbye(callback) {
-        this.on(GoodbyeMessage.msgType, callback);
+        return this.on(GoodbyeMessage.msgType, callback);
+    }
+
+    /**
+     * Registers a listener for received envelopes rejected as malformed, or refused by a SecureTransport.
+     * @param {InvalidMessageCallback} callback - Handler receives the MessageValidationError.
+     * @returns {() => void} Function that removes the listener.
+     */
+    onInvalidMessage(callback) {
+        this._invalidMessageCallbacks.push(callback);
+        return () => {
+            this._invalidMessageCallbacks = this._invalidMessageCallbacks.filter(cb => cb !== callback);
+        };
+    }
+
+    /**
+     * Registers a listener for peers whose protocol version range does not overlap with ours.
+     * Fires once when the peer is discovered (or when a known peer becomes incompatible).
+     * @param {IncompatiblePeerCallback} callback - Handler receives a snapshot of the peer's roster record.
+     * @returns {() => void} Function that removes the listener.
+     */
+    onIncompatiblePeer(callback) {
+        this._incompatiblePeerCallbacks.push(callback);
+        return () => {
+            this._incompatiblePeerCallbacks = this._incompatiblePeerCallbacks.filter(cb => cb !== callback);
+        };
+    }
+
+    /**
+     * Registers a listener for another agent found to use this agent's agentID (e.g., a
+     * duplicated tab). Fires on both agents; the later one re-keys unless rekeyOnDuplicate is false.
+     * @param {DuplicateAgentCallback} callback - Handler receives the clashing agentID and what this agent did about it.
+     * @returns {() => void} Function that removes the listener.
+     */
+    onDuplicateAgent(callback) {
+        this._duplicateAgentCallbacks.push(callback);
+        return () => {
+            this._duplicateAgentCallbacks = this._duplicateAgentCallbacks.filter(cb => cb !== callback);
+        };
+    }
+
+    /**
+     * Registers a callback notified when a reliable direct message (see `options.reliable`) is
+     * given up: the recipient never acknowledged it, left the channel, or this channel was closed first.
+     * The message may still have been received if only its acknowledgements were lost.
+     * Any message a SecureTransport failed to seal or send is reported too, with the reason 'send-failed'.
+     * @param {DeliveryFailedCallback} callback - Handler receives the message, its recipient, the attempts and the reason.
+     * @returns {() => void} Function that removes the callback.
+     */
+    onDeliveryFailed(callback) {
+        this._deliveryFailedCallbacks.push(callback);
+        return () => {
+            this._deliveryFailedCallbacks = this._deliveryFailedCallbacks.filter(cb => cb !== callback);
+        };
+    }
+
+    /**
+     * Registers a listener for agents joining the roster (via hello, greeting or heartbeat).
+     * @param {AgentJoinedCallback} callback - Handler receives a snapshot of the new agent.
+     * @returns {() => void} Function that removes the listener.
+     */
+    onAgentJoined(callback) {
+        return this._roster.onJoined(callback);
+    }
+
+    /**
+     * Registers a listener for agents leaving the roster, whether by goodbye or by going silent.
+     * @param {AgentLeftCallback} callback - Handler receives a snapshot of the departed agent and the reason.
+     * @returns {() => void} Function that removes the listener.
+     */
+    onAgentLeft(callback) {
+        return this._roster.onLeft(callback);
     }
 }
\ No newline at end of file
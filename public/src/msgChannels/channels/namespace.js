@@ -0,0 +1,564 @@
+/**
+ * @fileoverview Defines the ChannelNamespace class, a scoped view of a BaseChannel obtained
+ * with `channel.namespace('uploads')`. Features sharing one channel each get their own
+ * namespace instead of opening their own BroadcastChannel: the namespaces share the channel's
+ * transport, agent identity, handshake and roster, but have their own listeners and middleware.
+ *
+ * Messages sent through a namespace carry its name (`metadata.namespace`) and are delivered
+ * only to the listeners of the same namespace on the other agents; the channel's own listeners
+ * never see them. Namespaces nest ('uploads.images'): a namespace's middleware also runs for
+ * the messages of the namespaces below it, after the channel's middleware when receiving and
+ * before it when sending.
+ *
+ * On an AsyncChannel, a namespace also carries requests: request(), onRequest(), expose() and
+ * proxy() work as on the channel, but only between agents using the same namespace. The
+ * bids, grants, progress, cancellation and response of a namespaced request carry its tag
+ * too, so they pass through the namespace's middleware; the channel keeps the bookkeeping.
+ */
+
+import { BaseMessage } from '../messages/base.js';
+import { LogMessage } from '../messages/log.js';
+import { ErrorMessage } from '../messages/error.js';
+import { StatusMessage } from '../messages/status.js';
+import { EventMessage } from '../messages/event.js';
+import { MiddlewarePipeline } from '../lib/middleware.js';
+import { ListenerRegistry } from '../lib/listeners.js';
+import { Logger } from '../lib/logger.js';
+
+/**
+ * @typedef {import('./base.js').BaseChannel} BaseChannel
+ * @typedef {import('./base.js').MessageCallback} MessageCallback
+ * @typedef {import('./base.js').WaitForOptions} WaitForOptions
+ * @typedef {import('./base.js').AgentQuery} AgentQuery
+ * @typedef {import('../messages/messageAgent.js').MessageAgent} MessageAgent
+ * @typedef {import('../lib/roster.js').AgentRecord} AgentRecord
+ * @typedef {import('../lib/roster.js').AgentJoinedCallback} AgentJoinedCallback
+ * @typedef {import('../lib/roster.js').AgentLeftCallback} AgentLeftCallback
+ * @typedef {import('../lib/middleware.js').Middleware} Middleware
+ * @typedef {import('../messages/log.js').LogLevel} LogLevel
+ * @typedef {import('./async.js').AsyncChannel} AsyncChannel
+ * @typedef {import('./async.js').RequestOptions} RequestOptions
+ * @typedef {import('./async.js').RequestContext} RequestContext
+ * @typedef {import('./async.js').RequestStream} RequestStream
+ * @typedef {import('./async.js').ExposeOptions} ExposeOptions
+ * @typedef {import('./async.js').ProxyOptions} ProxyOptions
+ * @typedef {import('../messages/request.js').RequestMessage} RequestMessage
+ */
+
+/**
+ * Namespace names: dot-separated segments of letters, digits, '_' and '-'.
+ * @private
+ * @type {RegExp}
+ */
+const NAMESPACE_PATTERN = /^[\w-]+(\.[\w-]+)*$/;
+
+
+export class ChannelNamespace {
+
+    /**
+     * The channel the namespace belongs to.
+     * @private
+     * @type {BaseChannel}
+     */
+    _channel;
+
+    /**
+     * The enclosing namespace, or null for a top-level namespace.
+     * @private
+     * @type {ChannelNamespace|null}
+     */
+    _parent;
+
+    /**
+     * The full dot-separated name of the namespace (e.g., 'uploads.images').
+     * @type {string}
+     */
+    name;
+
+    /**
+     * Callbacks registered per message type (or wildcard pattern).
+     * @private
+     * @type {ListenerRegistry}
+     */
+    _listeners = new ListenerRegistry();
+
+    /**
+     * Middleware registered with use(), covering this namespace and the ones below it.
+     * @private
+     * @type {MiddlewarePipeline}
+     */
+    _middleware = new MiddlewarePipeline();
+
+    /**
+     * Nested namespaces, keyed by their last name segment.
+     * @private
+     * @type {Map<string, ChannelNamespace>}
+     */
+    _children = new Map();
+
+    /**
+     * Removers of the request handlers registered with onRequest(), called by close().
+     * @private
+     * @type {Set<() => void>}
+     */
+    _requestHandlers = new Set();
+
+    /**
+     * Creates a namespace view. Prefer `channel.namespace()`, which returns the same view for the same name.
+     * @param {BaseChannel} channel - The channel the namespace belongs to.
+     * @param {string} segment - The name of the namespace below its parent.
+     * @param {ChannelNamespace|null} [parent=null] - The enclosing namespace.
+     */
+    constructor(channel, segment, parent = null) {
+        if (!ChannelNamespace.isValidName(segment) || segment.includes('.')) {
+            throw new Error(`Invalid namespace name '${segment}'.`);
+        }
+        this._channel = channel;
+        this._parent = parent;
+        this.name = parent ? `${parent.name}.${segment}` : segment;
+    }
+
+    /**
+     * Checks a namespace name: dot-separated segments of letters, digits, '_' and '-'.
+     * @param {any} name
+     * @returns {boolean}
+     */
+    static isValidName(name) {
+        return typeof name === 'string' && NAMESPACE_PATTERN.test(name);
+    }
+
+    /**
+     * The channel the namespace belongs to.
+     * @returns {BaseChannel}
+     */
+    get channel() {
+        return this._channel;
+    }
+
+    /**
+     * The agent of the channel; namespaces share its identity.
+     * @returns {MessageAgent}
+     */
+    get agent() {
+        return this._channel.agent;
+    }
+
+    /**
+     * Gets the full unique identifier for the current context.
+     * @returns {string}
+     */
+    get agentID() {
+        return this._channel.agentID;
+    }
+
+    /**
+     * Snapshots of the other agents currently known to be on the channel.
+     * @returns {AgentRecord[]}
+     */
+    get agents() {
+        return this._channel.agents;
+    }
+
+    /**
+     * Returns the view of a nested namespace (e.g., 'images' below 'uploads' is 'uploads.images').
+     * A dotted name designates a namespace several levels down.
+     * @param {string} name - The name of the nested namespace.
+     * @returns {ChannelNamespace}
+     */
+    namespace(name) {
+        if (!ChannelNamespace.isValidName(name)) {
+            throw new Error(`Invalid namespace name '${name}'.`);
+        }
+        const [segment, ...rest] = name.split('.');
+        let child = this._children.get(segment);
+        if (!child) {
+            child = new ChannelNamespace(this._channel, segment, this);
+            this._children.set(segment, child);
+        }
+        return rest.length > 0 ? child.namespace(rest.join('.')) : child;
+    }
+
+    // =========================================================================
+    // Core Messaging Primitives
+    // =========================================================================
+
+    /**
+     * Sends a message within the namespace. It passes through the middleware of this
+     * namespace, then of the enclosing ones, then of the channel.
+     * @param {BaseMessage} message - The message object to post.
+     * @param {Transferable[]} [transferables=[]] - Array of objects to transfer ownership of.
+     */
+    sendMsg(message, transferables = []) {
+        if (!(message instanceof BaseMessage)) {
+            throw new TypeError('Message sent to channel must be an instance of BaseMessage or one of its specialized subclasses.');
+        }
+        message.metadata.namespace = this.name;
+        this._send(message, transferables);
+    }
+
+    /**
+     * Runs an outgoing message through this namespace's outbound middleware and hands it to the enclosing namespace or the channel.
+     * @private
+     * @param {BaseMessage} message - The outgoing message, already tagged.
+     * @param {Transferable[]} transferables - Objects it transfers.
+     */
+    _send(message, transferables) {
+        this._middleware.dispatch(
+            'outbound',
+            message,
+            { channel: this, direction: 'outbound', transferables },
+            (outgoing) => {
+                if (this._parent) {
+                    this._parent._send(outgoing, transferables);
+                } else {
+                    this._channel.sendMsg(outgoing, transferables);
+                }
+            },
+            (e) => console.error(`ChannelNamespace '${this.name}' outbound middleware failed in context '${this.agentID}':`, e)
+        );
+    }
+
+    /**
+     * Delivers a received message of this namespace or of one below it, through this
+     * namespace's inbound middleware. Called by the channel once its own middleware ran.
+     * @param {BaseMessage} message - The received message.
+     */
+    receive(message) {
+        try {
+            this._middleware.dispatch(
+                'inbound',
+                message,
+                { channel: this, direction: 'inbound', transferables: [] },
+                this._route.bind(this),
+                (e) => console.error(`ChannelNamespace '${this.name}' inbound middleware failed in context '${this.agentID}':`, e)
+            );
+        } catch (e) {
+            console.error(`ChannelNamespace '${this.name}' inbound middleware failed in context '${this.agentID}':`, e);
+        }
+    }
+
+    /**
+     * Dispatches a message of this namespace to its listeners, or passes one of a nested namespace on.
+     * @private
+     * @param {BaseMessage} message - The received message.
+     */
+    _route(message) {
+        const namespace = message.metadata.namespace;
+        if (namespace !== this.name) {
+            // Namespaces nobody here opened have no listeners, so their messages are dropped
+            const segment = namespace.startsWith(this.name + '.') ? namespace.slice(this.name.length + 1).split('.')[0] : null;
+            this._children.get(segment)?.receive(message);
+            return;
+        }
+
+        // Messages about the requests of the namespace (responses, bids...) go to the channel first
+        try {
+            this._channel._routeNamespaced(message);
+        } catch (e) {
+            console.error(`ChannelNamespace '${this.name}' failed to handle '${message.type}' in context '${this.agentID}':`, e);
+        }
+
+        for (const callback of this._listeners.match(message.type)) {
+            try {
+                callback(message);
+            } catch (e) {
+                console.error(`ChannelNamespace '${this.name}' listener failed for type '${message.type}' in context '${this.agentID}':`, e);
+            }
+        }
+    }
+
+    /**
+     * Adds middleware that sees every message sent and received in this namespace and the
+     * ones below it (see BaseChannel.use()).
+     * @param {Middleware} middleware - An object with `inbound` and/or `outbound` handlers.
+     * @returns {() => void} Function that removes the middleware.
+     */
+    use(middleware) {
+        return this._middleware.add(middleware);
+    }
+
+    /**
+     * Registers a listener for a message type sent within this namespace.
+     * Strings may also be wildcard patterns: '*' for every message, or a prefix such as 'system_*'.
+     * @param {string|{msgType: string}} type - The message type, wildcard pattern or message class/object to listen for.
+     * @param {MessageCallback} callback - The function to execute when the message is received.
+     * @returns {() => void} Function that removes the listener.
+     */
+    on(type, callback) {
+        return this._listeners.on(type, callback);
+    }
+
+    /**
+     * Registers a listener that is removed after its first invocation.
+     * @param {string|{msgType: string}} type - The message type, wildcard pattern or message class/object to listen for.
+     * @param {MessageCallback} callback - The function to execute when the message is received.
+     * @returns {() => void} Function that removes the listener before it fires.
+     */
+    once(type, callback) {
+        return this._listeners.once(type, callback);
+    }
+
+    /**
+     * Waits for the next message of a type sent within this namespace, optionally matching a predicate.
+     * @param {string|{msgType: string}} type - The message type, wildcard pattern or message class/object to wait for.
+     * @param {WaitForOptions} [options={}] - Predicate, timeout and abort signal.
+     * @returns {Promise<BaseMessage>} Resolves with the first matching message.
+     */
+    waitFor(type, options = {}) {
+        return this._listeners.waitFor(type, options);
+    }
+
+    /**
+     * Removes a specific listener function for a message type.
+     * @param {string|{msgType: string}} type - The message type, wildcard pattern or message class/object.
+     * @param {Function} callback - The function previously registered with `on()` or `once()`.
+     */
+    off(type, callback) {
+        this._listeners.off(type, callback);
+    }
+
+    /**
+     * Removes the listeners, request handlers and middleware of this namespace and of the ones
+     * below it. The channel and the other namespaces are not affected, and the view can be used again.
+     */
+    close() {
+        this._children.forEach(child => child.close());
+        Array.from(this._requestHandlers).forEach(remove => remove());
+        this._listeners.clear();
+        this._middleware = new MiddlewarePipeline();
+    }
+
+    // =========================================================================
+    // Requests (AsyncChannel)
+    // =========================================================================
+
+    /**
+     * Returns the channel as an AsyncChannel, the only kind able to carry requests.
+     * @private
+     * @returns {AsyncChannel}
+     * @throws {Error} If the channel is a plain BaseChannel.
+     */
+    _requestChannel() {
+        if (typeof this._channel._request !== 'function') {
+            throw new Error(`Namespace '${this.name}' cannot carry requests: its channel is not an AsyncChannel.`);
+        }
+        return this._channel;
+    }
+
+    /**
+     * Sends a request within the namespace and waits for its response (see AsyncChannel.request()).
+     * Only handlers registered with onRequest() on the same namespace of other agents answer it.
+     * @param {string} type - The specific request type (e.g., 'resize').
+     * @param {object|null} [payload=null] - Data required for the request.
+     * @param {string|null} [toAgent=null] - Optional target AgentID, or 'role:<role>' for the agents holding a role.
+     * @param {number|RequestOptions} [options] - Timeout in milliseconds, or a RequestOptions object.
+     * @returns {Promise<any>} A promise that resolves with the response payload.
+     */
+    request(type, payload = null, toAgent = null, options) {
+        return this._requestChannel()._request(this, type, payload, toAgent, options);
+    }
+
+    /**
+     * Sends a request within the namespace and iterates over its progress chunks (see AsyncChannel.requestStream()).
+     * @param {string} type - The specific request type.
+     * @param {object|null} [payload=null] - Data required for the request.
+     * @param {string|null} [toAgent=null] - Optional target AgentID, or 'role:<role>' for the agents holding a role.
+     * @param {number|RequestOptions} [options] - Timeout in milliseconds, or a RequestOptions object.
+     * @returns {RequestStream} An async iterator over the progress chunks.
+     */
+    requestStream(type, payload = null, toAgent = null, options) {
+        return this._requestChannel()._requestStream(this, type, payload, toAgent, options);
+    }
+
+    /**
+     * Registers a handler for a request type sent within this namespace (see AsyncChannel.onRequest()).
+     * It is advertised to peers as the capability 'request:<namespace>/<type>'.
+     * @param {string} requestType - The specific request type to listen for.
+     * @param {(payload: object, req: RequestMessage, context: RequestContext) => Promise<any>|AsyncGenerator} callback - The handler that returns a Promise for the result.
+     * @returns {() => void} Function that removes the handler.
+     */
+    onRequest(requestType, callback) {
+        const remove = this._requestChannel()._onRequest(this, requestType, callback);
+        this._requestHandlers.add(remove);
+        return () => {
+            this._requestHandlers.delete(remove);
+            remove();
+        };
+    }
+
+    /**
+     * Serves the methods of an object to the agents using this namespace (see AsyncChannel.expose()).
+     * @param {string} namespace - Dot-separated RPC namespace (e.g., 'resizer').
+     * @param {object} object - The object whose methods are served.
+     * @param {ExposeOptions} [options={}] - Optional method allowlist and cancellable methods.
+     * @returns {() => void} Function that stops serving the methods.
+     */
+    expose(namespace, object, options = {}) {
+        return this._requestChannel()._expose(this, namespace, object, options);
+    }
+
+    /**
+     * Returns a proxy for the methods another agent exposed within this namespace (see AsyncChannel.proxy()).
+     * @param {string} namespace - The RPC namespace the methods were exposed under.
+     * @param {ProxyOptions} [options={}] - Target agent and request options for every call.
+     * @returns {any} The proxy.
+     */
+    proxy(namespace, options = {}) {
+        return this._requestChannel()._proxy(this, namespace, options);
+    }
+
+    // =========================================================================
+    // Agent Discovery (shared with the channel)
+    // =========================================================================
+
+    /**
+     * Returns the agents on the channel matching a query (see BaseChannel.findAgents()).
+     * @param {AgentQuery} [query={}] - Role, tag and/or capability the agents must advertise.
+     * @returns {AgentRecord[]}
+     */
+    findAgents(query = {}) {
+        return this._channel.findAgents(query);
+    }
+
+    /**
+     * Waits for an agent to be on the channel (see BaseChannel.waitForAgent()).
+     * @param {string|((agent: AgentRecord) => boolean)} predicate - An agentID, 'scope:name', or a predicate.
+     * @param {number} [timeout] - Timeout in milliseconds.
+     * @returns {Promise<AgentRecord>}
+     */
+    waitForAgent(predicate, timeout) {
+        return this._channel.waitForAgent(predicate, timeout);
+    }
+
+    /**
+     * Registers a listener for agents joining the channel.
+     * @param {AgentJoinedCallback} callback - Handler receives a snapshot of the new agent.
+     * @returns {() => void} Function that removes the listener.
+     */
+    onAgentJoined(callback) {
+        return this._channel.onAgentJoined(callback);
+    }
+
+    /**
+     * Registers a listener for agents leaving the channel.
+     * @param {AgentLeftCallback} callback - Handler receives a snapshot of the departed agent and the reason.
+     * @returns {() => void} Function that removes the listener.
+     */
+    onAgentLeft(callback) {
+        return this._channel.onAgentLeft(callback);
+    }
+
+    // =========================================================================
+    // Symmetrical Convenience Methods (Sender)
+    // =========================================================================
+
+    /**
+     * Sends a structured log message within the namespace, unless its level is below the
+     * channel's minimum for its logger namespace.
+     * @param {string} message - The primary log message.
+     * @param {object|null} [data=null] - Optional additional data/context.
+     * @param {LogLevel} [level='info'] - The log level.
+     * @param {string|null} [toAgent=null] - Direct Message target.
+     * @param {string|null} [namespace=null] - Logger namespace (usually set through logger()).
+     */
+    log(message, data = null, level = 'info', toAgent = null, namespace = null) {
+        if (!this.isLogLevelEnabled(level, namespace)) {
+            return;
+        }
+        this.sendMsg(new LogMessage(this.agent, level, message, data, toAgent, namespace));
+    }
+
+    /**
+     * Sends a structured error message within the namespace.
+     * @param {Error|string} err - The Error object or primary error message string.
+     * @param {object|null} [data=null] - Optional additional data/context.
+     * @param {string|null} [toAgent=null] - Direct Message target.
+     */
+    error(err, data = null, toAgent = null) {
+        if (!this.isLogLevelEnabled('error')) {
+            return;
+        }
+        this.sendMsg(new ErrorMessage(this.agent, err, data, toAgent));
+    }
+
+    /**
+     * Sends a generic, named application event within the namespace.
+     * @param {string} name - The name of the event (e.g., 'file_saved').
+     * @param {object|null} [data=null] - Optional event data.
+     * @param {string|null} [toAgent=null] - Direct Message target.
+     */
+    event(name, data = null, toAgent = null) {
+        this.sendMsg(new EventMessage(this.agent, name, data, null, toAgent));
+    }
+
+    /**
+     * Sends a status key/value within the namespace. Namespaced statuses are not replicated
+     * by the channel's status store.
+     * @param {string} key - The status key (e.g., 'cpu_load').
+     * @param {any} value - The new status value.
+     * @param {string|null} [toAgent=null] - Direct Message target.
+     */
+    status(key, value, toAgent = null) {
+        this.sendMsg(new StatusMessage(this.agent, key, value, toAgent));
+    }
+
+    /**
+     * Returns a logger sending within the namespace, whose messages carry the given logger namespace.
+     * @param {string} namespace - Dot-separated logger namespace.
+     * @returns {Logger}
+     */
+    logger(namespace) {
+        return new Logger(this, namespace);
+    }
+
+    /**
+     * Checks whether a log message of the given level and logger namespace would be sent
+     * (the levels are the channel's).
+     * @param {LogLevel} level - The level to check.
+     * @param {string|null} [namespace=null] - The logger namespace.
+     * @returns {boolean}
+     */
+    isLogLevelEnabled(level, namespace = null) {
+        return this._channel.isLogLevelEnabled(level, namespace);
+    }
+
+    // =========================================================================
+    // Symmetrical Convenience Methods (Listener)
+    // =========================================================================
+
+    /**
+     * Registers a listener for log messages sent within this namespace.
+     * @param {MessageCallback} callback - Handler receives the full message object.
+     * @returns {() => void} Function that removes the listener.
+     */
+    onLog(callback) {
+        return this.on(LogMessage.msgType, callback);
+    }
+
+    /**
+     * Registers a listener for error messages sent within this namespace.
+     * @param {MessageCallback} callback - Handler receives the full message object.
+     * @returns {() => void} Function that removes the listener.
+     */
+    onError(callback) {
+        return this.on(ErrorMessage.msgType, callback);
+    }
+
+    /**
+     * Registers a listener for application events sent within this namespace.
+     * @param {MessageCallback} callback - Handler receives the full message object.
+     * @returns {() => void} Function that removes the listener.
+     */
+    onEvent(callback) {
+        return this.on(EventMessage.msgType, callback);
+    }
+
+    /**
+     * Registers a listener for status updates sent within this namespace.
+     * @param {MessageCallback} callback - Handler receives the full message object.
+     * @returns {() => void} Function that removes the listener.
+     */
+    onStatus(callback) {
+        return this.on(StatusMessage.msgType, callback);
+    }
+}
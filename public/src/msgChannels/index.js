@@ -1,7 +1,51 @@
 import { BaseChannel } from './channels/base.js';
 import { AsyncChannel } from './channels/async.js';
+import { ChannelNamespace } from './channels/namespace.js';
+import { BaseTransport } from './transports/base.js';
+import { BroadcastTransport } from './transports/broadcast.js';
+import { PortTransport } from './transports/port.js';
+import { MemoryTransport } from './transports/memory.js';
+import { SecureTransport } from './transports/secure.js';
+import { MessageValidationError } from './messages/base.js';
+import { MessageAgent } from './messages/messageAgent.js';
+import { registerMessageClass, getMessageClass, fromWire } from './messages/registry.js';
+import { registerErrorClass, getErrorClass, serializeError, deserializeError } from './lib/errors.js';
+import { ChannelRecorder } from './lib/recorder.js';
+import { ChannelReplayer } from './lib/replayer.js';
 // Export the primary channel classes
 export {
     BaseChannel,
-    AsyncChannel
+    AsyncChannel,
+    ChannelNamespace
+};
+// Export the transport adapters channels can be constructed with
+export {
+    BaseTransport,
+    BroadcastTransport,
+    PortTransport,
+    MemoryTransport,
+    SecureTransport
+};
+// Export the agent identity (agentID parsing and matching)
+export {
+    MessageAgent
+};
+// Export the message-class registry used to rehydrate received envelopes
+export {
+    registerMessageClass,
+    getMessageClass,
+    fromWire,
+    MessageValidationError
+};
+// Export the error-class registry used to rebuild errors thrown by remote agents
+export {
+    registerErrorClass,
+    getErrorClass,
+    serializeError,
+    deserializeError
+};
+// Export the traffic recorder and replayer used to reproduce multi-agent sessions
+export {
+    ChannelRecorder,
+    ChannelReplayer
 };
\ No newline at end of file
@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Defines the CausalBuffer class, behind BaseChannel's optional causal delivery.
+ * Every broadcast an agent posts carries a per-sender sequence number, and every message the
+ * sequence numbers the sender had delivered from each other agent when posting it
+ * (`metadata.causal`). A received message is held until the messages it depends on have been
+ * delivered: the sender's previous broadcast, and everything the sender had seen. So an agent
+ * reacting to a file_deleted never gets its reaction delivered before the file_deleted itself.
+ *
+ * Direct messages carry dependencies but no sequence number, because other agents never
+ * receive them; the sender's own entry in their dependencies tells a newcomer where the
+ * sender's broadcasts stand (e.g., in the greeting answering its hello). Dependencies on agents
+ * this agent has not heard from yet are not waited for (their earlier messages may predate
+ * it joining), and messages held longer than maxDelay are delivered anyway, so a lost message
+ * delays the others without blocking them.
+ * Causal delivery only covers agents that enable it: messages without causal data pass through.
+ */
+
+import { HybridLogicalClock } from './hlc.js';
+
+/**
+ * @typedef {import('../messages/base.js').BaseMessage} BaseMessage
+ * @typedef {import('../channels/base.js').BaseChannel} BaseChannel
+ *
+ * @typedef {object} CausalMetadata
+ * @property {number|null} seq - The sender's broadcast sequence number, or null for direct messages.
+ * @property {Object<string, number>} deps - Highest sequence number the sender had delivered per agent, and its own last broadcast before this message.
+ *
+ * @typedef {object} CausalBufferOptions
+ * @property {number} [maxDelay=CausalBuffer.DEFAULT_MAX_DELAY] - Milliseconds a message is held at most while its dependencies are missing.
+ *
+ * @typedef {object} HeldMessage
+ * @property {BaseMessage} message - The held message.
+ * @property {CausalMetadata} causal - Its causal metadata.
+ * @property {number} deadline - When the message is delivered regardless of its dependencies.
+ */
+
+
+export class CausalBuffer {
+
+    /**
+     * The channel whose received messages are ordered.
+     * @private
+     * @type {BaseChannel}
+     */
+    _channel;
+
+    /**
+     * Passes a message on once it may be delivered.
+     * @private
+     * @type {(message: BaseMessage) => void}
+     */
+    _deliver;
+
+    /**
+     * Milliseconds a message is held at most.
+     * @private
+     * @type {number}
+     */
+    _maxDelay;
+
+    /**
+     * Sequence number of the last broadcast this agent posted.
+     * @private
+     * @type {number}
+     */
+    _seq = 0;
+
+    /**
+     * Highest sequence number delivered from each agent.
+     * @private
+     * @type {Map<string, number>}
+     */
+    _delivered = new Map();
+
+    /**
+     * Messages waiting for their dependencies, in reading order.
+     * @private
+     * @type {HeldMessage[]}
+     */
+    _held = [];
+
+    /**
+     * Timer delivering the oldest held message when its deadline passes.
+     * @private
+     * @type {number|null}
+     */
+    _timer = null;
+
+    /**
+     * Default time a message is held at most, in milliseconds.
+     * @type {number}
+     */
+    static DEFAULT_MAX_DELAY = 1000;
+
+    /**
+     * Creates a causal delivery buffer.
+     * @param {BaseChannel} channel - The channel whose received messages are ordered.
+     * @param {(message: BaseMessage) => void} deliver - Passes a message on once its dependencies were delivered.
+     * @param {CausalBufferOptions} [options={}] - Optional configuration.
+     */
+    constructor(channel, deliver, options = {}) {
+        this._channel = channel;
+        this._deliver = deliver;
+        this._maxDelay = options.maxDelay ?? CausalBuffer.DEFAULT_MAX_DELAY;
+    }
+
+    /**
+     * The number of messages currently held.
+     * @type {number}
+     */
+    get held() {
+        return this._held.length;
+    }
+
+    /**
+     * Produces the causal metadata of a message about to be posted.
+     * @param {BaseMessage} message - The outgoing message.
+     * @returns {CausalMetadata}
+     */
+    stamp(message) {
+        const deps = Object.fromEntries(this._delivered);
+        deps[this._channel.agentID] = this._seq;
+        return {
+            seq: message.toAgent ? null : ++this._seq,
+            deps
+        };
+    }
+
+    /**
+     * Delivers a received message now if its dependencies were delivered, or holds it until they are.
+     * @param {BaseMessage} message - The received message.
+     */
+    receive(message) {
+        const causal = CausalBuffer._causalOf(message);
+        if (!causal || message.agentID === this._channel.agentID) {
+            this._deliver(message);
+            return;
+        }
+
+        const entry = { message, causal, deadline: Date.now() + this._maxDelay };
+        if (this._held.length === 0 && this._isDeliverable(entry)) {
+            this._deliverEntry(entry);
+            return;
+        }
+
+        // Held in reading order, so messages freed together are delivered oldest first
+        const index = this._held.findIndex(held => HybridLogicalClock.compareMessages(message, held.message) < 0);
+        this._held.splice(index === -1 ? this._held.length : index, 0, entry);
+        this._deliverReady();
+        this._schedule();
+    }
+
+    /**
+     * Stops tracking an agent that left; messages waiting for it are no longer held back.
+     * @param {string} agentID - The departed agent.
+     */
+    forget(agentID) {
+        this._delivered.delete(agentID);
+        this._deliverReady();
+        this._schedule();
+    }
+
+    /**
+     * Drops the held messages and stops the timer.
+     */
+    close() {
+        clearTimeout(this._timer);
+        this._timer = null;
+        this._held = [];
+    }
+
+    /**
+     * Reads and checks the causal metadata of a received message.
+     * @private
+     * @param {BaseMessage} message
+     * @returns {CausalMetadata|null} The metadata, or null if missing or malformed.
+     */
+    static _causalOf(message) {
+        const causal = message.metadata?.causal;
+        if (typeof causal !== 'object' || causal === null || typeof causal.deps !== 'object' || causal.deps === null) {
+            return null;
+        }
+        if (causal.seq !== null && !Number.isInteger(causal.seq)) {
+            return null;
+        }
+        return causal;
+    }
+
+    /**
+     * Checks whether a message's dependencies were delivered.
+     * @private
+     * @param {HeldMessage} entry
+     * @returns {boolean}
+     */
+    _isDeliverable(entry) {
+        const { message, causal } = entry;
+
+        // The sender's previous broadcast comes first; earlier (late) ones are delivered at once
+        const last = this._delivered.get(message.agentID);
+        if (causal.seq !== null && last !== undefined && causal.seq > last + 1) {
+            return false;
+        }
+        // Without a baseline yet, an earlier broadcast of the sender that is still held comes first
+        if (causal.seq !== null && last === undefined && this._held.some(held =>
+            held !== entry && held.message.agentID === message.agentID && held.causal.seq !== null && held.causal.seq < causal.seq)) {
+            return false;
+        }
+
+        const self = this._channel.agentID;
+        for (const [agentID, seq] of Object.entries(causal.deps)) {
+            if (agentID === self || agentID === message.agentID) {
+                continue;
+            }
+            const delivered = this._delivered.get(agentID);
+            if (delivered !== undefined && delivered < seq) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Delivers a message and records its sequence number.
+     * @private
+     * @param {HeldMessage} entry
+     */
+    _deliverEntry(entry) {
+        const { message, causal } = entry;
+        const last = this._delivered.get(message.agentID);
+        if (causal.seq !== null) {
+            this._delivered.set(message.agentID, Math.max(last ?? 0, causal.seq));
+        } else if (last === undefined && Number.isInteger(causal.deps[message.agentID])) {
+            // A direct message sets the baseline for the sender's next broadcast
+            this._delivered.set(message.agentID, causal.deps[message.agentID]);
+        }
+        try {
+            this._deliver(message);
+        } catch (e) {
+            console.error(`CausalBuffer failed to deliver a '${message.type}' message in context '${this._channel.agentID}':`, e);
+        }
+    }
+
+    /**
+     * Delivers every held message whose dependencies were delivered, until none is left.
+     * @private
+     */
+    _deliverReady() {
+        let delivered = true;
+        while (delivered) {
+            delivered = false;
+            const index = this._held.findIndex(entry => this._isDeliverable(entry));
+            if (index !== -1) {
+                this._deliverEntry(this._held.splice(index, 1)[0]);
+                delivered = true;
+            }
+        }
+    }
+
+    /**
+     * Delivers the messages held past their deadline, in reading order, then what they freed.
+     * @private
+     */
+    _expire() {
+        this._timer = null;
+        const now = Date.now();
+        const expired = this._held.filter(entry => entry.deadline <= now);
+        this._held = this._held.filter(entry => entry.deadline > now);
+        expired.forEach(entry => this._deliverEntry(entry));
+        this._deliverReady();
+        this._schedule();
+    }
+
+    /**
+     * Arms the timer for the earliest deadline among the held messages.
+     * @private
+     */
+    _schedule() {
+        clearTimeout(this._timer);
+        this._timer = null;
+        if (this._held.length === 0) {
+            return;
+        }
+        const deadline = Math.min(...this._held.map(entry => entry.deadline));
+        this._timer = setTimeout(() => this._expire(), Math.max(0, deadline - Date.now()));
+    }
+}
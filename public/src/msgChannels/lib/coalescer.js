@@ -0,0 +1,317 @@
+/**
+ * @fileoverview Defines the MessageCoalescer class, which holds back outgoing messages of
+ * high-frequency types (status updates, file_modified events...) and posts them together.
+ * Each message type gets a policy: 'latest' keeps only the newest message per key, 'batch'
+ * keeps all of them; the held messages are flushed after a fixed interval or on the next
+ * animation frame. BaseChannel posts a flush of several messages as one BatchMessage.
+ *
+ * Coalesced messages are delayed, so they may be overtaken by messages of other types.
+ */
+
+/**
+ * @typedef {import('../messages/base.js').BaseMessage} BaseMessage
+ *
+ * @typedef {object} CoalescePolicy
+ * @property {'latest'|'batch'} [mode='latest'] - 'latest' posts only the newest message per key; 'batch' posts every message.
+ * @property {number|'frame'} [interval='frame'] - Milliseconds to hold messages, or 'frame' to flush on the next animation frame.
+ * @property {(message: BaseMessage) => string} [key] - Groups messages in 'latest' mode. Defaults to the recipient plus the status key or event name.
+ * @property {(message: BaseMessage) => boolean} [filter] - Only messages it accepts are coalesced; the others are posted at once.
+ * @property {number} [maxBatch=MessageCoalescer.DEFAULT_MAX_BATCH] - Most messages posted in one envelope; larger flushes are split.
+ *
+ * @typedef {object} HeldMessage
+ * @property {BaseMessage} message - The held message.
+ * @property {Transferable[]} transferables - Objects the message transfers.
+ *
+ * @callback FlushCallback
+ * @param {BaseMessage[]} messages - The messages to post together, in order.
+ * @param {Transferable[]} transferables - Objects they transfer.
+ * @returns {void}
+ *
+ * @callback BackpressureCallback
+ * @param {boolean} active - True when the queue grew past the high-water mark, false once it drained.
+ * @param {number} pending - The number of messages held.
+ * @returns {void}
+ */
+
+/**
+ * Delay used for 'frame' flushing where animation frames are unavailable or paused (hidden tabs).
+ * @private
+ * @type {number}
+ */
+const FRAME_FALLBACK_DELAY = 16;
+
+
+export class MessageCoalescer {
+
+    /**
+     * Policies keyed by message type.
+     * @private
+     * @type {Map<string, Required<CoalescePolicy>>}
+     */
+    _policies = new Map();
+
+    /**
+     * Held messages keyed by message type; 'latest' queues are keyed by coalescing key.
+     * @private
+     * @type {Map<string, {held: Map<string, HeldMessage>|HeldMessage[], cancel: (() => void)|null}>}
+     */
+    _queues = new Map();
+
+    /**
+     * Total number of held messages.
+     * @private
+     * @type {number}
+     */
+    _pending = 0;
+
+    /**
+     * Posts a flushed group of messages.
+     * @private
+     * @type {FlushCallback}
+     */
+    _flush;
+
+    /**
+     * Number of held messages above which backpressure is signalled.
+     * @private
+     * @type {number}
+     */
+    _highWaterMark;
+
+    /**
+     * Whether backpressure is currently signalled.
+     * @private
+     * @type {boolean}
+     */
+    _backpressure = false;
+
+    /**
+     * Subscribers notified when backpressure starts or ends.
+     * @private
+     * @type {Array<BackpressureCallback>}
+     */
+    _backpressureCallbacks = [];
+
+    /**
+     * Once closed, messages are no longer held.
+     * @private
+     * @type {boolean}
+     */
+    _closed = false;
+
+    /**
+     * Default largest number of messages posted in one envelope.
+     * @type {number}
+     */
+    static DEFAULT_MAX_BATCH = 256;
+
+    /**
+     * Default number of held messages above which backpressure is signalled.
+     * @type {number}
+     */
+    static DEFAULT_HIGH_WATER_MARK = 1000;
+
+    /**
+     * Creates a coalescer.
+     * @param {FlushCallback} flush - Posts a group of messages.
+     * @param {{highWaterMark?: number}} [options={}] - Optional configuration.
+     */
+    constructor(flush, options = {}) {
+        this._flush = flush;
+        this._highWaterMark = options.highWaterMark ?? MessageCoalescer.DEFAULT_HIGH_WATER_MARK;
+    }
+
+    /**
+     * The number of messages currently held.
+     * @type {number}
+     */
+    get pending() {
+        return this._pending;
+    }
+
+    /**
+     * Whether the held messages exceed the high-water mark.
+     * @type {boolean}
+     */
+    get backpressure() {
+        return this._backpressure;
+    }
+
+    /**
+     * Sets or removes the policy of a message type. Messages held under the previous policy are flushed.
+     * @param {string} type - The message type.
+     * @param {CoalescePolicy|null} policy - The policy, or null to post the type immediately again.
+     */
+    setPolicy(type, policy) {
+        this.flush(type);
+        if (policy === null) {
+            this._policies.delete(type);
+            return;
+        }
+
+        const mode = policy.mode ?? 'latest';
+        const interval = policy.interval ?? 'frame';
+        if (mode !== 'latest' && mode !== 'batch') {
+            throw new Error(`Unknown coalescing mode '${mode}'; expected 'latest' or 'batch'.`);
+        }
+        if (interval !== 'frame' && !(interval >= 0)) {
+            throw new Error(`Coalescing interval must be 'frame' or a non-negative number, got ${interval}.`);
+        }
+        this._policies.set(type, {
+            mode,
+            interval,
+            key: policy.key ?? defaultKey,
+            filter: policy.filter ?? (() => true),
+            maxBatch: Math.max(1, policy.maxBatch ?? MessageCoalescer.DEFAULT_MAX_BATCH)
+        });
+    }
+
+    /**
+     * Holds a message if its type is coalesced.
+     * @param {BaseMessage} message - The outgoing message.
+     * @param {Transferable[]} [transferables=[]] - Objects the message transfers.
+     * @returns {boolean} True if the message was held; false if the caller should post it now.
+     */
+    offer(message, transferables = []) {
+        const policy = this._policies.get(message.type);
+        if (this._closed || !policy || !policy.filter(message)) {
+            return false;
+        }
+
+        let queue = this._queues.get(message.type);
+        if (!queue) {
+            queue = { held: policy.mode === 'latest' ? new Map() : [], cancel: null };
+            this._queues.set(message.type, queue);
+        }
+
+        const held = { message, transferables };
+        if (Array.isArray(queue.held)) {
+            queue.held.push(held);
+            this._pending++;
+        } else {
+            // Latest value wins, in the position of the first pending message for the key
+            const key = policy.key(message);
+            if (!queue.held.has(key)) {
+                this._pending++;
+            }
+            queue.held.set(key, held);
+        }
+
+        if (!queue.cancel) {
+            queue.cancel = schedule(policy.interval, () => {
+                queue.cancel = null;
+                this._flushQueue(message.type);
+            });
+        }
+        this._updateBackpressure();
+        return true;
+    }
+
+    /**
+     * Posts held messages now.
+     * @param {string} [type] - Only flush this message type.
+     */
+    flush(type) {
+        const types = type === undefined ? Array.from(this._queues.keys()) : [type];
+        types.forEach(entry => this._flushQueue(entry));
+    }
+
+    /**
+     * Flushes everything and stops holding messages.
+     */
+    close() {
+        this.flush();
+        this._closed = true;
+        this._backpressureCallbacks = [];
+    }
+
+    /**
+     * Registers a callback notified when backpressure starts and when it ends.
+     * @param {BackpressureCallback} callback - The callback.
+     * @returns {() => void} Function that removes the callback.
+     */
+    onBackpressure(callback) {
+        this._backpressureCallbacks.push(callback);
+        return () => {
+            this._backpressureCallbacks = this._backpressureCallbacks.filter(cb => cb !== callback);
+        };
+    }
+
+    /**
+     * Posts the held messages of one type, split into groups of at most maxBatch.
+     * @private
+     * @param {string} type - The message type.
+     */
+    _flushQueue(type) {
+        const queue = this._queues.get(type);
+        if (!queue) {
+            return;
+        }
+        this._queues.delete(type);
+        queue.cancel?.();
+
+        const held = Array.from(queue.held.values());
+        this._pending -= held.length;
+        this._updateBackpressure();
+
+        const maxBatch = this._policies.get(type)?.maxBatch ?? MessageCoalescer.DEFAULT_MAX_BATCH;
+        for (let i = 0; i < held.length; i += maxBatch) {
+            const group = held.slice(i, i + maxBatch);
+            try {
+                this._flush(group.map(entry => entry.message), group.flatMap(entry => entry.transferables));
+            } catch (e) {
+                console.error(`MessageCoalescer failed to post ${group.length} '${type}' message(s):`, e);
+            }
+        }
+    }
+
+    /**
+     * Signals backpressure above the high-water mark, and its end once half of it has drained.
+     * @private
+     */
+    _updateBackpressure() {
+        const active = this._backpressure
+            ? this._pending > this._highWaterMark / 2
+            : this._pending > this._highWaterMark;
+        if (active === this._backpressure) {
+            return;
+        }
+        this._backpressure = active;
+        for (const callback of this._backpressureCallbacks) {
+            try {
+                callback(active, this._pending);
+            } catch (e) {
+                console.error('MessageCoalescer backpressure callback failed:', e);
+            }
+        }
+    }
+}
+
+/**
+ * Groups messages by recipient and status key or event name.
+ * @private
+ * @param {BaseMessage} message
+ * @returns {string}
+ */
+function defaultKey(message) {
+    const payload = message.payload;
+    return `${message.toAgent ?? ''}|${payload?.key ?? payload?.name ?? ''}`;
+}
+
+/**
+ * Runs a callback after an interval, or on the next animation frame.
+ * @private
+ * @param {number|'frame'} interval - Milliseconds, or 'frame'.
+ * @param {() => void} callback - The callback.
+ * @returns {() => void} Cancels the callback.
+ */
+function schedule(interval, callback) {
+    const framesRun = typeof requestAnimationFrame === 'function' &&
+        !(typeof document !== 'undefined' && document.hidden);
+    if (interval === 'frame' && framesRun) {
+        const frame = requestAnimationFrame(callback);
+        return () => cancelAnimationFrame(frame);
+    }
+    const timer = setTimeout(callback, interval === 'frame' ? FRAME_FALLBACK_DELAY : interval);
+    return () => clearTimeout(timer);
+}
@@ -0,0 +1,497 @@
+/**
+ * @fileoverview Defines the LeaderElection class, which picks one leader among the agents of
+ * a channel that take part in a named election (e.g., one IO worker out of several tabs).
+ *
+ * With the Web Locks API, the leader is whoever holds the lock named after the channel and
+ * the election; the browser hands the lock to the next waiting candidate when the leader's
+ * context goes away. Without it, a bully-style protocol runs over the channel: candidates
+ * rank by when they joined (earliest first, agentID as tie-breaker) and the best-ranked live
+ * candidate takes over. Either way the leader announces itself to the other candidates, and
+ * a leader that leaves or stops sending heartbeats is replaced.
+ */
+
+import { ElectionMessage } from '../messages/election.js';
+
+/**
+ * @typedef {import('../channels/base.js').BaseChannel} BaseChannel
+ * @typedef {import('../lib/roster.js').AgentLeftReason} AgentLeftReason
+ *
+ * @typedef {'locks'|'bully'} ElectionMode
+ *
+ * @typedef {object} ElectionOptions
+ * @property {boolean} [useLocks] - Use the Web Locks API. Defaults to true where it is available.
+ * @property {number} [electionTimeout=LeaderElection.DEFAULT_ELECTION_TIMEOUT] - Milliseconds to wait for other candidates to answer (bully mode).
+ *
+ * @callback LeaderChangedCallback
+ * @param {string|null} leader - The new leader's agentID, or null while there is none.
+ * @param {string|null} previous - The previous leader's agentID, or null.
+ * @returns {void}
+ */
+
+
+export class LeaderElection {
+
+    /**
+     * The name of the election.
+     * @type {string}
+     */
+    name;
+
+    /**
+     * The channel the election runs on.
+     * @private
+     * @type {BaseChannel}
+     */
+    _channel;
+
+    /**
+     * How the leader is chosen.
+     * @private
+     * @type {ElectionMode}
+     */
+    _mode;
+
+    /**
+     * When this agent joined the election; earlier candidates rank higher.
+     * @private
+     * @type {number}
+     */
+    _since;
+
+    /**
+     * Milliseconds to wait for other candidates to answer.
+     * @private
+     * @type {number}
+     */
+    _electionTimeout;
+
+    /**
+     * The other candidates, with the time they joined, keyed by agentID.
+     * @private
+     * @type {Map<string, number>}
+     */
+    _candidates = new Map();
+
+    /**
+     * The current leader's agentID.
+     * @private
+     * @type {string|null}
+     */
+    _leader = null;
+
+    /**
+     * Subscribers notified when the leader changes.
+     * @private
+     * @type {Array<LeaderChangedCallback>}
+     */
+    _callbacks = [];
+
+    /**
+     * Functions detaching the election from its channel.
+     * @private
+     * @type {Array<() => void>}
+     */
+    _detach = [];
+
+    /**
+     * Pending bully-mode timer (waiting for answers or for the expected leader).
+     * @private
+     * @type {number|null}
+     */
+    _timer = null;
+
+    /**
+     * Aborts the queued lock request (locks mode).
+     * @private
+     * @type {AbortController|null}
+     */
+    _lockController = null;
+
+    /**
+     * Releases the held lock (locks mode).
+     * @private
+     * @type {(() => void)|null}
+     */
+    _releaseLock = null;
+
+    /**
+     * Identifies the current lock request, so superseded requests are ignored when they fail.
+     * @private
+     * @type {number}
+     */
+    _lockAttempt = 0;
+
+    /**
+     * Whether this agent left the election.
+     * @private
+     * @type {boolean}
+     */
+    _resigned = false;
+
+    /**
+     * Default time to wait for other candidates to answer, in milliseconds.
+     * @type {number}
+     */
+    static DEFAULT_ELECTION_TIMEOUT = 250;
+
+    /**
+     * Joins an election. Prefer `channel.elect(name)`, which keeps one election per name.
+     * @param {BaseChannel} channel - The channel to run the election on.
+     * @param {string} name - The name of the election (e.g., 'opfs-io').
+     * @param {ElectionOptions} [options={}] - Optional configuration.
+     */
+    constructor(channel, name, options = {}) {
+        if (typeof name !== 'string' || name.length === 0) {
+            throw new Error('LeaderElection requires a non-empty name.');
+        }
+        const useLocks = options.useLocks ?? LeaderElection.locksAvailable();
+        if (useLocks && !LeaderElection.locksAvailable()) {
+            throw new Error('The Web Locks API is not available in this context.');
+        }
+
+        this.name = name;
+        this._channel = channel;
+        this._mode = useLocks ? 'locks' : 'bully';
+        this._since = Date.now();
+        this._electionTimeout = options.electionTimeout ?? LeaderElection.DEFAULT_ELECTION_TIMEOUT;
+
+        this._detach.push(
+            channel.on(ElectionMessage.msgType, this._handleMessage.bind(this)),
+            channel.onAgentLeft(this._handleAgentLeft.bind(this)),
+            // An agent that was expired but comes back must learn who leads (and a former leader that it no longer does)
+            channel.onAgentJoined((agent) => {
+                if (this.isLeader) {
+                    this._send('coordinator', agent.agentID);
+                }
+            })
+        );
+
+        // The other candidates answer with who they are, and the leader with who leads
+        this._send('candidate');
+        if (this._mode === 'locks') {
+            this._requestLock(false);
+        } else {
+            this._setTimer(() => this._evaluate());
+        }
+    }
+
+    /**
+     * Checks whether the Web Locks API is available.
+     * @returns {boolean}
+     */
+    static locksAvailable() {
+        return typeof navigator !== 'undefined' && typeof navigator.locks?.request === 'function';
+    }
+
+    /**
+     * The agentID of the current leader, or null while there is none.
+     * @type {string|null}
+     */
+    get leader() {
+        return this._leader;
+    }
+
+    /**
+     * Whether this agent is the leader.
+     * @type {boolean}
+     */
+    get isLeader() {
+        return this._leader !== null && this._leader === this._channel.agentID;
+    }
+
+    /**
+     * How the leader is chosen: 'locks' (Web Locks API) or 'bully' (over the channel).
+     * @type {ElectionMode}
+     */
+    get mode() {
+        return this._mode;
+    }
+
+    /**
+     * Whether this agent has left the election.
+     * @type {boolean}
+     */
+    get resigned() {
+        return this._resigned;
+    }
+
+    /**
+     * Registers a callback notified whenever the leader changes, including to or from this agent.
+     * @param {LeaderChangedCallback} callback - Receives the new and the previous leader.
+     * @returns {() => void} Function that removes the callback.
+     */
+    onLeaderChanged(callback) {
+        this._callbacks.push(callback);
+        return () => {
+            this._callbacks = this._callbacks.filter(cb => cb !== callback);
+        };
+    }
+
+    /**
+     * Moves this agent's candidacy to the new agentID it switched to (see BaseChannel.rekey(),
+     * which calls this). A leader keeps the lead under the new agentID: its callbacks see the
+     * change, and the other candidates are told who leads now.
+     * @param {string} previousAgentID - The agentID this agent had before.
+     */
+    rekey(previousAgentID) {
+        if (this._resigned) {
+            return;
+        }
+        if (this._leader === previousAgentID) {
+            this._setLeader(this._channel.agentID);
+            this._send('coordinator');
+        } else {
+            this._send('candidate');
+        }
+    }
+
+    /**
+     * Leaves the election. A leader steps down (its callbacks see the change to null) and the
+     * other candidates elect a new one.
+     */
+    resign() {
+        if (this._resigned) {
+            return;
+        }
+        this._resigned = true;
+        this._clearTimer();
+        this._detach.forEach(detach => detach());
+        this._detach = [];
+
+        this._lockController?.abort();
+        this._releaseLock?.();
+        this._send('resign');
+        this._setLeader(null);
+        this._callbacks = [];
+    }
+
+    // =========================================================================
+    // Protocol
+    // =========================================================================
+
+    /**
+     * Sends an election message.
+     * @private
+     * @param {import('../messages/election.js').ElectionMessageKind} kind - What to announce.
+     * @param {string|null} [toAgent=null] - Send to a single agent.
+     */
+    _send(kind, toAgent = null) {
+        this._channel.sendMsg(new ElectionMessage(this._channel.agent, this.name, kind, this._since, toAgent));
+    }
+
+    /**
+     * Handles the election messages of other candidates.
+     * @private
+     * @param {ElectionMessage} message - The received message.
+     */
+    _handleMessage(message) {
+        const { election, kind, since } = message.payload;
+        if (election !== this.name || message.agentID === this._channel.agentID) {
+            return;
+        }
+
+        if (kind === 'resign') {
+            this._candidates.delete(message.agentID);
+            if (this._leader === message.agentID) {
+                this._setLeader(null);
+                this._failover(false);
+            }
+            return;
+        }
+
+        this._candidates.set(message.agentID, since);
+
+        if (kind === 'candidate') {
+            // A newcomer broadcasts; tell it who we are, and whether we lead
+            if (!message.toAgent) {
+                this._send(this.isLeader ? 'coordinator' : 'candidate', message.agentID);
+            }
+            if (this._mode === 'bully' && this._leader === null && this._timer === null) {
+                this._evaluate();
+            }
+            return;
+        }
+
+        // kind === 'coordinator'
+        if (this.isLeader) {
+            // Locks: the lock decides, and a stolen lock is noticed when the request fails.
+            // Bully: the better-ranked of the two keeps the lead.
+            if (this._mode === 'locks') {
+                return;
+            }
+            if (this._ranksBefore(message.agentID, since)) {
+                this._setLeader(message.agentID);
+            } else {
+                this._send('coordinator');
+            }
+            return;
+        }
+        this._clearTimer();
+        this._setLeader(message.agentID);
+    }
+
+    /**
+     * Forgets a candidate that left the channel and replaces it if it was the leader.
+     * @private
+     * @param {{agentID: string}} agent - The agent that left.
+     * @param {AgentLeftReason} reason - Why it left.
+     */
+    _handleAgentLeft(agent, reason) {
+        this._candidates.delete(agent.agentID);
+        if (this._leader === agent.agentID) {
+            this._setLeader(null);
+            this._failover(reason === 'timeout');
+        }
+    }
+
+    /**
+     * Replaces a leader that is gone.
+     * @private
+     * @param {boolean} unresponsive - True if the leader stopped sending heartbeats without leaving.
+     */
+    _failover(unresponsive) {
+        if (this._mode === 'bully') {
+            this._evaluate();
+            return;
+        }
+        // A leader that left released its lock; one that hangs still holds it, so the best-ranked candidate takes it over
+        if (unresponsive && this._bestCandidate() === this._channel.agentID) {
+            this._requestLock(true);
+        }
+    }
+
+    /**
+     * Bully mode: leads if no better-ranked candidate is known, otherwise waits for the best
+     * one to announce itself and drops it if it stays silent.
+     * @private
+     */
+    _evaluate() {
+        this._clearTimer();
+        if (this._resigned || this._leader !== null) {
+            return;
+        }
+
+        const best = this._bestCandidate();
+        if (best === this._channel.agentID) {
+            this._setLeader(best);
+            this._send('coordinator');
+            return;
+        }
+        this._setTimer(() => {
+            this._candidates.delete(best);
+            this._evaluate();
+        });
+    }
+
+    /**
+     * Returns the best-ranked live candidate, this agent included.
+     * @private
+     * @returns {string}
+     */
+    _bestCandidate() {
+        let best = this._channel.agentID;
+        let bestSince = this._since;
+        for (const [agentID, since] of this._candidates) {
+            if (since < bestSince || (since === bestSince && agentID < best)) {
+                best = agentID;
+                bestSince = since;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Checks whether another candidate ranks before this agent.
+     * @private
+     * @param {string} agentID - The other candidate.
+     * @param {number} since - When it joined.
+     * @returns {boolean}
+     */
+    _ranksBefore(agentID, since) {
+        return since < this._since || (since === this._since && agentID < this._channel.agentID);
+    }
+
+    /**
+     * Queues for the election lock (or takes it over) and leads while holding it.
+     * Losing the lock to a takeover makes this agent a follower and queues it again.
+     * @private
+     * @param {boolean} steal - Take the lock from an unresponsive holder.
+     */
+    _requestLock(steal) {
+        // A takeover replaces our place in the queue
+        this._lockController?.abort();
+        const attempt = ++this._lockAttempt;
+        const controller = steal ? null : new AbortController();
+        this._lockController = controller;
+
+        const lockName = `${this._channel.channelName}:election:${this.name}`;
+        const options = steal ? { steal: true } : { signal: controller.signal };
+        navigator.locks.request(lockName, options, () => new Promise((resolve) => {
+            if (this._resigned || attempt !== this._lockAttempt) {
+                resolve();
+                return;
+            }
+            this._releaseLock = resolve;
+            this._setLeader(this._channel.agentID);
+            this._send('coordinator');
+        })).catch(() => {
+            // Aborted because we resigned or re-queued, or the lock was taken over
+            if (this._resigned || attempt !== this._lockAttempt) {
+                return;
+            }
+            this._releaseLock = null;
+            if (this.isLeader) {
+                this._setLeader(null);
+            }
+            this._requestLock(false);
+        });
+    }
+
+    // =========================================================================
+    // Helpers
+    // =========================================================================
+
+    /**
+     * Records a new leader and notifies the subscribers.
+     * @private
+     * @param {string|null} leader - The new leader.
+     */
+    _setLeader(leader) {
+        if (leader === this._leader) {
+            return;
+        }
+        const previous = this._leader;
+        this._leader = leader;
+        for (const callback of this._callbacks) {
+            try {
+                callback(leader, previous);
+            } catch (e) {
+                console.error(`LeaderElection '${this.name}' callback failed in context '${this._channel.agentID}':`, e);
+            }
+        }
+    }
+
+    /**
+     * Starts the bully-mode timer.
+     * @private
+     * @param {() => void} callback - Runs after the election timeout.
+     */
+    _setTimer(callback) {
+        this._clearTimer();
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            callback();
+        }, this._electionTimeout);
+    }
+
+    /**
+     * Stops the bully-mode timer.
+     * @private
+     */
+    _clearTimer() {
+        if (this._timer !== null) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+    }
+}
@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Serialization of errors across the structured-clone boundary, and the
+ * error-class registry used to rebuild them. ErrorMessage stores a SerializedError in its
+ * payload; AsyncChannel turns it back into an instance of the registered class (or a
+ * DOMException), so requesters can test `error.name` or `instanceof` as if the error had
+ * been thrown locally.
+ */
+
+/**
+ * @typedef {object} SerializedError
+ * @property {string} name - The error's name (e.g., 'TypeError', 'NotFoundError').
+ * @property {string} message - The error's message.
+ * @property {string|null} stack - The stack trace captured where the error was created.
+ * @property {any} [code] - The error's code, when it has one (e.g., a DOMException code or 'ENOENT').
+ * @property {boolean} [domException] - True if the error was a DOMException.
+ * @property {SerializedError} [cause] - The serialized `cause`, if any.
+ * @property {SerializedError[]} [errors] - The serialized members of an AggregateError.
+ * @property {Object<string, any>} [fields] - Own enumerable properties that survived structured cloning.
+ */
+
+/**
+ * Maximum depth of nested causes (and aggregate members) kept when serializing.
+ * @private
+ * @type {number}
+ */
+const MAX_CAUSE_DEPTH = 8;
+
+/**
+ * Properties handled explicitly, never copied as custom fields.
+ * @private
+ * @type {Set<string>}
+ */
+const RESERVED_FIELDS = new Set(['name', 'message', 'stack', 'cause', 'code', 'errors']);
+
+/**
+ * Error classes keyed by the error name they are rebuilt for.
+ * @private
+ * @type {Map<string, Function>}
+ */
+const ERROR_CLASSES = new Map();
+
+/**
+ * Registers an error class so received errors with the given name are rebuilt as instances of it.
+ * The class constructor is not called: the instance is created with the class prototype and
+ * the transmitted message, cause and fields.
+ * @param {Function} errorClass - An Error subclass.
+ * @param {string} [name=errorClass.name] - The error name to map; defaults to the class name.
+ */
+function registerErrorClass(errorClass, name = errorClass?.name) {
+    if (typeof errorClass !== 'function' || !(errorClass === Error || errorClass.prototype instanceof Error)) {
+        throw new TypeError('Only Error subclasses can be registered.');
+    }
+    if (typeof name !== 'string' || name.length === 0) {
+        throw new Error('An error class must be registered under a non-empty name.');
+    }
+    ERROR_CLASSES.set(name, errorClass);
+}
+
+/**
+ * Looks up the class registered for an error name.
+ * @param {string} name - The error name.
+ * @returns {Function|null} The registered class, or null if none.
+ */
+function getErrorClass(name) {
+    return ERROR_CLASSES.get(name) || null;
+}
+
+/**
+ * Converts any thrown value into a structured-cloneable description.
+ * @param {any} error - The thrown value.
+ * @param {number} [depth=0] - Current nesting depth (internal).
+ * @returns {SerializedError}
+ */
+function serializeError(error, depth = 0) {
+    if (!(error instanceof Error) && !isDOMException(error)) {
+        return { name: 'Error', message: String(error), stack: null };
+    }
+
+    const serialized = {
+        name: String(error.name || 'Error'),
+        message: String(error.message ?? ''),
+        stack: typeof error.stack === 'string' ? error.stack : null
+    };
+
+    if (isDOMException(error)) {
+        serialized.domException = true;
+    }
+    if (error.code !== undefined && isCloneable(error.code)) {
+        serialized.code = error.code;
+    }
+    if (depth < MAX_CAUSE_DEPTH) {
+        if (error.cause !== undefined) {
+            serialized.cause = serializeError(error.cause, depth + 1);
+        }
+        if (Array.isArray(error.errors)) {
+            serialized.errors = error.errors.map(member => serializeError(member, depth + 1));
+        }
+    }
+
+    const fields = {};
+    for (const key of Object.keys(error)) {
+        if (!RESERVED_FIELDS.has(key) && isCloneable(error[key])) {
+            fields[key] = error[key];
+        }
+    }
+    if (Object.keys(fields).length > 0) {
+        serialized.fields = fields;
+    }
+
+    return serialized;
+}
+
+/**
+ * Rebuilds an error from its serialized description. Registered names become instances of
+ * their class, DOMException names become DOMExceptions, anything else a plain Error carrying
+ * the original name.
+ * @param {SerializedError} serialized - The description produced by serializeError().
+ * @param {number} [depth=0] - Current nesting depth (internal).
+ * @returns {Error}
+ */
+function deserializeError(serialized, depth = 0) {
+    if (typeof serialized !== 'object' || serialized === null) {
+        return new Error(String(serialized));
+    }
+
+    const name = typeof serialized.name === 'string' && serialized.name.length > 0 ? serialized.name : 'Error';
+    const message = typeof serialized.message === 'string' ? serialized.message : '';
+    const options = {};
+    if (serialized.cause !== undefined && depth < MAX_CAUSE_DEPTH) {
+        options.cause = deserializeError(serialized.cause, depth + 1);
+    }
+
+    let error;
+    if (serialized.domException && typeof DOMException === 'function') {
+        error = new DOMException(message, name);
+        if (options.cause) {
+            Object.defineProperty(error, 'cause', { value: options.cause, writable: true, configurable: true });
+        }
+    } else {
+        const errorClass = getErrorClass(name) || Error;
+        // Create a genuine Error object with the class prototype, without running the class constructor
+        error = Reflect.construct(Error, [message, options], errorClass);
+        if (error.name !== name) {
+            Object.defineProperty(error, 'name', { value: name, writable: true, configurable: true });
+        }
+        if (serialized.code !== undefined) {
+            error.code = serialized.code;
+        }
+    }
+
+    if (Array.isArray(serialized.errors) && depth < MAX_CAUSE_DEPTH) {
+        Object.defineProperty(error, 'errors', {
+            value: serialized.errors.map(member => deserializeError(member, depth + 1)),
+            writable: true,
+            configurable: true
+        });
+    }
+    if (typeof serialized.fields === 'object' && serialized.fields !== null) {
+        for (const [key, value] of Object.entries(serialized.fields)) {
+            if (!RESERVED_FIELDS.has(key)) {
+                error[key] = value;
+            }
+        }
+    }
+
+    return error;
+}
+
+/**
+ * @private
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isDOMException(value) {
+    return typeof DOMException === 'function' && value instanceof DOMException;
+}
+
+/**
+ * @private
+ * @param {any} value
+ * @returns {boolean} True if the value survives structured cloning.
+ */
+function isCloneable(value) {
+    if (value === null || ['string', 'number', 'boolean', 'undefined', 'bigint'].includes(typeof value)) {
+        return true;
+    }
+    try {
+        structuredClone(value);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Built-in error classes
+[
+    Error,
+    TypeError,
+    RangeError,
+    SyntaxError,
+    ReferenceError,
+    EvalError,
+    URIError,
+    AggregateError
+].forEach(errorClass => registerErrorClass(errorClass));
+
+
+export {
+    registerErrorClass,
+    getErrorClass,
+    serializeError,
+    deserializeError
+};
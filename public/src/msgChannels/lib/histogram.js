@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Defines the LatencyHistogram class, a fixed-bucket histogram of durations
+ * used by ChannelMetrics. Buckets keep memory constant no matter how many samples are
+ * recorded; percentiles are estimated by interpolating inside the bucket they fall in.
+ */
+
+/**
+ * @typedef {object} HistogramBucket
+ * @property {number} le - Upper bound of the bucket in milliseconds (Infinity for the last one).
+ * @property {number} count - Number of samples in the bucket (not cumulative).
+ *
+ * @typedef {object} HistogramSummary
+ * @property {number} count - Number of samples.
+ * @property {number} sum - Sum of all samples in milliseconds.
+ * @property {number|null} mean - Average sample, or null without samples.
+ * @property {number|null} min - Smallest sample, or null without samples.
+ * @property {number|null} max - Largest sample, or null without samples.
+ * @property {number|null} p50 - Estimated median.
+ * @property {number|null} p95 - Estimated 95th percentile.
+ * @property {number|null} p99 - Estimated 99th percentile.
+ * @property {HistogramBucket[]} buckets - Per-bucket sample counts.
+ */
+
+
+export class LatencyHistogram {
+
+    /**
+     * Default bucket upper bounds in milliseconds; a final Infinity bucket is always added.
+     * @type {number[]}
+     */
+    static DEFAULT_BOUNDS = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+
+    /**
+     * Bucket upper bounds, ascending, ending with Infinity.
+     * @private
+     * @type {number[]}
+     */
+    _bounds;
+
+    /**
+     * Sample count per bucket.
+     * @private
+     * @type {number[]}
+     */
+    _counts;
+
+    /**
+     * Number of recorded samples.
+     * @private
+     * @type {number}
+     */
+    _count = 0;
+
+    /**
+     * Sum of the recorded samples.
+     * @private
+     * @type {number}
+     */
+    _sum = 0;
+
+    /**
+     * Smallest recorded sample.
+     * @private
+     * @type {number}
+     */
+    _min = Infinity;
+
+    /**
+     * Largest recorded sample.
+     * @private
+     * @type {number}
+     */
+    _max = -Infinity;
+
+    /**
+     * @param {number[]} [bounds=LatencyHistogram.DEFAULT_BOUNDS] - Ascending bucket upper bounds in milliseconds.
+     */
+    constructor(bounds = LatencyHistogram.DEFAULT_BOUNDS) {
+        this._bounds = [...bounds.filter(Number.isFinite).sort((a, b) => a - b), Infinity];
+        this._counts = new Array(this._bounds.length).fill(0);
+    }
+
+    /**
+     * Records one duration.
+     * @param {number} ms - The duration in milliseconds.
+     */
+    record(ms) {
+        if (!Number.isFinite(ms) || ms < 0) {
+            return;
+        }
+        const index = this._bounds.findIndex(bound => ms <= bound);
+        this._counts[index]++;
+        this._count++;
+        this._sum += ms;
+        this._min = Math.min(this._min, ms);
+        this._max = Math.max(this._max, ms);
+    }
+
+    /**
+     * Estimates a percentile from the bucket counts.
+     * @param {number} p - The percentile, between 0 and 100.
+     * @returns {number|null} The estimate in milliseconds, or null without samples.
+     */
+    percentile(p) {
+        if (this._count === 0) {
+            return null;
+        }
+        const rank = Math.max(1, Math.ceil((p / 100) * this._count));
+        let seen = 0;
+        for (let i = 0; i < this._counts.length; i++) {
+            if (seen + this._counts[i] < rank) {
+                seen += this._counts[i];
+                continue;
+            }
+            // Interpolate inside the bucket, bounded by the observed extremes
+            const lower = Math.max(i === 0 ? 0 : this._bounds[i - 1], this._min);
+            const upper = Math.min(this._bounds[i], this._max);
+            const fraction = (rank - seen) / this._counts[i];
+            return lower + (upper - lower) * fraction;
+        }
+        return this._max;
+    }
+
+    /**
+     * Returns a structured-cloneable summary of the histogram.
+     * @returns {HistogramSummary}
+     */
+    summary() {
+        const empty = this._count === 0;
+        return {
+            count: this._count,
+            sum: this._sum,
+            mean: empty ? null : this._sum / this._count,
+            min: empty ? null : this._min,
+            max: empty ? null : this._max,
+            p50: this.percentile(50),
+            p95: this.percentile(95),
+            p99: this.percentile(99),
+            buckets: this._bounds.map((le, i) => ({ le, count: this._counts[i] }))
+        };
+    }
+}
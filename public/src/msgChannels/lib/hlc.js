@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Defines the HybridLogicalClock class. A hybrid logical clock (HLC) reading pairs
+ * a wall-clock time with a logical counter: it stays close to physical time, never goes backwards,
+ * and moves past every reading received from other agents. A message sent after another was
+ * received therefore always carries a greater reading, even when the clocks of the two contexts
+ * disagree, so readings order events across tabs and workers consistently with causality.
+ * Concurrent events are ordered by reading, then by agentID.
+ *
+ * BaseChannel stamps a reading on every message it posts (`metadata.hlc`) and merges the
+ * readings of the messages it receives.
+ */
+
+/**
+ * @typedef {import('../messages/base.js').BaseMessage} BaseMessage
+ *
+ * @typedef {object} HLCTimestamp
+ * @property {number} wall - Wall-clock component, in milliseconds since the epoch.
+ * @property {number} logical - Counter ordering readings that share a wall time.
+ *
+ * @typedef {object} HybridLogicalClockOptions
+ * @property {number} [maxDrift=HybridLogicalClock.DEFAULT_MAX_DRIFT] - Readings further ahead of the local clock than this (ms) are not merged, so one wrong clock cannot drag every agent into the future.
+ * @property {() => number} [now=Date.now] - Source of physical time.
+ */
+
+
+export class HybridLogicalClock {
+
+    /**
+     * Wall-clock component of the latest reading.
+     * @private
+     * @type {number}
+     */
+    _wall = 0;
+
+    /**
+     * Logical component of the latest reading.
+     * @private
+     * @type {number}
+     */
+    _logical = 0;
+
+    /**
+     * Largest accepted lead (ms) of a received reading over the local clock.
+     * @private
+     * @type {number}
+     */
+    _maxDrift;
+
+    /**
+     * Source of physical time.
+     * @private
+     * @type {() => number}
+     */
+    _now;
+
+    /**
+     * Default largest accepted lead of a received reading over the local clock, in milliseconds.
+     * @type {number}
+     */
+    static DEFAULT_MAX_DRIFT = 60000; // 1 minute
+
+    /**
+     * Creates a clock starting at the current physical time.
+     * @param {HybridLogicalClockOptions} [options={}] - Optional configuration.
+     */
+    constructor(options = {}) {
+        this._maxDrift = options.maxDrift ?? HybridLogicalClock.DEFAULT_MAX_DRIFT;
+        this._now = options.now ?? Date.now;
+    }
+
+    /**
+     * The latest reading, without advancing the clock.
+     * @type {HLCTimestamp}
+     */
+    get last() {
+        return { wall: this._wall, logical: this._logical };
+    }
+
+    /**
+     * Advances the clock for a local event (e.g., sending a message).
+     * @returns {HLCTimestamp} A reading greater than every earlier one.
+     */
+    tick() {
+        const physical = this._now();
+        if (physical > this._wall) {
+            this._wall = physical;
+            this._logical = 0;
+        } else {
+            this._logical++;
+        }
+        return this.last;
+    }
+
+    /**
+     * Advances the clock past a received reading. Readings further ahead of the local clock
+     * than maxDrift are ignored.
+     * @param {HLCTimestamp} remote - The reading carried by the received message.
+     * @returns {HLCTimestamp} The clock's new reading.
+     */
+    receive(remote) {
+        const physical = this._now();
+        if (!HybridLogicalClock.isTimestamp(remote) || remote.wall - physical > this._maxDrift) {
+            return this.last;
+        }
+
+        const wall = Math.max(this._wall, remote.wall, physical);
+        if (wall === this._wall && wall === remote.wall) {
+            this._logical = Math.max(this._logical, remote.logical) + 1;
+        } else if (wall === this._wall) {
+            this._logical++;
+        } else if (wall === remote.wall) {
+            this._logical = remote.logical + 1;
+        } else {
+            this._logical = 0;
+        }
+        this._wall = wall;
+        return this.last;
+    }
+
+    /**
+     * Checks whether a value is a well-formed reading (e.g., a received `metadata.hlc`).
+     * @param {any} value
+     * @returns {boolean}
+     */
+    static isTimestamp(value) {
+        return typeof value === 'object' && value !== null &&
+            Number.isFinite(value.wall) && Number.isInteger(value.logical) && value.logical >= 0;
+    }
+
+    /**
+     * Compares two readings.
+     * @param {HLCTimestamp} a
+     * @param {HLCTimestamp} b
+     * @returns {number} Negative if a is earlier, positive if later, 0 if equal.
+     */
+    static compare(a, b) {
+        return a.wall - b.wall || a.logical - b.logical;
+    }
+
+    /**
+     * Orders messages by their readings, then by sender and msgID. Messages from peers
+     * predating the clock fall back to their creation timestamp.
+     * @param {BaseMessage} a
+     * @param {BaseMessage} b
+     * @returns {number} Negative if a comes first, positive if b does.
+     */
+    static compareMessages(a, b) {
+        return HybridLogicalClock.compare(HybridLogicalClock.readingOf(a), HybridLogicalClock.readingOf(b)) ||
+            (a.agentID < b.agentID ? -1 : a.agentID > b.agentID ? 1 : 0) ||
+            (a.msgID < b.msgID ? -1 : a.msgID > b.msgID ? 1 : 0);
+    }
+
+    /**
+     * The reading of a message, or its creation timestamp for peers predating the clock.
+     * @param {BaseMessage} message
+     * @returns {HLCTimestamp}
+     */
+    static readingOf(message) {
+        const reading = message.metadata?.hlc;
+        return HybridLogicalClock.isTimestamp(reading) ? reading : { wall: message.timestamp, logical: 0 };
+    }
+
+    /**
+     * Formats a reading as a fixed-width string whose lexicographic order is the reading order
+     * (e.g., '001718000000000.000003'), for storing next to persisted records.
+     * @param {HLCTimestamp} reading
+     * @returns {string}
+     */
+    static format(reading) {
+        return `${String(reading.wall).padStart(15, '0')}.${String(reading.logical).padStart(6, '0')}`;
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Defines the IdempotencyCache class, the bounded store behind AsyncChannel's
+ * request deduplication. It remembers the outcome of recently handled requests by their
+ * idempotency key so that a retried request replays the earlier result instead of
+ * re-running its handler.
+ */
+
+/**
+ * @typedef {object} IdempotencyEntry
+ * @property {Promise<any>} result - The handler's (possibly still pending) result.
+ * @property {AbortSignal} signal - The abort signal of the request that started the handler.
+ */
+
+
+export class IdempotencyCache {
+
+    /**
+     * Cached entries keyed by requester and idempotency key, oldest first.
+     * @private
+     * @type {Map<string, IdempotencyEntry>}
+     */
+    _entries = new Map();
+
+    /**
+     * Maximum number of entries kept before the least recently used is evicted.
+     * @type {number}
+     */
+    maxEntries;
+
+    /**
+     * @param {number} maxEntries - Maximum number of entries to keep.
+     */
+    constructor(maxEntries) {
+        if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+            throw new Error('IdempotencyCache requires a positive integer size.');
+        }
+        this.maxEntries = maxEntries;
+    }
+
+    /**
+     * Builds the cache key for a request. Keys are scoped to the requester so that
+     * two agents can never replay each other's results.
+     * @param {string} requesterID - The agent that sent the request.
+     * @param {string} idempotencyKey - The key carried by the request.
+     * @returns {string}
+     */
+    static keyFor(requesterID, idempotencyKey) {
+        return `${requesterID}|${idempotencyKey}`;
+    }
+
+    /**
+     * Returns an entry and marks it as recently used.
+     * @param {string} key - The cache key.
+     * @returns {IdempotencyEntry|null}
+     */
+    get(key) {
+        const entry = this._entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        // Re-insert to move the entry to the most recently used end
+        this._entries.delete(key);
+        this._entries.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Stores an entry, evicting the least recently used one when the cache is full.
+     * @param {string} key - The cache key.
+     * @param {IdempotencyEntry} entry - The entry to store.
+     */
+    set(key, entry) {
+        this._entries.delete(key);
+        this._entries.set(key, entry);
+        if (this._entries.size > this.maxEntries) {
+            this._entries.delete(this._entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Removes an entry, but only if it is still the given one.
+     * @param {string} key - The cache key.
+     * @param {IdempotencyEntry} entry - The entry expected under the key.
+     */
+    delete(key, entry) {
+        if (this._entries.get(key) === entry) {
+            this._entries.delete(key);
+        }
+    }
+
+    /**
+     * Removes every entry.
+     */
+    clear() {
+        this._entries.clear();
+    }
+
+    /**
+     * The number of cached entries.
+     * @type {number}
+     */
+    get size() {
+        return this._entries.size;
+    }
+}
@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Defines the ListenerRegistry class, the bookkeeping behind the on(), once(),
+ * off() and waitFor() methods of BaseChannel and of its namespaces. Listeners are keyed by
+ * message type or by a wildcard pattern: '*' for every type, or a prefix ending in '*'
+ * (e.g., 'system_*').
+ */
+
+/**
+ * @typedef {import('../messages/base.js').BaseMessage} BaseMessage
+ * @typedef {import('../channels/base.js').MessageCallback} MessageCallback
+ * @typedef {import('../channels/base.js').WaitForOptions} WaitForOptions
+ */
+
+
+/**
+ * Custom error used when waiting on the channel exceeds its timeout.
+ */
+export class ChannelTimeoutError extends Error {
+    constructor(message, timeout) {
+        super(`${message} Timed out after ${timeout}ms.`);
+        this.name = 'ChannelTimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+
+export class ListenerRegistry {
+
+    /**
+     * Map of message types (or wildcard patterns) to their registered callbacks.
+     * @private
+     * @type {Map<string, Array<MessageCallback>>}
+     */
+    _listeners = new Map();
+
+    /**
+     * Default timeout for waitFor() in milliseconds.
+     * @type {number}
+     */
+    static DEFAULT_WAIT_TIMEOUT = 10000; // 10 seconds
+
+    /**
+     * Extracts the message type string safely from a string or a message class/object.
+     * @param {string|{msgType: string}} type - The input type definition (string or class with static msgType).
+     * @returns {string} The resolved message type string.
+     */
+    static resolveType(type) {
+        if (typeof type === 'string' && type.length > 0) {
+            return type;
+        }
+        // Handle class objects with a static msgType property
+        if (typeof type === 'function' && 'msgType' in type && typeof type.msgType === 'string' && type.msgType.length > 0) {
+            return type.msgType;
+        }
+        // Handle object instances with a msgType property
+        if (typeof type === 'object' && type !== null && 'msgType' in type && typeof type.msgType === 'string' && type.msgType.length > 0) {
+            return type.msgType;
+        }
+        throw new Error('Invalid type specified. Must be a non-empty string or an object/class with a valid static msgType property.');
+    }
+
+    /**
+     * Registers a listener.
+     * @param {string|{msgType: string}} type - The message type, wildcard pattern or message class/object.
+     * @param {MessageCallback} callback - The function to execute when a matching message is received.
+     * @returns {() => void} Function that removes this registration only (unlike off(), which removes them all).
+     */
+    on(type, callback) {
+        const typeString = ListenerRegistry.resolveType(type);
+        const listeners = this._listeners.get(typeString) || [];
+        listeners.push(callback);
+        this._listeners.set(typeString, listeners);
+
+        let registered = true;
+        return () => {
+            if (registered) {
+                registered = false;
+                this._removeOne(typeString, callback);
+            }
+        };
+    }
+
+    /**
+     * Registers a listener that is removed after its first invocation.
+     * @param {string|{msgType: string}} type - The message type, wildcard pattern or message class/object.
+     * @param {MessageCallback} callback - The function to execute when a matching message is received.
+     * @returns {() => void} Function that removes this registration before it fires.
+     */
+    once(type, callback) {
+        const typeString = ListenerRegistry.resolveType(type);
+        const wrapper = (message) => {
+            remove();
+            callback(message);
+        };
+        // Lets off(type, callback) find the wrapper by the original callback
+        wrapper.listener = callback;
+        const remove = this.on(typeString, wrapper);
+        return remove;
+    }
+
+    /**
+     * Waits for the next message of a type, optionally matching a predicate.
+     * @param {string|{msgType: string}} type - The message type, wildcard pattern or message class/object.
+     * @param {WaitForOptions} [options={}] - Predicate, timeout and abort signal.
+     * @returns {Promise<BaseMessage>} Resolves with the first matching message.
+     */
+    waitFor(type, { predicate = null, timeout = ListenerRegistry.DEFAULT_WAIT_TIMEOUT, signal = null } = {}) {
+        const typeString = ListenerRegistry.resolveType(type);
+
+        if (signal?.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        return new Promise((resolve, reject) => {
+            let timeoutId = null;
+
+            const cleanup = () => {
+                clearTimeout(timeoutId);
+                signal?.removeEventListener('abort', onAbort);
+                this.off(typeString, listener);
+            };
+
+            const onAbort = () => {
+                cleanup();
+                reject(signal.reason);
+            };
+
+            const listener = (message) => {
+                try {
+                    if (predicate && !predicate(message)) {
+                        return;
+                    }
+                    resolve(message);
+                } catch (e) {
+                    reject(e);
+                }
+                cleanup();
+            };
+
+            this.on(typeString, listener);
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            if (Number.isFinite(timeout)) {
+                timeoutId = setTimeout(() => {
+                    cleanup();
+                    reject(new ChannelTimeoutError(`No '${typeString}' message received.`, timeout));
+                }, timeout);
+            }
+        });
+    }
+
+    /**
+     * Removes a specific listener function for a message type.
+     * @param {string|{msgType: string}} type - The message type, wildcard pattern or message class/object.
+     * @param {Function} callback - The function previously registered with `on()` or `once()`.
+     */
+    off(type, callback) {
+        const typeString = ListenerRegistry.resolveType(type);
+        const listeners = this._listeners.get(typeString);
+        if (listeners) {
+            const remaining = listeners.filter(cb => cb !== callback && cb.listener !== callback);
+            if (remaining.length > 0) {
+                this._listeners.set(typeString, remaining);
+            } else {
+                this._listeners.delete(typeString);
+            }
+        }
+    }
+
+    /**
+     * Removes a single registration of a listener function.
+     * @private
+     * @param {string} typeString - The resolved message type or wildcard pattern.
+     * @param {Function} registered - The function the registration added (a once() wrapper for once()).
+     */
+    _removeOne(typeString, registered) {
+        const listeners = this._listeners.get(typeString);
+        const index = listeners ? listeners.indexOf(registered) : -1;
+        if (index === -1) {
+            return;
+        }
+        // Copied, so a dispatch iterating over the current array is not disturbed
+        const remaining = listeners.filter((_, i) => i !== index);
+        if (remaining.length > 0) {
+            this._listeners.set(typeString, remaining);
+        } else {
+            this._listeners.delete(typeString);
+        }
+    }
+
+    /**
+     * Collects the listeners for a message type: exact matches first, then wildcard patterns.
+     * @param {string} type - The incoming message type.
+     * @returns {Array<MessageCallback>}
+     */
+    match(type) {
+        const matched = [...(this._listeners.get(type) || [])];
+        for (const [pattern, listeners] of this._listeners) {
+            if (pattern !== type && pattern.endsWith('*') && type.startsWith(pattern.slice(0, -1))) {
+                matched.push(...listeners);
+            }
+        }
+        return matched;
+    }
+
+    /**
+     * Removes every listener.
+     */
+    clear() {
+        this._listeners.clear();
+    }
+}
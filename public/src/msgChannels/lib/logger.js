@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Defines the Logger class, a namespaced front-end to a channel's log
+ * methods. Loggers are obtained with `channel.logger('opfs.write')`; every message they
+ * emit carries the namespace in its payload and is subject to the channel's minimum log
+ * level for that namespace.
+ */
+
+import { serializeError } from './errors.js';
+
+/**
+ * @typedef {import('../channels/base.js').BaseChannel} BaseChannel
+ * @typedef {import('../messages/log.js').LogLevel} LogLevel
+ */
+
+
+export class Logger {
+
+    /**
+     * The channel the logger emits on.
+     * @private
+     * @type {BaseChannel}
+     */
+    _channel;
+
+    /**
+     * The dot-separated namespace of the logger (e.g., 'opfs.write').
+     * @type {string}
+     */
+    namespace;
+
+    /**
+     * @param {BaseChannel} channel - The channel to emit on.
+     * @param {string} namespace - The dot-separated namespace of the logger.
+     */
+    constructor(channel, namespace) {
+        if (typeof namespace !== 'string' || namespace.length === 0) {
+            throw new Error('Logger requires a non-empty namespace.');
+        }
+        this._channel = channel;
+        this.namespace = namespace;
+    }
+
+    /**
+     * Returns a logger for a sub-namespace (e.g., 'opfs' → 'opfs.write').
+     * @param {string} name - The child name.
+     * @returns {Logger}
+     */
+    child(name) {
+        return this._channel.logger(`${this.namespace}.${name}`);
+    }
+
+    /**
+     * Checks whether messages of a level would currently be sent.
+     * Use it to skip building expensive log data.
+     * @param {LogLevel} level - The level to check.
+     * @returns {boolean}
+     */
+    isEnabled(level) {
+        return this._channel.isLogLevelEnabled(level, this.namespace);
+    }
+
+    /**
+     * Logs a message at the given level.
+     * Error objects passed as data are serialized so they survive cloning and JSON storage.
+     * @param {LogLevel} level - The log level.
+     * @param {string} message - The primary log message.
+     * @param {any} [data=null] - Optional additional data/context.
+     */
+    log(level, message, data = null) {
+        this._channel.log(message, data instanceof Error ? serializeError(data) : data, level, null, this.namespace);
+    }
+
+    /**
+     * @param {string} message - The primary log message.
+     * @param {any} [data=null] - Optional additional data/context.
+     */
+    trace(message, data = null) {
+        this.log('trace', message, data);
+    }
+
+    /**
+     * @param {string} message - The primary log message.
+     * @param {any} [data=null] - Optional additional data/context.
+     */
+    debug(message, data = null) {
+        this.log('debug', message, data);
+    }
+
+    /**
+     * @param {string} message - The primary log message.
+     * @param {any} [data=null] - Optional additional data/context.
+     */
+    info(message, data = null) {
+        this.log('info', message, data);
+    }
+
+    /**
+     * @param {string} message - The primary log message.
+     * @param {any} [data=null] - Optional additional data/context.
+     */
+    warn(message, data = null) {
+        this.log('warn', message, data);
+    }
+
+    /**
+     * @param {string} message - The primary log message.
+     * @param {any} [data=null] - Optional additional data/context, typically the Error.
+     */
+    error(message, data = null) {
+        this.log('error', message, data);
+    }
+
+    /**
+     * @param {string} message - The primary log message.
+     * @param {any} [data=null] - Optional additional data/context, typically the Error.
+     */
+    fatal(message, data = null) {
+        this.log('fatal', message, data);
+    }
+}
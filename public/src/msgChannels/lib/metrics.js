@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Defines the ChannelMetrics class, the counters behind `channel.metrics()`.
+ * BaseChannel records every message it posts or delivers (count and approximate payload
+ * size per message type); AsyncChannel adds request outcomes, latency histograms per
+ * request type and the depth of its pending-request map.
+ */
+
+import { LatencyHistogram } from './histogram.js';
+
+/**
+ * @typedef {import('../messages/base.js').BaseMessage} BaseMessage
+ * @typedef {import('./histogram.js').HistogramSummary} HistogramSummary
+ *
+ * @typedef {'ok'|'error'|'timeout'|'cancelled'} RequestOutcome
+ *
+ * @typedef {object} MessageTypeMetrics
+ * @property {number} sent - Messages of the type posted to the transport, each counted once.
+ * @property {number} retransmitted - Retransmissions of reliable messages of the type (see `options.reliable`).
+ * @property {number} received - Messages of the type delivered to this agent's listeners.
+ * @property {number} bytesSent - Approximate payload bytes sent.
+ * @property {number} bytesReceived - Approximate payload bytes received.
+ *
+ * @typedef {object} RequestTypeMetrics
+ * @property {number} total - Requests finished (sent by us, or handled by us).
+ * @property {number} ok - Requests answered successfully.
+ * @property {number} error - Requests answered with an error.
+ * @property {number} timeout - Requests that timed out.
+ * @property {number} cancelled - Requests aborted before an answer.
+ * @property {number} retries - Extra attempts made (outgoing requests only).
+ * @property {HistogramSummary} latency - Time from sending to settling (outgoing), or spent in the handler (incoming).
+ *
+ * @typedef {object} MetricsSnapshot
+ * @property {string} agentID - The agent the metrics belong to.
+ * @property {number} since - Timestamp (ms) the counters were started or last reset.
+ * @property {number} elapsed - Milliseconds covered by the counters; divide counts by it for rates.
+ * @property {Object<string, MessageTypeMetrics>} messages - Message counters keyed by message type.
+ * @property {{outgoing: Object<string, RequestTypeMetrics>, incoming: Object<string, RequestTypeMetrics>, pending: number, maxPending: number}} requests
+ * Request counters keyed by request type, and the current and highest number of requests awaiting an answer.
+ */
+
+/**
+ * Maximum number of values visited when estimating a payload size; larger payloads are under-counted.
+ * @private
+ * @type {number}
+ */
+const MAX_SIZE_NODES = 1000;
+
+
+export class ChannelMetrics {
+
+    /**
+     * Timestamp (ms) the counters were started or last reset.
+     * @private
+     * @type {number}
+     */
+    _since = Date.now();
+
+    /**
+     * Message counters keyed by message type.
+     * @private
+     * @type {Map<string, MessageTypeMetrics>}
+     */
+    _messages = new Map();
+
+    /**
+     * Request counters keyed by direction, then request type.
+     * @private
+     * @type {{outgoing: Map<string, object>, incoming: Map<string, object>}}
+     */
+    _requests = { outgoing: new Map(), incoming: new Map() };
+
+    /**
+     * Current number of pending outgoing requests.
+     * @private
+     * @type {number}
+     */
+    _pending = 0;
+
+    /**
+     * Highest number of pending outgoing requests since the last reset.
+     * @private
+     * @type {number}
+     */
+    _maxPending = 0;
+
+    /**
+     * Counts a message and its approximate payload size.
+     * Retransmissions are only counted, so `sent` and `bytesSent` cover each message once.
+     * @param {'sent'|'retransmitted'|'received'} direction - Whether the message was posted, posted again or delivered.
+     * @param {BaseMessage} message - The message.
+     */
+    recordMessage(direction, message) {
+        let counters = this._messages.get(message.type);
+        if (!counters) {
+            counters = { sent: 0, retransmitted: 0, received: 0, bytesSent: 0, bytesReceived: 0 };
+            this._messages.set(message.type, counters);
+        }
+        if (direction === 'retransmitted') {
+            counters.retransmitted++;
+            return;
+        }
+        const bytes = estimateSize(message.payload);
+        if (direction === 'sent') {
+            counters.sent++;
+            counters.bytesSent += bytes;
+        } else {
+            counters.received++;
+            counters.bytesReceived += bytes;
+        }
+    }
+
+    /**
+     * Records how a request finished.
+     * @param {'outgoing'|'incoming'} direction - Whether we sent the request or handled it.
+     * @param {string} requestType - The request type.
+     * @param {RequestOutcome} outcome - How the request finished.
+     * @param {number} durationMs - Latency (outgoing) or handler duration (incoming) in milliseconds.
+     */
+    recordRequest(direction, requestType, outcome, durationMs) {
+        const counters = this._requestCounters(direction, requestType);
+        counters.total++;
+        counters[outcome]++;
+        counters.latency.record(durationMs);
+    }
+
+    /**
+     * Counts an extra attempt of an outgoing request.
+     * @param {string} requestType - The request type.
+     */
+    recordRetry(requestType) {
+        this._requestCounters('outgoing', requestType).retries++;
+    }
+
+    /**
+     * Updates the number of pending outgoing requests.
+     * @param {number} depth - The current number of pending requests.
+     */
+    observePending(depth) {
+        this._pending = depth;
+        this._maxPending = Math.max(this._maxPending, depth);
+    }
+
+    /**
+     * Returns the counters of a request type, creating them on first use.
+     * @private
+     * @param {'outgoing'|'incoming'} direction - Whether we sent the request or handled it.
+     * @param {string} requestType - The request type.
+     * @returns {object}
+     */
+    _requestCounters(direction, requestType) {
+        const byType = this._requests[direction];
+        let counters = byType.get(requestType);
+        if (!counters) {
+            counters = { total: 0, ok: 0, error: 0, timeout: 0, cancelled: 0, retries: 0, latency: new LatencyHistogram() };
+            byType.set(requestType, counters);
+        }
+        return counters;
+    }
+
+    /**
+     * Returns a structured-cloneable copy of all counters.
+     * @param {string} agentID - The agent the metrics belong to.
+     * @returns {MetricsSnapshot}
+     */
+    snapshot(agentID) {
+        const requests = (byType) => Object.fromEntries(Array.from(byType, ([type, counters]) => [
+            type,
+            { ...counters, latency: counters.latency.summary() }
+        ]));
+
+        return {
+            agentID: agentID,
+            since: this._since,
+            elapsed: Date.now() - this._since,
+            messages: Object.fromEntries(Array.from(this._messages, ([type, counters]) => [type, { ...counters }])),
+            requests: {
+                outgoing: requests(this._requests.outgoing),
+                incoming: requests(this._requests.incoming),
+                pending: this._pending,
+                maxPending: this._maxPending
+            }
+        };
+    }
+
+    /**
+     * Clears every counter. The pending depth is kept, since those requests are still pending.
+     */
+    reset() {
+        this._since = Date.now();
+        this._messages.clear();
+        this._requests.outgoing.clear();
+        this._requests.incoming.clear();
+        this._maxPending = this._pending;
+    }
+}
+
+/**
+ * Estimates the size of a value as it would be cloned: UTF-16 strings, 8-byte numbers,
+ * and the byte length of binary data. Gives up after MAX_SIZE_NODES values.
+ * @private
+ * @param {any} value - The value to measure.
+ * @returns {number} The approximate size in bytes.
+ */
+function estimateSize(value) {
+    let bytes = 0;
+    let visited = 0;
+    const stack = [value];
+    const seen = new Set();
+
+    while (stack.length > 0 && visited < MAX_SIZE_NODES) {
+        const current = stack.pop();
+        visited++;
+
+        if (current === null || current === undefined) {
+            continue;
+        }
+        switch (typeof current) {
+            case 'string':
+                bytes += current.length * 2;
+                continue;
+            case 'number':
+            case 'bigint':
+                bytes += 8;
+                continue;
+            case 'boolean':
+                bytes += 4;
+                continue;
+            case 'object':
+                break;
+            default:
+                continue;
+        }
+
+        if (seen.has(current)) {
+            continue;
+        }
+        seen.add(current);
+
+        if (current instanceof ArrayBuffer || ArrayBuffer.isView(current)) {
+            bytes += current.byteLength;
+        } else if (typeof Blob === 'function' && current instanceof Blob) {
+            bytes += current.size;
+        } else if (current instanceof Map) {
+            current.forEach((entry, key) => stack.push(key, entry));
+        } else if (current instanceof Set) {
+            current.forEach(entry => stack.push(entry));
+        } else {
+            for (const key of Object.keys(current)) {
+                bytes += key.length * 2;
+                stack.push(current[key]);
+            }
+        }
+    }
+    return bytes;
+}
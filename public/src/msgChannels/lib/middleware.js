@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Defines the MiddlewarePipeline class, which runs BaseChannel's inbound and
+ * outbound middleware. Middleware run in registration order and may inspect, replace,
+ * delay (by returning a promise) or drop (by returning null) each message. The pipeline
+ * stays synchronous until a middleware actually returns a promise; from then on, later
+ * messages in the same direction queue behind the pending one so delivery order is kept.
+ */
+
+/**
+ * @typedef {import('../messages/base.js').BaseMessage} BaseMessage
+ *
+ * @typedef {'inbound'|'outbound'} MiddlewareDirection
+ *
+ * @typedef {object} MiddlewareContext
+ * @property {import('../channels/base.js').BaseChannel} channel - The channel running the middleware.
+ * @property {MiddlewareDirection} direction - Whether the message is being received or sent.
+ * @property {Transferable[]} transferables - Objects the message will transfer (always empty for inbound messages).
+ *
+ * @callback MiddlewareHandler
+ * @param {BaseMessage} message - The message so far.
+ * @param {MiddlewareContext} context - Information about the current pass.
+ * @returns {BaseMessage|null|undefined|Promise<BaseMessage|null|undefined>}
+ * The message to pass on (undefined keeps the current one), or null to drop it.
+ *
+ * @typedef {object} Middleware
+ * @property {string} [name] - Used in error reports.
+ * @property {MiddlewareHandler} [inbound] - Runs on every received message, after rehydration.
+ * @property {MiddlewareHandler} [outbound] - Runs on every message before it is posted.
+ */
+
+
+export class MiddlewarePipeline {
+
+    /**
+     * Registered middleware, in registration order.
+     * @private
+     * @type {Middleware[]}
+     */
+    _middleware = [];
+
+    /**
+     * Tail of the queue of messages waiting on asynchronous middleware, per direction.
+     * @private
+     * @type {{inbound: Promise<void>|null, outbound: Promise<void>|null}}
+     */
+    _queues = { inbound: null, outbound: null };
+
+    /**
+     * Adds a middleware at the end of the pipeline.
+     * @param {Middleware} middleware - The middleware to add.
+     * @returns {() => void} Function that removes the middleware.
+     */
+    add(middleware) {
+        if (typeof middleware !== 'object' || middleware === null ||
+            (typeof middleware.inbound !== 'function' && typeof middleware.outbound !== 'function')) {
+            throw new TypeError('Middleware must provide an inbound and/or outbound function.');
+        }
+        this._middleware.push(middleware);
+        return () => {
+            this._middleware = this._middleware.filter(entry => entry !== middleware);
+        };
+    }
+
+    /**
+     * Returns a promise settling once the messages queued behind asynchronous middleware
+     * have been processed, or null when nothing is queued.
+     * @param {MiddlewareDirection} direction - The direction to wait for.
+     * @returns {Promise<void>|null}
+     */
+    drained(direction) {
+        return this._queues[direction];
+    }
+
+    /**
+     * Runs a message through the middleware of one direction and hands the result to `deliver`.
+     * Delivery is synchronous unless a middleware returned a promise, or an earlier message
+     * is still waiting on one.
+     * @param {MiddlewareDirection} direction - Whether the message is being received or sent.
+     * @param {BaseMessage} message - The message to process.
+     * @param {MiddlewareContext} context - Passed to every middleware.
+     * @param {(message: BaseMessage) => void} deliver - Called with the final message unless it was dropped.
+     * @param {(error: any) => void} onAsyncError - Called when an asynchronous middleware or delivery fails.
+     */
+    dispatch(direction, message, context, deliver, onAsyncError) {
+        const queued = this._queues[direction];
+        if (queued) {
+            this._enqueue(direction, queued.then(() => this._run(direction, message, context, this._snapshot(direction), 0)), deliver, onAsyncError);
+            return;
+        }
+
+        const result = this._run(direction, message, context, this._snapshot(direction), 0);
+        if (isThenable(result)) {
+            this._enqueue(direction, result, deliver, onAsyncError);
+        } else if (result) {
+            deliver(result);
+        }
+    }
+
+    /**
+     * Appends an asynchronous pass to the direction's queue.
+     * @private
+     * @param {MiddlewareDirection} direction - The queue to extend.
+     * @param {Promise<BaseMessage|null>} pass - The pending middleware pass.
+     * @param {(message: BaseMessage) => void} deliver - Receives the final message.
+     * @param {(error: any) => void} onAsyncError - Receives failures.
+     */
+    _enqueue(direction, pass, deliver, onAsyncError) {
+        const tail = pass
+            .then((result) => {
+                if (result) {
+                    deliver(result);
+                }
+            })
+            .catch(onAsyncError)
+            .finally(() => {
+                // Go back to synchronous processing once the queue has drained
+                if (this._queues[direction] === tail) {
+                    this._queues[direction] = null;
+                }
+            });
+        this._queues[direction] = tail;
+    }
+
+    /**
+     * Captures the handlers of one direction, so middleware added or removed mid-pass do not affect it.
+     * @private
+     * @param {MiddlewareDirection} direction - The direction.
+     * @returns {Array<{name: string, handler: MiddlewareHandler}>}
+     */
+    _snapshot(direction) {
+        return this._middleware
+            .filter(middleware => typeof middleware[direction] === 'function')
+            .map(middleware => ({ name: middleware.name || 'anonymous', handler: middleware[direction].bind(middleware) }));
+    }
+
+    /**
+     * Runs the handlers from `index` onwards, switching to promises only when a handler returns one.
+     * @private
+     * @param {MiddlewareDirection} direction - The direction.
+     * @param {BaseMessage} message - The message so far.
+     * @param {MiddlewareContext} context - Passed to every middleware.
+     * @param {Array<{name: string, handler: MiddlewareHandler}>} handlers - The handlers to run.
+     * @param {number} index - The first handler to run.
+     * @returns {BaseMessage|null|Promise<BaseMessage|null>}
+     */
+    _run(direction, message, context, handlers, index) {
+        for (let i = index; i < handlers.length; i++) {
+            const { name, handler } = handlers[i];
+            const result = handler(message, context);
+
+            if (isThenable(result)) {
+                return Promise.resolve(result).then((resolved) => {
+                    const next = this._accept(name, direction, message, resolved);
+                    return next ? this._run(direction, next, context, handlers, i + 1) : null;
+                });
+            }
+
+            message = this._accept(name, direction, message, result);
+            if (!message) {
+                return null;
+            }
+        }
+        return message;
+    }
+
+    /**
+     * Interprets a middleware's return value.
+     * @private
+     * @param {string} name - The middleware's name, for error reports.
+     * @param {MiddlewareDirection} direction - The direction.
+     * @param {BaseMessage} message - The message the middleware received.
+     * @param {any} result - What the middleware returned.
+     * @returns {BaseMessage|null} The message to pass on, or null to drop it.
+     */
+    _accept(name, direction, message, result) {
+        if (result === undefined) {
+            return message;
+        }
+        if (result === null || result === false) {
+            return null;
+        }
+        if (typeof result !== 'object' || typeof result.type !== 'string') {
+            throw new TypeError(`Middleware '${name}' (${direction}) must return a message, null or undefined.`);
+        }
+        return result;
+    }
+}
+
+/**
+ * @private
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isThenable(value) {
+    return value !== null && typeof value === 'object' && typeof value.then === 'function';
+}
@@ -0,0 +1,300 @@
+/**
+ * @fileoverview Defines the ChannelRecorder class, which captures every message a channel
+ * sends and receives, with its timing relative to the start of the recording. Recordings
+ * are kept in memory and can additionally be streamed as NDJSON to a sink (see OPFSRecorder
+ * for a file-backed one); ChannelReplayer plays them back.
+ *
+ * The channel feeds its recorder itself, so a recorder must be attached at construction,
+ * through the channel's `recorder` option; that way the recording starts with the initial
+ * hello. Messages are recorded as they go over the wire: outgoing ones once stamped with
+ * their clock reading (after middleware and coalescing, and only on their first post),
+ * incoming ones before the inbound middleware. Acknowledgements are not recorded.
+ */
+
+import { stringify, parse } from './taggedJSON.js';
+
+/**
+ * @typedef {import('../channels/base.js').BaseChannel} BaseChannel
+ * @typedef {import('../messages/base.js').BaseMessage} BaseMessage
+ *
+ * @typedef {object} RecordedMessage
+ * @property {number} t - Milliseconds since the start of the recording.
+ * @property {'inbound'|'outbound'} direction - Whether the recording channel received or sent the message.
+ * @property {object} message - A structured-cloned copy of the message envelope.
+ * @property {boolean} [truncated] - True if the payload could not be cloned and was dropped.
+ *
+ * @typedef {object} Recording
+ * @property {number} version - Format version of the recording.
+ * @property {string} channelName - The name of the recorded channel.
+ * @property {string} agentID - The agent the recording was made from.
+ * @property {number} startedAt - Timestamp (ms) the recording started at.
+ * @property {RecordedMessage[]} entries - The recorded messages, in the order they were seen.
+ *
+ * @callback RecordingSink
+ * @param {string} chunk - One or more NDJSON lines (the first chunk starts with the recording header).
+ * @returns {void|Promise<void>}
+ *
+ * @typedef {object} RecorderOptions
+ * @property {number} [maxEntries=ChannelRecorder.DEFAULT_MAX_ENTRIES] - Messages kept in memory; the oldest are dropped first. The sink always receives every message.
+ * @property {RecordingSink} [sink] - Receives the recording as NDJSON while it is being made.
+ */
+
+/**
+ * Format version written in recording headers.
+ * @private
+ * @type {number}
+ */
+const RECORDING_VERSION = 1;
+
+
+export class ChannelRecorder {
+
+    /**
+     * The recorded channel.
+     * @private
+     * @type {BaseChannel}
+     */
+    _channel;
+
+    /**
+     * The recorded messages kept in memory.
+     * @private
+     * @type {RecordedMessage[]}
+     */
+    _entries = [];
+
+    /**
+     * Messages kept in memory.
+     * @private
+     * @type {number}
+     */
+    _maxEntries;
+
+    /**
+     * Receives the NDJSON stream, if any.
+     * @private
+     * @type {RecordingSink|null}
+     */
+    _sink;
+
+    /**
+     * Lines waiting to be handed to the sink.
+     * @private
+     * @type {string[]}
+     */
+    _pendingLines = [];
+
+    /**
+     * Tail of the serialized sink writes.
+     * @private
+     * @type {Promise<void>}
+     */
+    _sinkChain = Promise.resolve();
+
+    /**
+     * Whether a sink write is already scheduled for the pending lines.
+     * @private
+     * @type {boolean}
+     */
+    _flushScheduled = false;
+
+    /**
+     * The first error a sink write failed with, if any.
+     * @private
+     * @type {any}
+     */
+    _sinkError = null;
+
+    /**
+     * performance.now() value the entry times are relative to.
+     * @private
+     * @type {number}
+     */
+    _origin = performance.now();
+
+    /**
+     * Whether stop() was called.
+     * @private
+     * @type {boolean}
+     */
+    _stopped = false;
+
+    /**
+     * The header describing the recording.
+     * @type {{version: number, channelName: string, agentID: string, startedAt: number}}
+     */
+    header;
+
+    /**
+     * Default number of messages kept in memory.
+     * @type {number}
+     */
+    static DEFAULT_MAX_ENTRIES = 10000;
+
+    /**
+     * Starts recording a channel. Call it from the channel's `recorder` option; the channel
+     * hands the recorder its messages.
+     * @param {BaseChannel} channel - The channel to record.
+     * @param {RecorderOptions} [options={}] - Optional recorder configuration.
+     */
+    constructor(channel, options = {}) {
+        this._channel = channel;
+        this._maxEntries = options.maxEntries ?? ChannelRecorder.DEFAULT_MAX_ENTRIES;
+        this._sink = options.sink ?? null;
+        this.header = {
+            version: RECORDING_VERSION,
+            channelName: channel.channelName,
+            agentID: channel.agentID,
+            startedAt: Date.now()
+        };
+        if (this._sink) {
+            this._pendingLines.push(JSON.stringify(this.header) + '\n');
+        }
+    }
+
+    /**
+     * Whether the recorder is still capturing messages.
+     * @type {boolean}
+     */
+    get recording() {
+        return !this._stopped;
+    }
+
+    /**
+     * The messages recorded so far (those still kept in memory).
+     * @type {RecordedMessage[]}
+     */
+    get entries() {
+        return this._entries.slice();
+    }
+
+    /**
+     * Returns the recording kept in memory, ready for ChannelReplayer.
+     * @returns {Recording}
+     */
+    toRecording() {
+        return { ...this.header, entries: this._entries.slice() };
+    }
+
+    /**
+     * Serializes the recording kept in memory as NDJSON: a header line, then one line per message.
+     * Binary data, Dates, Maps and Sets are tagged so they survive the round trip through parse().
+     * @returns {string}
+     */
+    toNDJSON() {
+        return [this.header, ...this._entries].map(line => ChannelRecorder._serialize(line)).join('\n') + '\n';
+    }
+
+    /**
+     * Serializes one recording line, dropping a payload that cannot be encoded (e.g., cyclic data).
+     * @private
+     * @param {object} line - The header or a RecordedMessage.
+     * @returns {string}
+     */
+    static _serialize(line) {
+        try {
+            return stringify(line);
+        } catch {
+            return stringify({ ...line, message: { ...line.message, payload: null }, truncated: true });
+        }
+    }
+
+    /**
+     * Parses an NDJSON recording produced by toNDJSON() or a sink.
+     * @param {string} text - The NDJSON text.
+     * @returns {Recording}
+     */
+    static parse(text) {
+        const lines = text.split('\n').filter(line => line.trim().length > 0);
+        if (lines.length === 0) {
+            throw new Error('The recording is empty.');
+        }
+        const header = parse(lines[0]);
+        if (header.version !== RECORDING_VERSION) {
+            throw new Error(`Unsupported recording version: ${header.version}.`);
+        }
+        const entries = [];
+        for (const line of lines.slice(1)) {
+            try {
+                entries.push(parse(line));
+            } catch {
+                // A recording cut short mid-write ends with a partial line
+            }
+        }
+        return { ...header, entries };
+    }
+
+    /**
+     * Stops recording and waits for the sink to receive the remaining messages.
+     * @returns {Promise<void>} Rejects with the first error a sink write failed with, as the
+     * sink then missed part of the recording.
+     */
+    stop() {
+        this._stopped = true;
+        return this._flushSink().then(() => {
+            if (this._sinkError !== null) {
+                throw this._sinkError;
+            }
+        });
+    }
+
+    /**
+     * Forgets the messages kept in memory (the sink keeps what it received).
+     */
+    clear() {
+        this._entries = [];
+    }
+
+    /**
+     * Records a copy of a message the channel posts or receives. Called by the channel.
+     * @param {'inbound'|'outbound'} direction - Whether the message is being received or sent.
+     * @param {BaseMessage} message - The message.
+     */
+    capture(direction, message) {
+        if (this._stopped) {
+            return;
+        }
+        /** @type {RecordedMessage} */
+        const entry = { t: performance.now() - this._origin, direction, message: null };
+        try {
+            entry.message = structuredClone({ ...message });
+        } catch {
+            // Payloads carrying transfer-only objects (e.g., MessagePorts) are recorded without their payload
+            entry.message = structuredClone({ ...message, payload: null });
+            entry.truncated = true;
+        }
+
+        this._entries.push(entry);
+        if (this._entries.length > this._maxEntries) {
+            this._entries.shift();
+        }
+        if (this._sink) {
+            this._pendingLines.push(ChannelRecorder._serialize(entry) + '\n');
+            // Batch the messages of the current task into a single write
+            if (!this._flushScheduled) {
+                this._flushScheduled = true;
+                queueMicrotask(() => this._flushSink());
+            }
+        }
+    }
+
+    /**
+     * Hands the pending lines to the sink, one write at a time.
+     * @private
+     * @returns {Promise<void>} Resolves once the sink has received everything queued so far.
+     */
+    _flushSink() {
+        this._flushScheduled = false;
+        if (this._sink && this._pendingLines.length > 0) {
+            const chunk = this._pendingLines.splice(0).join('');
+            this._sinkChain = this._sinkChain
+                .then(() => this._sink(chunk))
+                .catch((e) => {
+                    // Later writes are still attempted; stop() reports the first failure
+                    this._sinkError ??= e;
+                    console.error('ChannelRecorder sink failed:', e);
+                });
+        }
+        return this._sinkChain;
+    }
+}
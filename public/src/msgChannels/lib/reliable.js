@@ -0,0 +1,378 @@
+/**
+ * @fileoverview Defines the ReliableDelivery class, behind BaseChannel's reliable direct
+ * messaging. A sender that enables it numbers its direct messages per recipient
+ * (`metadata.reliable.seq`) and retransmits each one, with a growing timeout, until the
+ * recipient acknowledges it; after maxRetransmits it gives up and reports the failure.
+ * Recipients always acknowledge messages asking for it, and drop copies they already
+ * received (a retransmission whose first copy did arrive), remembering recent msgIDs in a
+ * bounded LRU and, per sender, the sequence numbers below which everything arrived. The
+ * stamp carries the sender's instance nonce too: an agent that comes back with the same
+ * agentID (e.g., a reloaded tab keeping it) numbers its messages from 1 again.
+ * Delivery is not ordered: a retransmitted message arrives after the ones sent since.
+ * Broadcasts never ask for acknowledgements, so their cost is unchanged.
+ */
+
+/**
+ * @typedef {import('../messages/base.js').BaseMessage} BaseMessage
+ *
+ * @typedef {object} ReliableOptions
+ * @property {number} [retransmitTimeout=ReliableDelivery.DEFAULT_RETRANSMIT_TIMEOUT] - Milliseconds to wait for the first acknowledgement; doubled after every retransmission.
+ * @property {number} [maxRetransmits=ReliableDelivery.DEFAULT_MAX_RETRANSMITS] - Retransmissions before the message is reported as failed.
+ * Retransmissions resend the original envelope, so over a SecureTransport the whole delivery window
+ * (see ReliableDelivery.deliveryWindow()) must stay within its maxClockSkew; BaseChannel checks this.
+ * @property {number} [dedupeSize=ReliableDelivery.DEFAULT_DEDUPE_SIZE] - Received msgIDs remembered to drop duplicates.
+ *
+ * @typedef {'timeout'|'agent-left'|'closed'|'send-failed'} DeliveryFailureReason
+ * - 'timeout': the recipient never acknowledged the message.
+ * - 'agent-left': the recipient left the channel first.
+ * - 'closed': the sending channel was closed first.
+ * - 'send-failed': the transport could not send the message (e.g., a SecureTransport without usable keys).
+ *
+ * @typedef {object} DeliveryFailure
+ * @property {BaseMessage} message - The message that was not acknowledged.
+ * @property {string} toAgent - Its recipient.
+ * @property {number} attempts - How many times it was posted.
+ * @property {DeliveryFailureReason} reason - Why delivery was given up.
+ * @property {any} [error] - The transport's error, for 'send-failed'.
+ *
+ * @typedef {object} ReliableDeliveryHooks
+ * @property {(message: BaseMessage) => void} post - Posts a message again.
+ * @property {(toAgent: string, msgIDs: string[]) => void} sendAck - Acknowledges received messages to their sender.
+ * @property {(failure: DeliveryFailure) => void} onFailed - Reports a message that was given up.
+ *
+ * @typedef {object} PendingDelivery
+ * @property {BaseMessage} message - The unacknowledged message.
+ * @property {number} attempts - How many times it was posted.
+ * @property {number|null} timer - Retransmission timer.
+ *
+ * @typedef {object} ReceivedSequence
+ * @property {string|undefined} instance - The sender instance the numbers belong to.
+ * @property {number} floor - Every sequence number up to this one was received.
+ * @property {Set<number>} above - Sequence numbers received above the floor.
+ */
+
+
+export class ReliableDelivery {
+
+    /**
+     * Nonce of the sending agent, stamped next to the sequence numbers.
+     * @private
+     * @type {string}
+     */
+    _instance;
+
+    /**
+     * Posts, acknowledges and reports on behalf of the channel.
+     * @private
+     * @type {ReliableDeliveryHooks}
+     */
+    _hooks;
+
+    /**
+     * Milliseconds to wait for the first acknowledgement.
+     * @private
+     * @type {number}
+     */
+    _retransmitTimeout;
+
+    /**
+     * Retransmissions before a message is given up.
+     * @private
+     * @type {number}
+     */
+    _maxRetransmits;
+
+    /**
+     * Received msgIDs remembered at most.
+     * @private
+     * @type {number}
+     */
+    _dedupeSize;
+
+    /**
+     * Last sequence number used per recipient.
+     * @private
+     * @type {Map<string, number>}
+     */
+    _sequences = new Map();
+
+    /**
+     * Sent messages waiting for their acknowledgement, keyed by msgID.
+     * @private
+     * @type {Map<string, PendingDelivery>}
+     */
+    _pending = new Map();
+
+    /**
+     * Recently received msgIDs, oldest first.
+     * @private
+     * @type {Set<string>}
+     */
+    _seen = new Set();
+
+    /**
+     * Received sequence numbers per sender, for its latest instance.
+     * @private
+     * @type {Map<string, ReceivedSequence>}
+     */
+    _received = new Map();
+
+    /**
+     * Acknowledgements waiting to be sent, grouped by sender.
+     * @private
+     * @type {Map<string, string[]>}
+     */
+    _acks = new Map();
+
+    /**
+     * Default time to wait for the first acknowledgement, in milliseconds.
+     * @type {number}
+     */
+    static DEFAULT_RETRANSMIT_TIMEOUT = 500;
+
+    /**
+     * Default number of retransmissions before a message is given up.
+     * @type {number}
+     */
+    static DEFAULT_MAX_RETRANSMITS = 4;
+
+    /**
+     * Default number of received msgIDs remembered.
+     * @type {number}
+     */
+    static DEFAULT_DEDUPE_SIZE = 1000;
+
+    /**
+     * How long a message is retransmitted before it is given up, in milliseconds: the waits for
+     * its acknowledgement, doubling from retransmitTimeout, of the first post and every retransmission.
+     * @param {ReliableOptions} [options={}] - The reliable-delivery options.
+     * @returns {number}
+     */
+    static deliveryWindow(options = {}) {
+        const retransmitTimeout = options.retransmitTimeout ?? ReliableDelivery.DEFAULT_RETRANSMIT_TIMEOUT;
+        const maxRetransmits = options.maxRetransmits ?? ReliableDelivery.DEFAULT_MAX_RETRANSMITS;
+        return retransmitTimeout * (2 ** (maxRetransmits + 1) - 1);
+    }
+
+    /**
+     * Creates the reliable-delivery bookkeeping of a channel.
+     * @param {string} instance - Nonce of the sending agent (see MessageAgent.nonce).
+     * @param {ReliableDeliveryHooks} hooks - Posts, acknowledges and reports on behalf of the channel.
+     * @param {ReliableOptions} [options={}] - Optional configuration.
+     */
+    constructor(instance, hooks, options = {}) {
+        this._instance = instance;
+        this._hooks = hooks;
+        this._retransmitTimeout = options.retransmitTimeout ?? ReliableDelivery.DEFAULT_RETRANSMIT_TIMEOUT;
+        this._maxRetransmits = options.maxRetransmits ?? ReliableDelivery.DEFAULT_MAX_RETRANSMITS;
+        this._dedupeSize = Math.max(1, options.dedupeSize ?? ReliableDelivery.DEFAULT_DEDUPE_SIZE);
+    }
+
+    /**
+     * The number of sent messages not acknowledged yet.
+     * @type {number}
+     */
+    get pending() {
+        return this._pending.size;
+    }
+
+    // =========================================================================
+    // Sending
+    // =========================================================================
+
+    /**
+     * Checks whether a message is already tracked (i.e., it is being retransmitted).
+     * @param {BaseMessage} message
+     * @returns {boolean}
+     */
+    isTracked(message) {
+        return this._pending.has(message.msgID);
+    }
+
+    /**
+     * Numbers a direct message about to be posted for the first time and starts waiting for its acknowledgement.
+     * @param {BaseMessage} message - The outgoing direct message.
+     */
+    track(message) {
+        const seq = (this._sequences.get(message.toAgent) ?? 0) + 1;
+        this._sequences.set(message.toAgent, seq);
+        message.metadata.reliable = { seq, instance: this._instance };
+
+        const pending = { message, attempts: 1, timer: null };
+        this._pending.set(message.msgID, pending);
+        this._arm(pending);
+    }
+
+    /**
+     * Stops retransmitting acknowledged messages.
+     * @param {string[]} msgIDs - The msgIDs carried by an acknowledgement.
+     */
+    acknowledge(msgIDs) {
+        for (const msgID of msgIDs) {
+            const pending = this._pending.get(msgID);
+            if (pending) {
+                clearTimeout(pending.timer);
+                this._pending.delete(msgID);
+            }
+        }
+    }
+
+    /**
+     * Gives up the messages sent to an agent that left, and forgets its sequence numbers.
+     * @param {string} agentID - The departed agent.
+     */
+    dropPeer(agentID) {
+        for (const pending of Array.from(this._pending.values())) {
+            if (pending.message.toAgent === agentID) {
+                this._fail(pending, 'agent-left');
+            }
+        }
+        this._sequences.delete(agentID);
+        this._received.delete(agentID);
+    }
+
+    /**
+     * Stops retransmitting a message without reporting it; the caller reports why it was given up.
+     * @param {string} msgID - The MessageID of the message.
+     * @returns {number} How many times it was posted, or 0 if it was not waiting for an acknowledgement.
+     */
+    release(msgID) {
+        const pending = this._pending.get(msgID);
+        if (!pending) {
+            return 0;
+        }
+        clearTimeout(pending.timer);
+        this._pending.delete(msgID);
+        return pending.attempts;
+    }
+
+    /**
+     * Gives up every unacknowledged message.
+     */
+    close() {
+        for (const pending of Array.from(this._pending.values())) {
+            this._fail(pending, 'closed');
+        }
+    }
+
+    /**
+     * Waits for the acknowledgement of the latest attempt; retransmits or gives up when it does not come.
+     * @private
+     * @param {PendingDelivery} pending
+     */
+    _arm(pending) {
+        const timeout = this._retransmitTimeout * 2 ** (pending.attempts - 1);
+        pending.timer = setTimeout(() => {
+            if (pending.attempts > this._maxRetransmits) {
+                this._fail(pending, 'timeout');
+                return;
+            }
+            pending.attempts++;
+            try {
+                this._hooks.post(pending.message);
+            } catch (e) {
+                console.error(`ReliableDelivery failed to retransmit message '${pending.message.msgID}':`, e);
+            }
+            this._arm(pending);
+        }, timeout);
+    }
+
+    /**
+     * Gives up a message and reports it.
+     * @private
+     * @param {PendingDelivery} pending
+     * @param {DeliveryFailureReason} reason
+     */
+    _fail(pending, reason) {
+        clearTimeout(pending.timer);
+        this._pending.delete(pending.message.msgID);
+        this._hooks.onFailed({
+            message: pending.message,
+            toAgent: pending.message.toAgent,
+            attempts: pending.attempts,
+            reason
+        });
+    }
+
+    // =========================================================================
+    // Receiving
+    // =========================================================================
+
+    /**
+     * Acknowledges a received message asking for it and tells whether it is the first copy.
+     * @param {{msgID: string, agentID: string, metadata: object}} message - The received message (or envelope).
+     * @returns {boolean} True for the first copy, false for a duplicate to drop.
+     */
+    accept(message) {
+        this._queueAck(message.agentID, message.msgID);
+
+        if (this._seen.has(message.msgID)) {
+            return false;
+        }
+        const { seq, instance } = message.metadata?.reliable ?? {};
+        if (Number.isInteger(seq) && !this._recordSequence(message.agentID, instance, seq)) {
+            return false;
+        }
+
+        this._seen.add(message.msgID);
+        if (this._seen.size > this._dedupeSize) {
+            this._seen.delete(this._seen.values().next().value);
+        }
+        return true;
+    }
+
+    /**
+     * Records a received sequence number.
+     * @private
+     * @param {string} agentID - The sender.
+     * @param {string|undefined} instance - The sender's instance nonce.
+     * @param {number} seq - The sequence number.
+     * @returns {boolean} False if it was already received.
+     */
+    _recordSequence(agentID, instance, seq) {
+        let received = this._received.get(agentID);
+        // Another instance under the same agentID started numbering anew
+        if (!received || received.instance !== instance) {
+            received = { instance, floor: 0, above: new Set() };
+            this._received.set(agentID, received);
+        }
+        if (seq <= received.floor || received.above.has(seq)) {
+            return false;
+        }
+
+        received.above.add(seq);
+        // A message the sender gave up on would keep the floor down forever: skip the gap once too many arrived above it
+        if (received.above.size > this._dedupeSize) {
+            received.floor = Math.min(...received.above) - 1;
+        }
+        while (received.above.has(received.floor + 1)) {
+            received.floor++;
+            received.above.delete(received.floor);
+        }
+        return true;
+    }
+
+    /**
+     * Queues an acknowledgement; those queued in the same task go out together.
+     * @private
+     * @param {string} agentID - The sender to acknowledge to.
+     * @param {string} msgID - The received msgID.
+     */
+    _queueAck(agentID, msgID) {
+        const queued = this._acks.get(agentID);
+        if (queued) {
+            queued.push(msgID);
+            return;
+        }
+        this._acks.set(agentID, [msgID]);
+        queueMicrotask(() => {
+            const msgIDs = this._acks.get(agentID);
+            this._acks.delete(agentID);
+            try {
+                this._hooks.sendAck(agentID, msgIDs);
+            } catch (e) {
+                console.error(`ReliableDelivery failed to acknowledge ${msgIDs.length} message(s) to '${agentID}':`, e);
+            }
+        });
+    }
+}
@@ -0,0 +1,409 @@
+/**
+ * @fileoverview Defines the ChannelReplayer class, which plays a ChannelRecorder recording
+ * back into a channel. The messages of the impersonated agents are re-posted with their
+ * original agentIDs and relative timing (scaled by `speed`), so the agents on the channel
+ * see the same hello, event, status and request interleaving as during the recording.
+ *
+ * With `respond` enabled the replayer also acts as a scripted fake peer: the responses the
+ * impersonated agents gave during the recording are not replayed on their own, but sent in
+ * answer to matching live requests, in recorded order per request type. Requests addressed
+ * to a role reach the impersonated agents that advertised it during the recording, and
+ * claimed requests are bid on and answered only once granted.
+ */
+
+import { RequestMessage } from '../messages/request.js';
+import { ResponseMessage } from '../messages/response.js';
+import { ProgressMessage } from '../messages/progress.js';
+import { ErrorMessage } from '../messages/error.js';
+import { ClaimMessage } from '../messages/claim.js';
+import { GrantMessage } from '../messages/grant.js';
+import { HelloMessage } from '../messages/hello.js';
+import { GreetingMessage } from '../messages/greetings.js';
+import { HeartbeatMessage } from '../messages/heartbeat.js';
+import { MessageAgent } from '../messages/messageAgent.js';
+import { BroadcastTransport } from '../transports/broadcast.js';
+import { BaseChannel } from '../channels/base.js';
+import { ChannelRecorder } from './recorder.js';
+import { pushID } from '../../vendor/pushID.js';
+
+/**
+ * @typedef {import('./recorder.js').Recording} Recording
+ * @typedef {import('./recorder.js').RecordedMessage} RecordedMessage
+ * @typedef {import('../transports/base.js').BaseTransport} BaseTransport
+ *
+ * @typedef {object} ReplayerOptions
+ * @property {BaseTransport} [transport] - Transport to post on. Defaults to a BroadcastTransport named after the recorded channel.
+ * @property {number} [speed=1] - Playback speed: 2 plays twice as fast, Infinity without delays.
+ * @property {string[]|((agentID: string) => boolean)} [impersonate] - Agents whose messages are replayed, as agentIDs or 'scope:name' for every instance of a name (e.g., 'worker:io'). Defaults to every agent except the one the recording was made from.
+ * @property {boolean} [respond=false] - Answer live requests with the impersonated agents' recorded responses instead of replaying those responses.
+ * @property {AbortSignal} [signal] - Stops the replayer.
+ *
+ * @typedef {object} ScriptedReply
+ * @property {number} requestTime - When the recorded request was seen (ms since the start of the recording).
+ * @property {RecordedMessage[]} replies - The progress chunks and final response or error, in order.
+ */
+
+/**
+ * Message types that answer a request and are scripted rather than replayed when `respond` is on.
+ * @private
+ * @type {Set<string>}
+ */
+const REPLY_TYPES = new Set([ResponseMessage.msgType, ProgressMessage.msgType, ErrorMessage.msgType, ClaimMessage.msgType]);
+
+/**
+ * Handshake message types advertising the sender's roles.
+ * @private
+ * @type {Set<string>}
+ */
+const HANDSHAKE_TYPES = new Set([HelloMessage.msgType, GreetingMessage.msgType, HeartbeatMessage.msgType]);
+
+
+export class ChannelReplayer {
+
+    /**
+     * The recording being replayed.
+     * @type {Recording}
+     */
+    recording;
+
+    /**
+     * The transport messages are posted on.
+     * @private
+     * @type {BaseTransport}
+     */
+    _transport;
+
+    /**
+     * Playback speed multiplier.
+     * @private
+     * @type {number}
+     */
+    _speed;
+
+    /**
+     * Decides whether an agent's messages are replayed.
+     * @private
+     * @type {(agentID: string) => boolean}
+     */
+    _impersonates;
+
+    /**
+     * Whether live requests are answered from the recorded responses.
+     * @private
+     * @type {boolean}
+     */
+    _respond;
+
+    /**
+     * Recorded replies keyed by `${agentID}|${requestType}`, in recorded order.
+     * @private
+     * @type {Map<string, ScriptedReply[]>}
+     */
+    _scripts = new Map();
+
+    /**
+     * Roles the recorded agents advertised at any point of the recording, keyed by agentID.
+     * @private
+     * @type {Map<string, Set<string>>}
+     */
+    _roles = new Map();
+
+    /**
+     * Live claimed requests awaiting a grant, keyed by request MessageID, with the agents that bid.
+     * @private
+     * @type {Map<string, {request: object, bidders: string[]}>}
+     */
+    _claims = new Map();
+
+    /**
+     * Pending timers (playback and scripted replies).
+     * @private
+     * @type {Set<number>}
+     */
+    _timers = new Set();
+
+    /**
+     * Settles the running play() call early when the replayer is stopped.
+     * @private
+     * @type {(() => void)|null}
+     */
+    _interrupt = null;
+
+    /**
+     * Whether the replayer has been stopped.
+     * @private
+     * @type {boolean}
+     */
+    _stopped = false;
+
+    /**
+     * Prepares a recording for playback. Live requests are answered from the moment the
+     * replayer is created when `respond` is on; call play() to start the scheduled messages.
+     * @param {Recording|string} recording - A recording, or its NDJSON text (see ChannelRecorder.parse()).
+     * @param {ReplayerOptions} [options={}] - Optional replay configuration.
+     */
+    constructor(recording, options = {}) {
+        if (typeof recording === 'string') {
+            recording = ChannelRecorder.parse(recording);
+        }
+        if (!Array.isArray(recording?.entries)) {
+            throw new TypeError('ChannelReplayer requires a recording with an entries array.');
+        }
+        const speed = options.speed ?? 1;
+        if (!(speed > 0)) {
+            throw new Error(`Replay speed must be positive, got ${speed}.`);
+        }
+
+        this.recording = recording;
+        this._transport = options.transport || new BroadcastTransport(recording.channelName);
+        this._speed = speed;
+        this._respond = options.respond ?? false;
+        this._impersonates = ChannelReplayer._impersonationFilter(options.impersonate, recording.agentID);
+
+        if (this._respond) {
+            this._buildScripts();
+            this._transport.onmessage = (event) => this._handleLive(event.data);
+        }
+        options.signal?.addEventListener('abort', () => this.stop(), { once: true });
+    }
+
+    /**
+     * Builds the predicate deciding which agents are impersonated.
+     * @private
+     * @param {string[]|((agentID: string) => boolean)|undefined} impersonate - The option value.
+     * @param {string} recordedAgentID - The agent the recording was made from.
+     * @returns {(agentID: string) => boolean}
+     */
+    static _impersonationFilter(impersonate, recordedAgentID) {
+        if (typeof impersonate === 'function') {
+            return impersonate;
+        }
+        if (Array.isArray(impersonate)) {
+            return agentID => impersonate.some(pattern => MessageAgent.matchesID(agentID, pattern));
+        }
+        return agentID => agentID !== recordedAgentID;
+    }
+
+    /**
+     * The agents whose messages appear in the recording and are impersonated.
+     * @type {string[]}
+     */
+    get agents() {
+        const agents = new Set(this.recording.entries.map(entry => entry.message.agentID));
+        return Array.from(agents).filter(agentID => this._impersonates(agentID));
+    }
+
+    // =========================================================================
+    // Playback
+    // =========================================================================
+
+    /**
+     * Posts the impersonated agents' messages with their recorded timing.
+     * With `respond` on, their replies to requests are left to the live request handling.
+     * @returns {Promise<void>} Resolves once every scheduled message has been posted (or the replayer was stopped).
+     */
+    async play() {
+        const entries = this.recording.entries.filter(entry =>
+            this._impersonates(entry.message.agentID) && !(this._respond && this._isScriptedReply(entry))
+        );
+
+        let previous = entries[0]?.t ?? 0;
+        for (const entry of entries) {
+            await this._sleep(entry.t - previous);
+            if (this._stopped) {
+                return;
+            }
+            previous = entry.t;
+            this._post({ ...entry.message, timestamp: Date.now() });
+        }
+    }
+
+    /**
+     * Stops playback, cancels pending scripted replies and closes the transport.
+     */
+    stop() {
+        if (this._stopped) {
+            return;
+        }
+        this._stopped = true;
+        this._timers.forEach(timer => clearTimeout(timer));
+        this._timers.clear();
+        this._interrupt?.();
+        this._transport.close();
+    }
+
+    /**
+     * Waits a recorded gap, scaled by the playback speed.
+     * @private
+     * @param {number} ms - The recorded gap in milliseconds.
+     * @returns {Promise<void>}
+     */
+    _sleep(ms) {
+        const delay = Number.isFinite(this._speed) ? Math.max(0, ms) / this._speed : 0;
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                this._timers.delete(timer);
+                this._interrupt = null;
+                resolve();
+            }, delay);
+            this._timers.add(timer);
+            this._interrupt = resolve;
+        });
+    }
+
+    /**
+     * Posts an envelope unless the replayer was stopped.
+     * @private
+     * @param {object} envelope - The message envelope.
+     */
+    _post(envelope) {
+        if (!this._stopped) {
+            // Recorded clock readings, causal dependencies and delivery sequence numbers would mislead the live
+            // agents' clocks, delivery buffers and duplicate detection
+            const { hlc, causal, reliable, ...metadata } = envelope.metadata ?? {};
+            this._transport.post({ ...envelope, metadata });
+        }
+    }
+
+    // =========================================================================
+    // Scripted Fake Peer
+    // =========================================================================
+
+    /**
+     * Checks whether a recorded message answers a recorded request.
+     * @private
+     * @param {RecordedMessage} entry - The recorded message.
+     * @returns {boolean}
+     */
+    _isScriptedReply(entry) {
+        return REPLY_TYPES.has(entry.message.type) && typeof entry.message.metadata?.requestMsgID === 'string';
+    }
+
+    /**
+     * Groups the impersonated agents' recorded replies by agent and request type.
+     * @private
+     */
+    _buildScripts() {
+        const requests = new Map();
+        for (const entry of this.recording.entries) {
+            if (HANDSHAKE_TYPES.has(entry.message.type) && Array.isArray(entry.message.payload?.roles)) {
+                const roles = this._roles.get(entry.message.agentID) ?? new Set();
+                entry.message.payload.roles.forEach(role => roles.add(role));
+                this._roles.set(entry.message.agentID, roles);
+            }
+            if (entry.message.type === RequestMessage.msgType) {
+                requests.set(entry.message.msgID, { type: entry.message.metadata?.requestType, t: entry.t, scripted: new Map() });
+            }
+        }
+
+        for (const entry of this.recording.entries) {
+            const { agentID, type, metadata } = entry.message;
+            const request = requests.get(metadata?.requestMsgID);
+            // Bids are re-created live from the grant protocol, so only answers are scripted
+            if (!request || type === ClaimMessage.msgType || !this._impersonates(agentID) || !this._isScriptedReply(entry)) {
+                continue;
+            }
+
+            let scripted = request.scripted.get(agentID);
+            if (!scripted) {
+                scripted = { requestTime: request.t, replies: [] };
+                request.scripted.set(agentID, scripted);
+                const key = `${agentID}|${request.type}`;
+                if (!this._scripts.has(key)) {
+                    this._scripts.set(key, []);
+                }
+                this._scripts.get(key).push(scripted);
+            }
+            scripted.replies.push(entry);
+        }
+    }
+
+    /**
+     * Reacts to live traffic: answers requests the script covers and follows the claim protocol.
+     * @private
+     * @param {object} data - The raw envelope received from the transport.
+     */
+    _handleLive(data) {
+        if (this._stopped || typeof data !== 'object' || data === null) {
+            return;
+        }
+
+        if (data.type === RequestMessage.msgType) {
+            const requestType = data.metadata?.requestType;
+            const responders = this.agents.filter(agentID =>
+                this._isAddressedTo(agentID, data.toAgent) && this._scripts.has(`${agentID}|${requestType}`)
+            );
+            if (responders.length === 0) {
+                return;
+            }
+            // Broadcasts and role-addressed requests that must run once
+            if (data.metadata?.claim) {
+                // Bid for every impersonated responder; only the granted one answers
+                this._claims.set(data.msgID, { request: data, bidders: responders });
+                responders.forEach(agentID => this._post(new ClaimMessage(agentID, data.msgID, data.agentID)));
+                return;
+            }
+            responders.forEach(agentID => this._answer(agentID, data));
+            return;
+        }
+
+        if (data.type === GrantMessage.msgType) {
+            const claim = this._claims.get(data.metadata?.requestMsgID);
+            if (!claim) {
+                return;
+            }
+            this._claims.delete(data.metadata.requestMsgID);
+            const granted = data.payload?.grantedAgentID;
+            if (claim.bidders.includes(granted)) {
+                this._answer(granted, claim.request);
+            }
+        }
+    }
+
+    /**
+     * Checks whether a live request reaches an impersonated agent: broadcast, addressed to its
+     * agentID, or to a role it advertised during the recording.
+     * @private
+     * @param {string} agentID - The impersonated agent.
+     * @param {string|null} toAgent - The address of the request.
+     * @returns {boolean}
+     */
+    _isAddressedTo(agentID, toAgent) {
+        if (!toAgent || toAgent === agentID) {
+            return true;
+        }
+        return toAgent.startsWith(BaseChannel.ROLE_ADDRESS_PREFIX) &&
+            this._roles.get(agentID)?.has(toAgent.slice(BaseChannel.ROLE_ADDRESS_PREFIX.length)) === true;
+    }
+
+    /**
+     * Sends the next scripted reply of an agent to a live request, keeping the recorded gaps.
+     * The last scripted reply is reused once the script runs out.
+     * @private
+     * @param {string} agentID - The impersonated responder.
+     * @param {object} request - The live request envelope.
+     */
+    _answer(agentID, request) {
+        const script = this._scripts.get(`${agentID}|${request.metadata.requestType}`);
+        const scripted = script.length > 1 ? script.shift() : script[0];
+
+        for (const entry of scripted.replies) {
+            const envelope = {
+                ...entry.message,
+                msgID: pushID.newID({}),
+                toAgent: request.agentID,
+                metadata: { ...entry.message.metadata, requestMsgID: request.msgID }
+            };
+            if ('requestMsgID' in envelope) {
+                envelope.requestMsgID = request.msgID;
+            }
+
+            const delay = Number.isFinite(this._speed) ? Math.max(0, entry.t - scripted.requestTime) / this._speed : 0;
+            const timer = setTimeout(() => {
+                this._timers.delete(timer);
+                this._post({ ...envelope, timestamp: Date.now() });
+            }, delay);
+            this._timers.add(timer);
+        }
+    }
+}
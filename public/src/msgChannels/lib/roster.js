@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Defines the AgentRoster class, the bookkeeping behind BaseChannel's live
+ * view of the agents sharing a channel. It records when each agent was first and last
+ * seen and notifies subscribers when agents join or leave.
+ */
+
+/**
+ * @typedef {object} AgentRecord
+ * @property {string} agentID - The unique identifier of the agent.
+ * @property {string} scope - The scope of the agent (e.g., 'main' or 'worker').
+ * @property {number} firstSeen - Timestamp (ms) of the first message received from the agent.
+ * @property {number} lastSeen - Timestamp (ms) of the most recent message received from the agent.
+ * @property {number} protocolVersion - The protocol version negotiated with the agent.
+ * @property {string[]|null} capabilities - Capabilities advertised by the agent, or null if it predates capability advertisement.
+ * @property {boolean} capabilitiesSettled - False while the capabilities only come from the agent's initial hello, which it posts before registering its handlers.
+ * @property {string[]} roles - Roles advertised by the agent (e.g., 'io').
+ * @property {string[]} tags - Tags advertised by the agent.
+ * @property {boolean} compatible - False when the agent's protocol range does not overlap with ours.
+ *
+ * @typedef {object} AgentAnnouncement
+ * @property {string} scope - The scope reported by the agent.
+ * @property {number} protocolVersion - The negotiated protocol version.
+ * @property {string[]|null} capabilities - The advertised capabilities.
+ * @property {boolean} capabilitiesSettled - Whether they come from a greeting or heartbeat (or an earlier one did).
+ * @property {string[]} roles - The advertised roles.
+ * @property {string[]} tags - The advertised tags.
+ * @property {boolean} compatible - Whether the protocol negotiation succeeded.
+ *
+ * @typedef {'goodbye'|'timeout'|'closed'} AgentLeftReason
+ *
+ * @callback AgentJoinedCallback
+ * @param {AgentRecord} agent - A snapshot of the agent that joined.
+ * @returns {void}
+ *
+ * @callback AgentLeftCallback
+ * @param {AgentRecord} agent - A snapshot of the agent that left.
+ * @param {AgentLeftReason} reason - Why the agent was removed from the roster.
+ * @returns {void}
+ */
+
+
+export class AgentRoster {
+
+    /**
+     * Known agents keyed by agentID.
+     * @private
+     * @type {Map<string, AgentRecord>}
+     */
+    _agents = new Map();
+
+    /**
+     * Subscribers notified when an agent joins.
+     * @private
+     * @type {Array<AgentJoinedCallback>}
+     */
+    _joinedCallbacks = [];
+
+    /**
+     * Subscribers notified when an agent leaves.
+     * @private
+     * @type {Array<AgentLeftCallback>}
+     */
+    _leftCallbacks = [];
+
+    /**
+     * Returns snapshots of all known agents.
+     * @returns {AgentRecord[]}
+     */
+    list() {
+        return Array.from(this._agents.values(), record => ({ ...record }));
+    }
+
+    /**
+     * Returns a snapshot of a single agent, or null if it is unknown.
+     * @param {string} agentID - The agent to look up.
+     * @returns {AgentRecord|null}
+     */
+    get(agentID) {
+        const record = this._agents.get(agentID);
+        return record ? { ...record } : null;
+    }
+
+    /**
+     * Checks whether an agent is currently known.
+     * @param {string} agentID - The agent to look up.
+     * @returns {boolean}
+     */
+    has(agentID) {
+        return this._agents.has(agentID);
+    }
+
+    /**
+     * Records an announcement (hello, greeting, heartbeat) from an agent, adding it if unknown.
+     * @param {string} agentID - The announcing agent.
+     * @param {AgentAnnouncement} announcement - The details carried by the handshake.
+     * @param {number} [now=Date.now()] - The time the announcement was received.
+     * @returns {AgentRecord|null} A snapshot of the record as it was before this announcement, or null if the agent is new.
+     */
+    announce(agentID, announcement, now = Date.now()) {
+        const record = this._agents.get(agentID);
+        if (record) {
+            const previous = { ...record };
+            Object.assign(record, announcement, { lastSeen: now });
+            return previous;
+        }
+
+        const joined = { agentID, ...announcement, firstSeen: now, lastSeen: now };
+        this._agents.set(agentID, joined);
+        this._notify(this._joinedCallbacks, { ...joined });
+        return null;
+    }
+
+    /**
+     * Refreshes the last-seen time of a known agent. Unknown agents are ignored
+     * until they announce themselves.
+     * @param {string} agentID - The agent a message was received from.
+     * @param {number} [now=Date.now()] - The time the message was received.
+     */
+    touch(agentID, now = Date.now()) {
+        const record = this._agents.get(agentID);
+        if (record) {
+            record.lastSeen = now;
+        }
+    }
+
+    /**
+     * Removes an agent from the roster and notifies subscribers.
+     * @param {string} agentID - The departing agent.
+     * @param {AgentLeftReason} reason - Why the agent is being removed.
+     * @returns {boolean} True if the agent was known.
+     */
+    remove(agentID, reason) {
+        const record = this._agents.get(agentID);
+        if (!record) {
+            return false;
+        }
+        this._agents.delete(agentID);
+        this._notify(this._leftCallbacks, { ...record }, reason);
+        return true;
+    }
+
+    /**
+     * Removes every agent that has not been seen within the given interval.
+     * @param {number} maxSilence - Maximum allowed time (ms) since an agent was last seen.
+     * @param {number} [now=Date.now()] - The reference time.
+     */
+    expire(maxSilence, now = Date.now()) {
+        for (const record of Array.from(this._agents.values())) {
+            if (now - record.lastSeen > maxSilence) {
+                this.remove(record.agentID, 'timeout');
+            }
+        }
+    }
+
+    /**
+     * Removes every agent, e.g. when the owning channel closes.
+     * @param {AgentLeftReason} reason - Why the agents are being removed.
+     */
+    clear(reason) {
+        for (const agentID of Array.from(this._agents.keys())) {
+            this.remove(agentID, reason);
+        }
+    }
+
+    /**
+     * Registers a callback for agents joining.
+     * @param {AgentJoinedCallback} callback - Receives a snapshot of the new agent.
+     * @returns {() => void} Function that removes the callback.
+     */
+    onJoined(callback) {
+        this._joinedCallbacks.push(callback);
+        return () => {
+            this._joinedCallbacks = this._joinedCallbacks.filter(cb => cb !== callback);
+        };
+    }
+
+    /**
+     * Registers a callback for agents leaving.
+     * @param {AgentLeftCallback} callback - Receives a snapshot of the departed agent and the reason.
+     * @returns {() => void} Function that removes the callback.
+     */
+    onLeft(callback) {
+        this._leftCallbacks.push(callback);
+        return () => {
+            this._leftCallbacks = this._leftCallbacks.filter(cb => cb !== callback);
+        };
+    }
+
+    /**
+     * Invokes each callback, isolating subscriber failures from one another.
+     * @private
+     * @param {Array<Function>} callbacks - The subscribers to notify.
+     * @param {...any} args - Arguments passed to each subscriber.
+     */
+    _notify(callbacks, ...args) {
+        for (const callback of callbacks) {
+            try {
+                callback(...args);
+            } catch (e) {
+                console.error('AgentRoster subscriber failed:', e);
+            }
+        }
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Helpers behind AsyncChannel.expose() and AsyncChannel.proxy(). Exposing an
+ * object maps each of its methods to a dotted path ('opfs.read', 'opfs.files.list'); the
+ * channel serves every path as the request type `rpc:<path>`. The proxy turns property
+ * accesses into paths and calls into requests, so `proxy.files.list('/')` requests
+ * 'rpc:opfs.files.list' with the arguments ['/'].
+ */
+
+/**
+ * @typedef {object} ExposedMethod
+ * @property {string} path - The dotted path of the method below the namespace (e.g., 'files.list').
+ * @property {Function} method - The method.
+ * @property {object} owner - The object the method is called on.
+ *
+ * @callback RemoteCall
+ * @param {string} path - The dotted path of the called method below the namespace.
+ * @param {any[]} args - The call arguments.
+ * @returns {Promise<any>}
+ */
+
+/**
+ * Prefix of the request types serving exposed methods.
+ * @type {string}
+ */
+const RPC_REQUEST_PREFIX = 'rpc:';
+
+/**
+ * Property names the proxy never turns into remote methods. A proxy exposing `then`
+ * would be mistaken for a promise and called by every `await`.
+ * @private
+ * @type {Set<string>}
+ */
+const RESERVED_NAMES = new Set(['then', 'catch', 'finally', 'toJSON', 'constructor']);
+
+/**
+ * Deepest nesting followed when collecting the methods of an object without an allowlist.
+ * @private
+ * @type {number}
+ */
+const MAX_DEPTH = 8;
+
+/**
+ * Checks a namespace or method path: dot-separated segments made of letters, digits, '_' and '$'.
+ * @param {string} path - The path to check.
+ * @returns {boolean}
+ */
+function isValidPath(path) {
+    return typeof path === 'string' && /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(path);
+}
+
+/**
+ * Collects the methods to expose from an object.
+ * Without an allowlist, the object's class may name its exposable methods in a static
+ * `rpcMethods` array; otherwise every public method (not starting with '_') is exposed,
+ * including those of nested plain objects.
+ * @param {object} object - The object to expose.
+ * @param {string[]} [allowlist] - Dotted method paths to expose (e.g., ['read', 'files.list']).
+ * @returns {ExposedMethod[]}
+ * @throws {Error} If an allowlisted path does not name a method.
+ */
+function collectMethods(object, allowlist = object?.constructor?.rpcMethods) {
+    if (typeof object !== 'object' && typeof object !== 'function' || object === null) {
+        throw new TypeError('Only objects can be exposed.');
+    }
+
+    if (Array.isArray(allowlist)) {
+        return allowlist.map((path) => {
+            if (!isValidPath(path)) {
+                throw new Error(`Invalid method path '${path}'.`);
+            }
+            const segments = path.split('.');
+            const owner = segments.slice(0, -1).reduce((target, key) => target?.[key], object);
+            const method = owner?.[segments.at(-1)];
+            if (typeof method !== 'function') {
+                throw new Error(`Cannot expose '${path}': it is not a method.`);
+            }
+            return { path, method, owner };
+        });
+    }
+
+    const methods = [];
+    collectPublicMethods(object, '', methods, new Set(), 0);
+    return methods;
+}
+
+/**
+ * Builds the arguments of a cancellable exposed method: the caller's arguments fill the
+ * parameters before its last declared one, which receives the request's AbortSignal
+ * (a signal cannot be sent along with the call).
+ * @param {any[]} args - The caller's arguments.
+ * @param {Function} method - The exposed method.
+ * @param {AbortSignal} signal - The request's signal.
+ * @returns {any[]}
+ */
+function withSignal(args, method, signal) {
+    const slots = Math.max(0, method.length - 1);
+    return [...Array.from({ length: slots }, (_, index) => args[index]), signal];
+}
+
+/**
+ * Walks an object and its prototype chain for public methods, descending into plain objects.
+ * @private
+ * @param {object} object - The object to walk.
+ * @param {string} prefix - The dotted path of the object ('' for the exposed object).
+ * @param {ExposedMethod[]} methods - Receives the methods found.
+ * @param {Set<object>} visited - Objects already walked, to stop at cycles.
+ * @param {number} depth - The current nesting depth.
+ */
+function collectPublicMethods(object, prefix, methods, visited, depth) {
+    if (visited.has(object) || depth > MAX_DEPTH) {
+        return;
+    }
+    visited.add(object);
+
+    const seen = new Set();
+    for (let target = object; target && target !== Object.prototype && target !== Function.prototype; target = Object.getPrototypeOf(target)) {
+        for (const key of Object.getOwnPropertyNames(target)) {
+            if (seen.has(key) || key.startsWith('_') || RESERVED_NAMES.has(key) || !isValidPath(key)) {
+                continue;
+            }
+            seen.add(key);
+
+            // Getters are not called: they may have side effects or be expensive
+            const descriptor = Object.getOwnPropertyDescriptor(target, key);
+            if (typeof descriptor.value === 'function') {
+                methods.push({ path: prefix + key, method: descriptor.value, owner: object });
+            } else if (target === object && isPlainObject(descriptor.value)) {
+                collectPublicMethods(descriptor.value, `${prefix}${key}.`, methods, visited, depth + 1);
+            }
+        }
+    }
+}
+
+/**
+ * @private
+ * @param {any} value
+ * @returns {boolean} True for object literals and null-prototype objects.
+ */
+function isPlainObject(value) {
+    if (typeof value !== 'object' || value === null) {
+        return false;
+    }
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Creates a proxy whose (nested) methods call `call` with their dotted path.
+ * @param {RemoteCall} call - Performs a remote call.
+ * @param {string} [path=''] - The dotted path of this proxy below the namespace.
+ * @returns {any}
+ */
+function createProxy(call, path = '') {
+    // A function target makes the proxy callable; calling the namespace proxy itself is refused
+    return new Proxy(() => {}, {
+        get(target, key) {
+            if (typeof key !== 'string' || RESERVED_NAMES.has(key)) {
+                return undefined;
+            }
+            return createProxy(call, path ? `${path}.${key}` : key);
+        },
+        apply(target, thisArg, args) {
+            if (!path) {
+                return Promise.reject(new TypeError('The RPC proxy itself cannot be called; call one of its methods.'));
+            }
+            return call(path, args);
+        },
+        set() {
+            return false;
+        },
+        has(target, key) {
+            return typeof key === 'string' && !RESERVED_NAMES.has(key);
+        }
+    });
+}
+
+
+export {
+    RPC_REQUEST_PREFIX,
+    isValidPath,
+    collectMethods,
+    withSignal,
+    createProxy
+};
@@ -0,0 +1,282 @@
+/**
+ * @fileoverview Defines the StatusStore class, a replicated view of the StatusMessage
+ * traffic of a channel. It keeps the latest value of every status key per agent (last
+ * writer wins, by message timestamp), fetches snapshots from the other stores when it is
+ * created so late joiners see the current values, and forgets an agent's values when the
+ * agent leaves. Only broadcast statuses are replicated; direct status messages are ignored.
+ *
+ * Stores answer snapshot requests with the values their own agent published after the
+ * store was created, so agents should create their store (`channel.statusStore()`)
+ * before publishing. Those values stay theirs when the agent re-keys (see BaseChannel.rekey()).
+ */
+
+import { StatusMessage } from '../messages/status.js';
+import { StatusSnapshotRequestMessage } from '../messages/statusSnapshotRequest.js';
+import { StatusSnapshotMessage } from '../messages/statusSnapshot.js';
+
+/**
+ * @typedef {import('../channels/base.js').BaseChannel} BaseChannel
+ * @typedef {import('../messages/base.js').BaseMessage} BaseMessage
+ *
+ * @typedef {object} StatusEntry
+ * @property {string} key - The status key.
+ * @property {string} agentID - The agent that published the value.
+ * @property {any} value - The latest value.
+ * @property {number} timestamp - Timestamp (ms) of the StatusMessage that published the value.
+ *
+ * @callback StatusChangeCallback
+ * @param {StatusEntry} entry - The new entry, or the entry that was removed.
+ * @param {boolean} removed - True when the entry was removed because its agent left.
+ * @returns {void}
+ */
+
+/**
+ * Stands for the store's own agent in the entry maps, so its values stay its own when it re-keys.
+ * @private
+ * @type {symbol}
+ */
+const OWN_AGENT = Symbol('ownAgent');
+
+
+export class StatusStore {
+
+    /**
+     * The channel whose statuses are replicated.
+     * @private
+     * @type {BaseChannel}
+     */
+    _channel;
+
+    /**
+     * Latest entries keyed by status key, then by agentID (OWN_AGENT for our own agent).
+     * @private
+     * @type {Map<string, Map<string|symbol, StatusEntry>>}
+     */
+    _entries = new Map();
+
+    /**
+     * Change subscribers keyed by status key ('*' for every key).
+     * @private
+     * @type {Map<string, Set<StatusChangeCallback>>}
+     */
+    _subscribers = new Map();
+
+    /**
+     * Functions detaching the store from its channel.
+     * @private
+     * @type {Array<() => void>}
+     */
+    _detach = [];
+
+    /**
+     * Attaches a store to a channel and requests snapshots from the agents already on it.
+     * Prefer `channel.statusStore()`, which creates a single store per channel.
+     * @param {BaseChannel} channel - The channel whose statuses are replicated.
+     */
+    constructor(channel) {
+        this._channel = channel;
+
+        this._detach.push(
+            // Our own statuses never come back to us, so pick them up on the way out
+            channel.use({
+                name: 'statusStore',
+                outbound: (message) => {
+                    // Statuses sent through a namespace only reach that namespace's listeners
+                    if (message.type === StatusMessage.msgType && !message.toAgent && message.metadata.namespace === undefined) {
+                        this._apply(OWN_AGENT, message.payload.key, message.payload.value, message.timestamp, true);
+                    }
+                }
+            }),
+            channel.onStatus((message) => {
+                if (!message.toAgent) {
+                    this._apply(message.agentID, message.payload.key, message.payload.value, message.timestamp, true);
+                }
+            }),
+            channel.on(StatusSnapshotRequestMessage.msgType, this._handleSnapshotRequest.bind(this)),
+            channel.on(StatusSnapshotMessage.msgType, this._handleSnapshot.bind(this)),
+            channel.onAgentLeft(agent => this._dropAgent(agent.agentID))
+        );
+
+        this.requestSnapshot();
+    }
+
+    // =========================================================================
+    // Reading
+    // =========================================================================
+
+    /**
+     * Returns the latest value of a key, either from one agent or the most recent across all agents.
+     * @param {string} key - The status key.
+     * @param {string|null} [agentID=null] - Only consider this agent's value.
+     * @returns {any} The value, or undefined if none is known.
+     */
+    get(key, agentID = null) {
+        const perAgent = this._entries.get(key);
+        if (!perAgent) {
+            return undefined;
+        }
+        if (agentID !== null) {
+            return perAgent.get(agentID === this._channel.agentID ? OWN_AGENT : agentID)?.value;
+        }
+        let latest = null;
+        for (const entry of perAgent.values()) {
+            if (!latest || entry.timestamp >= latest.timestamp) {
+                latest = entry;
+            }
+        }
+        return latest?.value;
+    }
+
+    /**
+     * Returns the known entries, optionally for a single key.
+     * @param {string|null} [key=null] - Only return entries of this key.
+     * @returns {StatusEntry[]}
+     */
+    entries(key = null) {
+        const maps = key !== null ? [this._entries.get(key)].filter(Boolean) : Array.from(this._entries.values());
+        return maps.flatMap(perAgent => Array.from(perAgent.values(), entry => this._export(entry)));
+    }
+
+    /**
+     * Registers a callback for changes to a key, whether from a live update, a snapshot or an agent leaving.
+     * @param {string} key - The status key, or '*' for every key.
+     * @param {StatusChangeCallback} callback - Receives the changed entry.
+     * @returns {() => void} Function that removes the subscription.
+     */
+    subscribe(key, callback) {
+        if (typeof callback !== 'function') {
+            throw new TypeError('StatusStore.subscribe() requires a callback function.');
+        }
+        if (!this._subscribers.has(key)) {
+            this._subscribers.set(key, new Set());
+        }
+        this._subscribers.get(key).add(callback);
+        return () => {
+            this._subscribers.get(key)?.delete(callback);
+        };
+    }
+
+    // =========================================================================
+    // Replication
+    // =========================================================================
+
+    /**
+     * Asks the other stores for the values their agents currently publish.
+     * Called automatically when the store is created.
+     * @param {string|null} [toAgent=null] - Ask a single agent instead of broadcasting.
+     */
+    requestSnapshot(toAgent = null) {
+        this._channel.sendMsg(new StatusSnapshotRequestMessage(this._channel.agent, toAgent));
+    }
+
+    /**
+     * Answers a snapshot request with our own agent's values.
+     * @private
+     * @param {StatusSnapshotRequestMessage} message - The received request.
+     */
+    _handleSnapshotRequest(message) {
+        const entries = [];
+        for (const perAgent of this._entries.values()) {
+            const entry = perAgent.get(OWN_AGENT);
+            if (entry) {
+                entries.push({ key: entry.key, value: entry.value, timestamp: entry.timestamp });
+            }
+        }
+        this._channel.sendMsg(new StatusSnapshotMessage(this._channel.agent, entries, message.agentID));
+    }
+
+    /**
+     * Merges a snapshot received from another agent.
+     * @private
+     * @param {StatusSnapshotMessage} message - The received snapshot.
+     */
+    _handleSnapshot(message) {
+        for (const { key, value, timestamp } of message.payload.entries) {
+            this._apply(message.agentID, key, value, timestamp, false);
+        }
+    }
+
+    /**
+     * Stores a value unless a newer one is already known for the same key and agent.
+     * @private
+     * @param {string|symbol} agentID - The publishing agent, or OWN_AGENT.
+     * @param {string} key - The status key.
+     * @param {any} value - The value.
+     * @param {number} timestamp - When the value was published.
+     * @param {boolean} live - True for StatusMessages, which win ties; snapshots only win when strictly newer.
+     */
+    _apply(agentID, key, value, timestamp, live) {
+        if (!this._entries.has(key)) {
+            this._entries.set(key, new Map());
+        }
+        const perAgent = this._entries.get(key);
+        const current = perAgent.get(agentID);
+        if (current && (timestamp < current.timestamp || (timestamp === current.timestamp && !live))) {
+            return;
+        }
+
+        const entry = { key, agentID, value, timestamp };
+        perAgent.set(agentID, entry);
+        this._notify(entry, false);
+    }
+
+    /**
+     * Removes every value published by an agent.
+     * @private
+     * @param {string} agentID - The agent that left.
+     */
+    _dropAgent(agentID) {
+        for (const [key, perAgent] of this._entries) {
+            const entry = perAgent.get(agentID);
+            if (!entry) {
+                continue;
+            }
+            perAgent.delete(agentID);
+            if (perAgent.size === 0) {
+                this._entries.delete(key);
+            }
+            this._notify(entry, true);
+        }
+    }
+
+    /**
+     * Copies an entry for callers, with our own agent's entries under its current agentID.
+     * @private
+     * @param {StatusEntry} entry - The stored entry.
+     * @returns {StatusEntry}
+     */
+    _export(entry) {
+        return entry.agentID === OWN_AGENT ? { ...entry, agentID: this._channel.agentID } : { ...entry };
+    }
+
+    /**
+     * Calls the subscribers of the entry's key, then the '*' subscribers.
+     * @private
+     * @param {StatusEntry} entry - The changed entry.
+     * @param {boolean} removed - Whether the entry was removed.
+     */
+    _notify(entry, removed) {
+        const callbacks = [...(this._subscribers.get(entry.key) || []), ...(this._subscribers.get('*') || [])];
+        for (const callback of callbacks) {
+            try {
+                callback(this._export(entry), removed);
+            } catch (e) {
+                console.error(`StatusStore subscriber failed for key '${entry.key}' in context '${this._channel.agentID}':`, e);
+            }
+        }
+    }
+
+    // =========================================================================
+    // Lifecycle
+    // =========================================================================
+
+    /**
+     * Detaches the store from its channel and forgets every entry.
+     */
+    close() {
+        this._detach.forEach(detach => detach());
+        this._detach = [];
+        this._entries.clear();
+        this._subscribers.clear();
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * @fileoverview JSON encoding for message envelopes. Plain JSON loses what structured
+ * cloning keeps (binary data, Dates, Maps, Sets, BigInts), so those values are written
+ * as tagged objects ({"$binary": ...}, {"$date": ...}) and restored on parsing. The
+ * canonical form sorts object keys so equal envelopes always encode to the same string,
+ * which is what message signatures are computed over.
+ */
+
+/**
+ * @typedef {object} TaggedJSONOptions
+ * @property {boolean} [canonical=false] - Sort object keys so equal values encode identically.
+ * @property {boolean} [strict=false] - Throw on values that cannot be restored (Blobs, MessagePorts…) instead of describing them.
+ */
+
+/**
+ * Encodes a value as tagged JSON.
+ * @param {any} value - A structured-cloneable value without cycles.
+ * @param {TaggedJSONOptions} [options={}] - Encoding options.
+ * @returns {string}
+ * @throws {TypeError} On cycles, or on unrestorable values in strict mode.
+ */
+function stringify(value, options = {}) {
+    return JSON.stringify(toTagged(value, options, new Set()));
+}
+
+/**
+ * Encodes a value as canonical tagged JSON (sorted keys, unrestorable values described).
+ * @param {any} value - A structured-cloneable value without cycles.
+ * @returns {string}
+ */
+function canonicalize(value) {
+    return stringify(value, { canonical: true });
+}
+
+/**
+ * Decodes tagged JSON produced by stringify().
+ * @param {string} text - The JSON text.
+ * @returns {any}
+ */
+function parse(text) {
+    return JSON.parse(text, (key, value) => fromTagged(value));
+}
+
+/**
+ * Converts a value into a JSON-safe tree.
+ * @private
+ * @param {any} value - The value to convert.
+ * @param {TaggedJSONOptions} options - Encoding options.
+ * @param {Set<object>} ancestors - Objects on the current path, to detect cycles.
+ * @returns {any}
+ */
+function toTagged(value, options, ancestors) {
+    switch (typeof value) {
+        case 'bigint':
+            return { $bigint: value.toString() };
+        case 'number':
+            // JSON has no NaN or Infinity
+            return Number.isFinite(value) ? value : { $number: String(value) };
+        case 'object':
+            break;
+        case 'function':
+        case 'symbol':
+            if (options.strict) {
+                throw new TypeError(`Cannot encode a ${typeof value}.`);
+            }
+            return undefined;
+        default:
+            return value;
+    }
+    if (value === null) {
+        return null;
+    }
+
+    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+        return { $binary: toBase64(value), $type: value.constructor.name };
+    }
+    if (value instanceof Date) {
+        return { $date: value.getTime() };
+    }
+    if (typeof Blob === 'function' && value instanceof Blob) {
+        if (options.strict) {
+            throw new TypeError('Blobs cannot be encoded; read them into an ArrayBuffer first.');
+        }
+        return { $blob: { size: value.size, type: value.type, name: value.name ?? null } };
+    }
+    if (typeof MessagePort === 'function' && value instanceof MessagePort) {
+        if (options.strict) {
+            throw new TypeError('MessagePorts cannot be encoded.');
+        }
+        return { $port: true };
+    }
+
+    if (ancestors.has(value)) {
+        throw new TypeError('Cannot encode a value with cycles.');
+    }
+    ancestors.add(value);
+    try {
+        if (value instanceof Map) {
+            const entries = Array.from(value, ([key, entry]) => [toTagged(key, options, ancestors), toTagged(entry, options, ancestors)]);
+            if (options.canonical) {
+                entries.sort((a, b) => compare(JSON.stringify(a[0]), JSON.stringify(b[0])));
+            }
+            return { $map: entries };
+        }
+        if (value instanceof Set) {
+            const entries = Array.from(value, entry => toTagged(entry, options, ancestors));
+            if (options.canonical) {
+                entries.sort((a, b) => compare(JSON.stringify(a), JSON.stringify(b)));
+            }
+            return { $set: entries };
+        }
+        if (Array.isArray(value)) {
+            return value.map(entry => toTagged(entry, options, ancestors) ?? null);
+        }
+
+        const keys = Object.keys(value);
+        if (options.canonical) {
+            keys.sort(compare);
+        }
+        const result = {};
+        for (const key of keys) {
+            const encoded = toTagged(value[key], options, ancestors);
+            if (encoded !== undefined) {
+                result[key] = encoded;
+            }
+        }
+        return result;
+    } finally {
+        ancestors.delete(value);
+    }
+}
+
+/**
+ * Restores a tagged value; untagged values are returned unchanged.
+ * @private
+ * @param {any} value - A value produced by JSON.parse().
+ * @returns {any}
+ */
+function fromTagged(value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return value;
+    }
+    if (typeof value.$binary === 'string') {
+        return fromBase64(value.$binary, value.$type);
+    }
+    if (typeof value.$date === 'number') {
+        return new Date(value.$date);
+    }
+    if (typeof value.$bigint === 'string') {
+        return BigInt(value.$bigint);
+    }
+    if (typeof value.$number === 'string') {
+        return Number(value.$number);
+    }
+    if (Array.isArray(value.$map)) {
+        return new Map(value.$map);
+    }
+    if (Array.isArray(value.$set)) {
+        return new Set(value.$set);
+    }
+    return value;
+}
+
+/**
+ * Code-point comparison, independent of the locale.
+ * @private
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compare(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * @private
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {string} The bytes as base64.
+ */
+function toBase64(data) {
+    const bytes = data instanceof ArrayBuffer
+        ? new Uint8Array(data)
+        : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * @private
+ * @param {string} base64 - The encoded bytes.
+ * @param {string} type - The class name of the original value.
+ * @returns {ArrayBuffer|ArrayBufferView}
+ */
+function fromBase64(base64, type) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    if (type === 'ArrayBuffer') {
+        return bytes.buffer;
+    }
+    if (type === 'DataView') {
+        return new DataView(bytes.buffer);
+    }
+    const View = globalThis[type];
+    if (typeof View !== 'function' || typeof View.BYTES_PER_ELEMENT !== 'number') {
+        return bytes;
+    }
+    return new View(bytes.buffer, 0, bytes.byteLength / View.BYTES_PER_ELEMENT);
+}
+
+
+export {
+    stringify,
+    canonicalize,
+    parse
+};
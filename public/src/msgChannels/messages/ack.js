@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Defines the AckMessage class, specializing BaseMessage for the receipt a
+ * recipient sends back for reliable direct messages, so the sender stops retransmitting them.
+ */
+
+import { BaseMessage } from './base.js';
+
+
+/**
+ * @typedef {import('./messageAgent.js').MessageAgent} MessageAgent
+ */
+
+export class AckMessage extends BaseMessage {
+
+    /**
+     * The standardized message type for delivery acknowledgements.
+     * @type {string}
+     */
+    static msgType = 'channel_ack';
+
+    /**
+     * Fields every received acknowledgement must carry.
+     * @type {Object<string, import('./base.js').WireFieldType>}
+     */
+    static requiredFields = {
+        'payload.msgIDs': 'object'
+    };
+
+    /**
+     * Creates a specialized acknowledgement message.
+     * This message is sent as a Direct Message to the sender of the acknowledged messages.
+     *
+     * @param {MessageAgent} agent - The MessageAgent instance of the recipient acknowledging.
+     * @param {string[]} msgIDs - The msgIDs of the received messages.
+     * @param {string} toAgent - The ID of the agent that sent them.
+     */
+    constructor(agent, msgIDs, toAgent) {
+        if (!Array.isArray(msgIDs) || msgIDs.length === 0) {
+            throw new Error('AckMessage requires the msgIDs of the acknowledged messages.');
+        }
+        if (!toAgent) {
+            throw new Error('AckMessage requires a target AgentID (toAgent).');
+        }
+
+        // Signature: constructor(agent, type, payload, metadata = null, toAgent = null)
+        super(agent, AckMessage.msgType, { msgIDs }, null, toAgent);
+    }
+
+    /**
+     * Extends the envelope validation with a check of the acknowledged msgIDs.
+     * @param {object} data - The raw envelope received from the transport.
+     * @returns {string[]} A list of problems; empty when the envelope is valid.
+     */
+    static validate(data) {
+        const problems = super.validate(data);
+        const msgIDs = data?.payload?.msgIDs;
+        if (msgIDs != null && (!Array.isArray(msgIDs) || !msgIDs.every(msgID => typeof msgID === 'string'))) {
+            problems.push('payload.msgIDs must be an array of strings');
+        }
+        return problems;
+    }
+}
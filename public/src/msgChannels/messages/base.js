@@ -5,6 +5,8 @@
  */
 
 import { pushID } from '../../vendor/pushID.js';
+import { registerErrorClass } from '../lib/errors.js';
+import { HybridLogicalClock } from '../lib/hlc.js';
 
 /**
  * @typedef {object} MessageMetadata - Object containing message specific context like type of request.
@@ -15,6 +17,11 @@ import { pushID } from '../../vendor/pushID.js';
  * @typedef {import('./messageAgent.js').MessageAgent} MessageAgent
  */
 
+/**
+ * Field type names understood by BaseMessage.requiredFields.
+ * @typedef {'string'|'number'|'boolean'|'object'|'any'} WireFieldType
+ */
+
 
 
 /**
@@ -38,6 +45,41 @@ const getAgentID = (agent) => {
     throw new Error('BaseMessage requires a valid AgentID(string) or MessageAgent instance containing agentID (agent.agentID).');
 }
 
+/**
+ * Checks a received value against a WireFieldType.
+ * @method
+ * @param {any} value - The received field value.
+ * @param {WireFieldType} expected - The expected type.
+ * @returns {boolean}
+ */
+const matchesWireType = (value, expected) => {
+    if (value === undefined || value === null) {
+        return false;
+    }
+    if (expected === 'any') {
+        return true;
+    }
+    if (expected === 'string') {
+        return typeof value === 'string' && value.length > 0;
+    }
+    return typeof value === expected;
+}
+
+/**
+ * Error raised when a received envelope does not satisfy its message class contract.
+ */
+export class MessageValidationError extends Error {
+    constructor(msgType, problems, data) {
+        super(`Malformed '${msgType}' message: ${problems.join('; ')}.`);
+        this.name = 'MessageValidationError';
+        this.msgType = msgType;
+        this.problems = problems;
+        this.msgID = typeof data?.msgID === 'string' ? data.msgID : null;
+        this.agentID = typeof data?.agentID === 'string' ? data.agentID : null;
+    }
+}
+registerErrorClass(MessageValidationError);
+
 /**
  * Primitive Message Object which is extended by specific Message types
  * @class
@@ -48,6 +90,14 @@ const getAgentID = (agent) => {
  * @property {object} [payload]
  */
 export class BaseMessage {
+
+    /**
+     * Fields (dot-separated paths) every received message of this class must carry, mapped to their type.
+     * Subclasses override this to describe their own payload/metadata contract.
+     * @type {Object<string, WireFieldType>}
+     */
+    static requiredFields = {};
+
     /**
      * The unique, time-encoded identifier of this message.
      * @type {string}
@@ -55,7 +105,9 @@ export class BaseMessage {
     msgID;
 
     /**
-     * The Unix timestamp (milliseconds) when the message was created.
+     * The Unix timestamp (milliseconds) when the message was created, from the sender's local clock.
+     * Clocks of different contexts disagree; order messages across agents by the hybrid logical
+     * clock reading BaseChannel stamps in `metadata.hlc` (see HybridLogicalClock.compareMessages()).
      * @type {number}
      */
     timestamp;
@@ -94,7 +146,8 @@ export class BaseMessage {
     agentID;
 
     /**
-     * Optional identifier specifying the target recipient for Direct Messaging.
+     * Optional identifier specifying the target recipient for Direct Messaging: an agentID,
+     * or 'role:<role>' for every agent holding the role.
      * @type {string | null}
      */
     toAgent;
@@ -123,6 +176,54 @@ export class BaseMessage {
         this.payload = payload;
         this.agentID = getAgentID(agent);
         this.toAgent = toAgent;
-        this.metadata = metadata; // Now defaults to {}
+        this.metadata = metadata ?? {}; // Guaranteed object, even when subclasses pass null
+    }
+
+    /**
+     * Checks a received (structured-cloned) envelope against the envelope contract
+     * and this class's requiredFields.
+     * @param {object} data - The raw envelope received from the transport.
+     * @returns {string[]} A list of problems; empty when the envelope is valid.
+     */
+    static validate(data) {
+        if (typeof data !== 'object' || data === null) {
+            return ['envelope is not an object'];
+        }
+
+        const problems = [];
+        if (!matchesWireType(data.msgID, 'string')) problems.push('msgID must be a non-empty string');
+        if (!Number.isFinite(data.timestamp)) problems.push('timestamp must be a finite number');
+        if (!matchesWireType(data.type, 'string')) problems.push('type must be a non-empty string');
+        if (!matchesWireType(data.agentID, 'string')) problems.push('agentID must be a non-empty string');
+        if (data.toAgent != null && typeof data.toAgent !== 'string') problems.push('toAgent must be a string or null');
+        if (data.metadata != null && typeof data.metadata !== 'object') problems.push('metadata must be an object');
+        if (data.metadata?.hlc !== undefined && !HybridLogicalClock.isTimestamp(data.metadata.hlc)) problems.push('metadata.hlc must be a hybrid logical clock reading');
+        if (data.metadata?.namespace !== undefined && !matchesWireType(data.metadata.namespace, 'string')) problems.push('metadata.namespace must be a non-empty string');
+
+        for (const [path, expected] of Object.entries(this.requiredFields)) {
+            const value = path.split('.').reduce((obj, key) => obj?.[key], data);
+            if (!matchesWireType(value, expected)) {
+                problems.push(`${path} must be ${expected === 'any' ? 'present' : `a ${expected}`}`);
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Rebuilds an instance of this class from a received envelope, keeping the original
+     * msgID, timestamp and class-specific fields. The constructor is NOT re-run.
+     * @param {object} data - The raw envelope received from the transport.
+     * @returns {BaseMessage} An instance of the calling class.
+     * @throws {MessageValidationError} If the envelope is malformed.
+     */
+    static fromWire(data) {
+        const problems = this.validate(data);
+        if (problems.length > 0) {
+            throw new MessageValidationError(data?.type ?? 'unknown', problems, data);
+        }
+
+        const message = Object.assign(Object.create(this.prototype), data);
+        message.metadata = message.metadata ?? {}; // Older peers may send null metadata
+        return message;
     }
 }
\ No newline at end of file
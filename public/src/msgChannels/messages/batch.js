@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Defines the BatchMessage class, the envelope a channel uses to post several
+ * coalesced messages at once. Receiving channels unpack it before middleware and listeners
+ * run, so listeners only ever see the messages it carries.
+ */
+
+import { BaseMessage } from './base.js';
+
+
+/**
+ * @typedef {import('./messageAgent.js').MessageAgent} MessageAgent
+ */
+
+export class BatchMessage extends BaseMessage {
+
+    /**
+     * The standardized message type for batches.
+     * @type {string}
+     */
+    static msgType = 'channel_batch';
+
+    /**
+     * Fields every received batch must carry.
+     * @type {Object<string, import('./base.js').WireFieldType>}
+     */
+    static requiredFields = {
+        'payload.messages': 'object'
+    };
+
+    /**
+     * Creates a batch envelope.
+     *
+     * @param {MessageAgent} agent - The MessageAgent instance of the sender.
+     * @param {BaseMessage[]} messages - The messages to carry, in sending order. All must come from the same agent.
+     */
+    constructor(agent, messages) {
+        if (!Array.isArray(messages) || messages.length === 0) {
+            throw new Error('BatchMessage requires a non-empty array of messages.');
+        }
+
+        // Signature: constructor(agent, type, payload, metadata = null, toAgent = null)
+        super(agent, BatchMessage.msgType, { messages: messages }, null, null);
+    }
+
+    /**
+     * Extends the envelope validation with a check of the message list. The carried
+     * messages themselves are validated one by one when the batch is unpacked.
+     * @param {object} data - The raw envelope received from the transport.
+     * @returns {string[]} A list of problems; empty when the envelope is valid.
+     */
+    static validate(data) {
+        const problems = super.validate(data);
+        const messages = data?.payload?.messages;
+        if (messages !== undefined && messages !== null && !Array.isArray(messages)) {
+            problems.push('payload.messages must be an array');
+        }
+        return problems;
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Defines the CancelMessage class, specializing BaseMessage for telling a
+ * responder that the requester no longer wants the result of a pending request.
+ */
+
+import { BaseMessage } from './base.js';
+
+
+/**
+ * @typedef {import('./messageAgent.js').MessageAgent} MessageAgent
+ */
+
+export class CancelMessage extends BaseMessage {
+
+    /**
+     * The standardized message type for request cancellations.
+     * @type {string}
+     */
+    static msgType = 'request_cancel';
+
+    /**
+     * Fields every received cancel message must carry.
+     * @type {Object<string, import('./base.js').WireFieldType>}
+     */
+    static requiredFields = {
+        requestMsgID: 'string',
+        'metadata.requestMsgID': 'string'
+    };
+
+    /**
+     * The MessageID of the RequestMessage being cancelled.
+     * @type {string}
+     */
+    requestMsgID;
+
+    /**
+     * Creates a specialized cancel message.
+     *
+     * @param {MessageAgent} agent - The MessageAgent instance of the sender (the original requester).
+     * @param {string} requestMsgID - The msgID of the request being cancelled.
+     * @param {string|null} [reason=null] - Optional human-readable cancellation reason.
+     * @param {string|null} [toAgent=null] - The responder, when the request was a direct message.
+     */
+    constructor(agent, requestMsgID, reason = null, toAgent = null) {
+        if (typeof requestMsgID !== 'string' || requestMsgID.length === 0) {
+            throw new Error('CancelMessage requires the requestMsgID of the request being cancelled.');
+        }
+
+        const metadata = {
+            requestMsgID: requestMsgID
+        };
+
+        // Signature: constructor(agent, type, payload, metadata = null, toAgent = null)
+        super(agent, CancelMessage.msgType, { reason: reason }, metadata, toAgent);
+
+        // Enforce specific property
+        this.requestMsgID = requestMsgID;
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Defines the ClaimMessage class, specializing BaseMessage for a responder's
+ * bid to handle a broadcast request that must be executed by exactly one agent.
+ */
+
+import { BaseMessage } from './base.js';
+
+
+/**
+ * @typedef {import('./messageAgent.js').MessageAgent} MessageAgent
+ */
+
+export class ClaimMessage extends BaseMessage {
+
+    /**
+     * The standardized message type for responder bids.
+     * @type {string}
+     */
+    static msgType = 'request_claim';
+
+    /**
+     * Fields every received claim message must carry.
+     * @type {Object<string, import('./base.js').WireFieldType>}
+     */
+    static requiredFields = {
+        requestMsgID: 'string',
+        'metadata.requestMsgID': 'string'
+    };
+
+    /**
+     * The MessageID of the RequestMessage being claimed.
+     * @type {string}
+     */
+    requestMsgID;
+
+    /**
+     * Creates a specialized claim message.
+     * This message is sent as a Direct Message to the requester, which grants the request to one bidder.
+     *
+     * @param {MessageAgent} agent - The MessageAgent instance of the sender (the bidding responder).
+     * @param {string} requestMsgID - The msgID of the request being claimed.
+     * @param {string} toAgent - The ID of the requesting agent.
+     */
+    constructor(agent, requestMsgID, toAgent) {
+        if (typeof requestMsgID !== 'string' || requestMsgID.length === 0) {
+            throw new Error('ClaimMessage requires the requestMsgID of the request being claimed.');
+        }
+
+        const metadata = {
+            requestMsgID: requestMsgID
+        };
+
+        // Signature: constructor(agent, type, payload, metadata = null, toAgent = null)
+        super(agent, ClaimMessage.msgType, null, metadata, toAgent);
+
+        // Enforce specific property
+        this.requestMsgID = requestMsgID;
+    }
+}
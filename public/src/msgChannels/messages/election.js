@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Defines the ElectionMessage class, specializing BaseMessage for the leader
+ * election protocol run by LeaderElection: candidates announce themselves, the leader
+ * announces itself as coordinator, and agents leaving an election say so.
+ */
+
+import { BaseMessage } from './base.js';
+
+
+/**
+ * @typedef {import('./messageAgent.js').MessageAgent} MessageAgent
+ *
+ * @typedef {'candidate'|'coordinator'|'resign'} ElectionMessageKind
+ * - 'candidate': the sender takes part in the election (broadcast when joining, answered directly by the others).
+ * - 'coordinator': the sender is the leader.
+ * - 'resign': the sender no longer takes part.
+ */
+
+/**
+ * The message kinds understood by LeaderElection.
+ * @private
+ * @type {Set<ElectionMessageKind>}
+ */
+const KINDS = new Set(['candidate', 'coordinator', 'resign']);
+
+export class ElectionMessage extends BaseMessage {
+
+    /**
+     * The standardized message type for the election protocol.
+     * @type {string}
+     */
+    static msgType = 'channel_election';
+
+    /**
+     * Fields every received election message must carry.
+     * @type {Object<string, import('./base.js').WireFieldType>}
+     */
+    static requiredFields = {
+        'payload.election': 'string',
+        'payload.kind': 'string',
+        'payload.since': 'number'
+    };
+
+    /**
+     * Creates a specialized election message.
+     *
+     * @param {MessageAgent} agent - The MessageAgent instance of the sender.
+     * @param {string} election - The name of the election (e.g., 'opfs-io').
+     * @param {ElectionMessageKind} kind - What the sender announces.
+     * @param {number} since - When the sender joined the election (ms); earlier candidates rank higher.
+     * @param {string|null} [toAgent=null] - Optional target AgentID, used to answer a new candidate.
+     */
+    constructor(agent, election, kind, since, toAgent = null) {
+        if (typeof election !== 'string' || election.length === 0) {
+            throw new Error('ElectionMessage requires a non-empty election name.');
+        }
+        if (!KINDS.has(kind)) {
+            throw new Error(`Unknown election message kind '${kind}'.`);
+        }
+
+        // Signature: constructor(agent, type, payload, metadata = null, toAgent = null)
+        super(agent, ElectionMessage.msgType, { election, kind, since }, null, toAgent);
+    }
+
+    /**
+     * Extends the envelope validation with a check of the message kind.
+     * @param {object} data - The raw envelope received from the transport.
+     * @returns {string[]} A list of problems; empty when the envelope is valid.
+     */
+    static validate(data) {
+        const problems = super.validate(data);
+        const kind = data?.payload?.kind;
+        if (typeof kind === 'string' && !KINDS.has(kind)) {
+            problems.push(`payload.kind must be one of ${Array.from(KINDS).join(', ')}`);
+        }
+        return problems;
+    }
+}
@@ -4,9 +4,11 @@
  */
 
 import { BaseMessage } from './base.js';
+import { serializeError, deserializeError } from '../lib/errors.js';
 
 /**
  * @typedef {import('./messageAgent.js').MessageAgent} MessageAgent
+ * @typedef {import('../lib/errors.js').SerializedError} SerializedError
  */
 
 
@@ -18,6 +20,15 @@ export class ErrorMessage extends BaseMessage {
      */
     static msgType = 'system_error';
 
+    /**
+     * Fields every received error message must carry.
+     * @type {Object<string, import('./base.js').WireFieldType>}
+     */
+    static requiredFields = {
+        'payload.name': 'string',
+        'payload.message': 'string'
+    };
+
     /**
      * The class name of the error (e.g., 'TypeError', 'RemoteError').
      * @type {string}
@@ -49,16 +60,19 @@ export class ErrorMessage extends BaseMessage {
         let name;
         let message;
         let stack;
+        let serialized;
         const level = 'ERROR';
 
         if (error instanceof Error) {
             name = error.name || 'Error';
             message = error.message;
             stack = error.stack || null;
+            serialized = serializeError(error);
         } else {
             name = 'SystemError';
             message = String(error);
             stack = null;
+            serialized = { name, message, stack };
         }
 
         // 1. Generate the standardized prefix string
@@ -70,6 +84,7 @@ export class ErrorMessage extends BaseMessage {
             message: prefix + message, // Apply prefix to the final message string
             stack: stack,
             data: data,
+            error: serialized // Un-prefixed, with code, cause chain and custom fields, for faithful reconstruction
         };
 
 
@@ -82,6 +97,26 @@ export class ErrorMessage extends BaseMessage {
         this.errorStack = stack;
     }
 
+    /**
+     * Rebuilds the transmitted error as an instance of its registered class (see lib/errors.js),
+     * with `remoteAgentID`, `remoteStack` and `remoteData` attached. Errors from peers that
+     * predate error serialization become a plain Error carrying the original name.
+     * @returns {Error}
+     */
+    toError() {
+        const serialized = this.payload.error ?? {
+            name: this.payload.name,
+            message: this.errorMessage ?? this.payload.message,
+            stack: this.payload.stack ?? null
+        };
+
+        const error = deserializeError(serialized);
+        error.remoteAgentID = this.agentID;
+        error.remoteStack = serialized.stack ?? null;
+        error.remoteData = this.payload.data ?? null;
+        return error;
+    }
+
     /**
      * Generates a standardized logging prefix string based on the agent and level.
      * Format: [MSG_ID] [ISO_TIMESTAMP] [AGENT_ID] [LEVEL]
@@ -24,6 +24,14 @@ export class EventMessage extends BaseMessage {
      */
     static msgType = 'app_event';
 
+    /**
+     * Fields every received event message must carry.
+     * @type {Object<string, import('./base.js').WireFieldType>}
+     */
+    static requiredFields = {
+        'payload.name': 'string'
+    };
+
     /**
      * The name of the application event being broadcast.
      * @type {string}
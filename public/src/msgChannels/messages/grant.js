@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Defines the GrantMessage class, specializing BaseMessage for the requester's
+ * decision on which bidder executes a claimed broadcast request. It is broadcast so that
+ * every other bidder learns to stand down.
+ */
+
+import { BaseMessage } from './base.js';
+
+
+/**
+ * @typedef {import('./messageAgent.js').MessageAgent} MessageAgent
+ */
+
+export class GrantMessage extends BaseMessage {
+
+    /**
+     * The standardized message type for request grants.
+     * @type {string}
+     */
+    static msgType = 'request_grant';
+
+    /**
+     * Fields every received grant message must carry.
+     * @type {Object<string, import('./base.js').WireFieldType>}
+     */
+    static requiredFields = {
+        requestMsgID: 'string',
+        'metadata.requestMsgID': 'string',
+        'payload.grantedAgentID': 'string'
+    };
+
+    /**
+     * The MessageID of the RequestMessage being granted.
+     * @type {string}
+     */
+    requestMsgID;
+
+    /**
+     * Creates a specialized grant message.
+     * This message is sent as a public broadcast.
+     *
+     * @param {MessageAgent} agent - The MessageAgent instance of the sender (the requester).
+     * @param {string} requestMsgID - The msgID of the request being granted.
+     * @param {string} grantedAgentID - The bidder that should execute the request.
+     */
+    constructor(agent, requestMsgID, grantedAgentID) {
+        if (typeof requestMsgID !== 'string' || requestMsgID.length === 0) {
+            throw new Error('GrantMessage requires the requestMsgID of the request being granted.');
+        }
+
+        const metadata = {
+            requestMsgID: requestMsgID
+        };
+
+        // Signature: constructor(agent, type, payload, metadata = null, toAgent = null)
+        super(agent, GrantMessage.msgType, { grantedAgentID: grantedAgentID }, metadata, null);
+
+        // Enforce specific property
+        this.requestMsgID = requestMsgID;
+    }
+}
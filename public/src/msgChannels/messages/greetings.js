@@ -17,6 +17,15 @@ export class GreetingMessage extends HandshakeMessage {
      */
     static msgType = 'channel_greeting';
 
+    /**
+     * Greetings are always direct messages, so the target is mandatory.
+     * @type {Object<string, import('./base.js').WireFieldType>}
+     */
+    static requiredFields = {
+        ...HandshakeMessage.requiredFields,
+        toAgent: 'string'
+    };
+
     /**
      * Creates a specialized greeting message.
      * This message is sent as a Direct Message (DM) in response to a public 'hello' broadcast.
@@ -20,6 +20,28 @@ export class HandshakeMessage extends BaseMessage {
      */
     static msgType = 'channel_handshake_base';
 
+    /**
+     * The protocol version spoken by this build of the library.
+     * Version 1 is the original handshake without protocol or capability data.
+     * @type {number}
+     */
+    static PROTOCOL_VERSION = 2;
+
+    /**
+     * The oldest protocol version this build can still interoperate with.
+     * @type {number}
+     */
+    static MIN_PROTOCOL_VERSION = 1;
+
+    /**
+     * Fields every received handshake message must carry (inherited by Hello, Greeting, Goodbye, Heartbeat).
+     * @type {Object<string, import('./base.js').WireFieldType>}
+     */
+    static requiredFields = {
+        'payload.agentID': 'string',
+        'payload.scope': 'string'
+    };
+
     /**
      * The scope of the agent sending the handshake (e.g., 'main' or 'worker').
      * @type {string}
@@ -38,7 +60,19 @@ export class HandshakeMessage extends BaseMessage {
         // The payload contains the essential discovery data
         const payload = {
             agentID: agent.agentID, // Redundant in structure but explicit in payload for clarity
-            scope: agent.agentScope // Directly pull scope from the agent object
+            scope: agent.agentScope, // Directly pull scope from the agent object
+            protocol: {
+                version: HandshakeMessage.PROTOCOL_VERSION,
+                minVersion: HandshakeMessage.MIN_PROTOCOL_VERSION
+            },
+            capabilities: Array.from(agent.capabilities || []),
+            roles: Array.from(agent.roles || []),
+            tags: Array.from(agent.tags || []),
+            // Tells apart two agents sharing an agentID (see BaseChannel.onDuplicateAgent())
+            instance: {
+                nonce: agent.nonce,
+                since: agent.since
+            }
         };
 
         super(agent, type, payload, metadata, toAgent);
@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Defines the HeartbeatMessage class, specializing HandshakeMessage for
+ * periodically re-announcing an agent's presence so peers can detect silent departures.
+ */
+
+import { HandshakeMessage } from './handshake.js';
+
+/**
+ * @typedef {import('./messageAgent.js').MessageAgent} MessageAgent
+ */
+
+export class HeartbeatMessage extends HandshakeMessage {
+
+    /**
+     * The standardized message type for a channel heartbeat.
+     * @type {string}
+     */
+    static msgType = 'channel_heartbeat';
+
+    /**
+     * Creates a specialized heartbeat message.
+     * This message is sent as a public broadcast at a fixed interval while the channel is open.
+     *
+     * @param {MessageAgent} agent - The MessageAgent instance of the sender (MANDATORY).
+     */
+    constructor(agent) {
+        super(agent, HeartbeatMessage.msgType, null, null);
+    }
+}
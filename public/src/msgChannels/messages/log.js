@@ -8,6 +8,7 @@ import { BaseMessage } from './base.js';
 
 /**
  * @typedef {import('./messageAgent.js').MessageAgent} MessageAgent
+ * @typedef {'trace'|'debug'|'info'|'warn'|'error'|'fatal'} LogLevel
  */
 
 
@@ -19,12 +20,33 @@ export class LogMessage extends BaseMessage {
      */
     static msgType = 'system_log';
 
+    /**
+     * The accepted logging levels, from least to most severe.
+     * @type {LogLevel[]}
+     */
+    static LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+
+    /**
+     * Fields every received log message must carry.
+     * @type {Object<string, import('./base.js').WireFieldType>}
+     */
+    static requiredFields = {
+        'payload.level': 'string',
+        'payload.message': 'string'
+    };
+
     /**
      * The standardized logging level of this message.
-     * @type {'info'|'warn'|'debug'}
+     * @type {LogLevel}
      */
     level;
 
+    /**
+     * The dot-separated module namespace the message was logged from (e.g., 'opfs.write'), if any.
+     * @type {string|null}
+     */
+    namespace;
+
     /**
      * The primary log message string *before* prefixing.
      * @type {string}
@@ -35,24 +57,26 @@ export class LogMessage extends BaseMessage {
      * Creates a specialized log message, applying the standard logging prefix to the message string.
      *
      * @param {MessageAgent} agent - The MessageAgent instance of the sender.
-     * @param  {'info'|'warn'|'debug'} level - The logging severity level ('info', 'warn', or 'debug').
+     * @param {LogLevel} level - The logging severity level (see LogMessage.LEVELS).
      * @param {string} message - The primary log message string.
      * @param {object|null} [data=null] - Optional additional data/context for the log.
      * @param {string|null} [toAgent=null] - Optional target AgentID for direct messaging.
+     * @param {string|null} [namespace=null] - Optional module namespace (e.g., 'opfs.write').
      */
-    constructor(agent, level, message, data = null, toAgent = null) {
-        if (!['info', 'warn', 'debug'].includes(level)) {
-            throw new Error(`Invalid log level: ${level}. Must be 'info', 'warn', or 'debug'.`);
+    constructor(agent, level, message, data = null, toAgent = null, namespace = null) {
+        if (!LogMessage.LEVELS.includes(level)) {
+            throw new Error(`Invalid log level: ${level}. Must be one of ${LogMessage.LEVELS.join(', ')}.`);
         }
 
         // 1. Generate the standardized prefix string
-        const prefix = LogMessage._getLogPrefix(agent, level);
+        const prefix = LogMessage._getLogPrefix(agent, level, namespace);
 
         // 2. Combine level and data into the generic payload
         const payload = {
             level: level,
             message: prefix + message, // <-- Apply prefix to the final message string
             data: data,
+            namespace: namespace,
             timestamp: Date.now() // Redundant as BaseMessage adds timestamp, but kept in payload for clarity
         };
 
@@ -60,25 +84,52 @@ export class LogMessage extends BaseMessage {
 
         // Enforce specific properties via accessors
         this.level = level;
+        this.namespace = namespace;
         this.logMessage = message; // Store the original message without prefix for debugging
     }
 
+    /**
+     * Compares log levels by severity.
+     * @param {LogLevel} level - The level to check.
+     * @param {LogLevel} minimum - The minimum level.
+     * @returns {boolean} True if `level` is at least as severe as `minimum`.
+     */
+    static isAtLeast(level, minimum) {
+        return LogMessage.LEVELS.indexOf(level) >= LogMessage.LEVELS.indexOf(minimum);
+    }
+
+    /**
+     * Extends the envelope validation with a check of the log level.
+     * @param {object} data - The raw envelope received from the transport.
+     * @returns {string[]} A list of problems; empty when the envelope is valid.
+     */
+    static validate(data) {
+        const problems = super.validate(data);
+        const level = data?.payload?.level;
+        if (typeof level === 'string' && !LogMessage.LEVELS.includes(level)) {
+            problems.push(`payload.level '${level}' is not a known log level`);
+        }
+        return problems;
+    }
+
     /**
      * Generates a standardized logging prefix string based on the agent and level.
-     * Format: [MSG_ID] [ISO_TIMESTAMP] [AGENT_ID] [LEVEL]
+     * Format: [MSG_ID] [ISO_TIMESTAMP] [AGENT_ID] [LEVEL] [NAMESPACE]
      * @private
      * @param {MessageAgent} agent - The MessageAgent instance.
-     * @param {'info'|'warn'|'debug'} level - The log level.
+     * @param {LogLevel} level - The log level.
+     * @param {string|null} [namespace=null] - The module namespace, appended as an extra bracket when present.
      * @returns {string} The formatted prefix string.
      */
-    static _getLogPrefix(agent, level) {
+    static _getLogPrefix(agent, level, namespace = null) {
         // We generate a dummy BaseMessage *internally* to access the unique msgID/timestamp for the prefix.
         const tempMessage = new BaseMessage(agent, LogMessage.msgType, null);
 
         const paddedLevel = level.toUpperCase().padStart(5, ' ');
         const isoTime = new Date(tempMessage.timestamp).toISOString();
 
-        // Example: [0QZ7qGgA] [2025-10-18T13:41:43.000Z] [WORKER:0QZ7qGgA] [INFO ]
-        return `[${tempMessage.msgID}] [${isoTime}] [${agent.agentID.toUpperCase()}] [${paddedLevel}] `;
+        // Example: [0QZ7qGgA] [2025-10-18T13:41:43.000Z] [WORKER:0QZ7qGgA] [INFO ] [opfs.write]
+        const scope = namespace ? ` [${namespace}]` : '';
+        return `[${tempMessage.msgID}] [${isoTime}] [${agent.agentID.toUpperCase()}] [${paddedLevel}]${scope} `;
     }
 }
\ No newline at end of file
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Defines the LogLevelMessage class, specializing BaseMessage for remotely
+ * changing the minimum log level of an agent (or of every agent, when broadcast).
+ */
+
+import { BaseMessage } from './base.js';
+import { LogMessage } from './log.js';
+
+
+/**
+ * @typedef {import('./messageAgent.js').MessageAgent} MessageAgent
+ * @typedef {import('./log.js').LogLevel} LogLevel
+ */
+
+export class LogLevelMessage extends BaseMessage {
+
+    /**
+     * The standardized message type for log level control.
+     * @type {string}
+     */
+    static msgType = 'system_log_level';
+
+    /**
+     * Fields every received log level message must carry.
+     * @type {Object<string, import('./base.js').WireFieldType>}
+     */
+    static requiredFields = {
+        'payload.level': 'string'
+    };
+
+    /**
+     * Creates a specialized log level control message.
+     *
+     * @param {MessageAgent} agent - The MessageAgent instance of the sender.
+     * @param {LogLevel} level - The new minimum level.
+     * @param {string|null} [namespace=null] - Restricts the change to a logger namespace (and its children).
+     * @param {string|null} [toAgent=null] - The agent to reconfigure; null reconfigures every agent.
+     */
+    constructor(agent, level, namespace = null, toAgent = null) {
+        if (!LogMessage.LEVELS.includes(level)) {
+            throw new Error(`Invalid log level: ${level}. Must be one of ${LogMessage.LEVELS.join(', ')}.`);
+        }
+
+        // Signature: constructor(agent, type, payload, metadata = null, toAgent = null)
+        super(agent, LogLevelMessage.msgType, { level: level, namespace: namespace }, null, toAgent);
+    }
+
+    /**
+     * Extends the envelope validation with a check of the requested level.
+     * @param {object} data - The raw envelope received from the transport.
+     * @returns {string[]} A list of problems; empty when the envelope is valid.
+     */
+    static validate(data) {
+        const problems = super.validate(data);
+        const level = data?.payload?.level;
+        if (typeof level === 'string' && !LogMessage.LEVELS.includes(level)) {
+            problems.push(`payload.level '${level}' is not a known log level`);
+        }
+        const namespace = data?.payload?.namespace;
+        if (namespace !== undefined && namespace !== null && typeof namespace !== 'string') {
+            problems.push('payload.namespace must be a string or null');
+        }
+        return problems;
+    }
+}
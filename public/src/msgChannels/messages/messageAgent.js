@@ -1,11 +1,40 @@
 /**
  * @fileoverview Defines the MessageAgent class, which encapsulates the logic
- * for determining the execution context (scope, name) and generating a stable agentID.
+ * for determining the execution context (scope, name) and generating a unique agentID.
  * This class ensures consistency across Main Thread and Worker contexts.
+ *
+ * Several contexts often share a name (every tab runs a 'main:UI', every tab's worker a
+ * 'worker:io'), so the agentID carries a random instance suffix after the name
+ * (e.g., 'main:UI#k3F9'). The suffix can be kept in sessionStorage to survive reloads;
+ * a duplicated tab copies it, which BaseChannel detects during the handshake (see rekey()).
  */
 
 import { pushID } from '../../vendor/pushID.js';
 
+/**
+ * @typedef {object} MessageAgentOptions
+ * @property {boolean} [persist=false] - Keep the instance suffix in sessionStorage, so the agentID stays the same across reloads of the tab.
+ *
+ * @typedef {object} ParsedAgentID
+ * @property {string} scope - The scope (e.g., 'main').
+ * @property {string} name - The human-friendly name (e.g., 'UI').
+ * @property {string|null} instanceID - The instance suffix (e.g., 'k3F9'), or null if the agentID has none.
+ */
+
+/**
+ * Characters of the random instance suffixes and nonces (64, so every random byte maps evenly).
+ * @private
+ * @type {string}
+ */
+const ID_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz-_';
+
+/**
+ * Separates the name from the instance suffix in an agentID.
+ * @private
+ * @type {string}
+ */
+const INSTANCE_SEPARATOR = '#';
+
 
 export class MessageAgent {
 
@@ -16,19 +45,129 @@ export class MessageAgent {
     agentScope;
 
     /**
-     * The unique identifier of the agent (e.g., 'main:UI' or 'worker:0QZ7qGgA').
+     * The human-friendly name of the agent (e.g., 'UI').
+     * @type {string}
+     */
+    agentName;
+
+    /**
+     * The random suffix telling apart agents sharing a name (e.g., 'k3F9'), or null when the
+     * name is already random (unnamed workers).
+     * @type {string|null}
+     */
+    instanceID = null;
+
+    /**
+     * The unique identifier of the agent (e.g., 'main:UI#k3F9' or 'worker:0QZ7qGgA').
      * @type {string}
      */
     agentID;
 
+    /**
+     * Random value identifying this agent object. Two agents that ended up with the same
+     * agentID (a duplicated tab) have different nonces.
+     * @type {string}
+     */
+    nonce;
+
+    /**
+     * When this agent was created (ms); of two agents sharing an agentID, the later one gives way.
+     * @type {number}
+     */
+    since;
+
+    /**
+     * Capabilities this agent advertises in its handshake messages
+     * (e.g., 'request:opfs_read_file' for each request type it serves).
+     * @type {Set<string>}
+     */
+    capabilities = new Set();
+
+    /**
+     * Roles this agent advertises in its handshake messages (e.g., 'io', 'indexer'). Messages
+     * addressed to 'role:<role>' are delivered to every agent holding the role.
+     * @type {Set<string>}
+     */
+    roles = new Set();
+
+    /**
+     * Free-form tags this agent advertises in its handshake messages (e.g., 'settings-page'),
+     * for peers looking agents up with BaseChannel.findAgents().
+     * @type {Set<string>}
+     */
+    tags = new Set();
+
+    /**
+     * The sessionStorage key the instance suffix is kept under, or null when it is not persisted.
+     * @private
+     * @type {string|null}
+     */
+    _storageKey = null;
+
+    /**
+     * Length of the random instance suffix.
+     * @type {number}
+     */
+    static INSTANCE_ID_LENGTH = 4;
+
+    /**
+     * Prefix of the sessionStorage keys persisted instance suffixes are kept under.
+     * @type {string}
+     */
+    static STORAGE_KEY_PREFIX = 'msgChannels:agentID:';
+
     /**
      * Initializes the MessageAgent, determining the execution scope and generating
      * the agentID based on the provided name or robust defaults.
      * @param {string | null} [agentName=null] - Optional human-friendly name for this context (e.g., 'UI').
+     * @param {MessageAgentOptions} [options={}] - Optional configuration.
      */
-    constructor(agentName = null) {
+    constructor(agentName = null, options = {}) {
         this.agentScope = this._determineScope();
-        this.agentID = this._generateAgentID(agentName);
+        this.nonce = randomString(16);
+        this.since = Date.now();
+        this.agentID = this._generateAgentID(agentName, options.persist === true);
+    }
+
+    /**
+     * Splits an agentID into scope, name and instance suffix.
+     * @param {string} agentID - The agentID (e.g., 'main:UI#k3F9').
+     * @returns {ParsedAgentID}
+     */
+    static parseAgentID(agentID) {
+        const colon = agentID.indexOf(':');
+        const scope = colon === -1 ? '' : agentID.slice(0, colon);
+        const rest = agentID.slice(colon + 1);
+        const hash = rest.lastIndexOf(INSTANCE_SEPARATOR);
+        return hash === -1
+            ? { scope, name: rest, instanceID: null }
+            : { scope, name: rest.slice(0, hash), instanceID: rest.slice(hash + 1) };
+    }
+
+    /**
+     * Checks whether an agentID matches a pattern: the exact agentID, or 'scope:name'
+     * without instance suffix, which matches every instance of that name.
+     * @param {string} agentID - The agentID to check (e.g., 'worker:io#k3F9').
+     * @param {string} pattern - The agentID or 'scope:name' to match (e.g., 'worker:io').
+     * @returns {boolean}
+     */
+    static matchesID(agentID, pattern) {
+        return agentID === pattern || agentID.startsWith(pattern + INSTANCE_SEPARATOR);
+    }
+
+    /**
+     * Replaces the instance suffix with a new random one (e.g., after another agent was found
+     * to use the same agentID). The new suffix is persisted if the old one was.
+     * Messages created afterwards carry the new agentID.
+     * @returns {string} The new agentID.
+     */
+    rekey() {
+        this.instanceID = randomString(MessageAgent.INSTANCE_ID_LENGTH);
+        this.agentID = `${this.agentScope}:${this.agentName}${INSTANCE_SEPARATOR}${this.instanceID}`;
+        if (this._storageKey) {
+            writeSession(this._storageKey, this.instanceID);
+        }
+        return this.agentID;
     }
 
     /**
@@ -46,13 +185,15 @@ export class MessageAgent {
 
     /**
      * Generates the final agentID string based on scope and provided name.
-     * The final ID is always formatted as 'scope:name'.
+     * The final ID is formatted as 'scope:name#instance', or 'scope:name' when the name itself is random.
      * @private
      * @param {string | null} preferredName - The name provided by the user.
-     * @returns {string} The generated agent ID (e.g., 'main:UI' or 'worker:0QZ7qGgA').
+     * @param {boolean} persist - Whether to keep the instance suffix in sessionStorage.
+     * @returns {string} The generated agent ID (e.g., 'main:UI#k3F9' or 'worker:0QZ7qGgA').
      */
-    _generateAgentID(preferredName) {
+    _generateAgentID(preferredName, persist) {
         let name;
+        let randomName = false;
 
         if (preferredName && typeof preferredName === 'string' && preferredName.length > 0) {
             // Priority 1: Use the developer-provided name
@@ -65,15 +206,72 @@ export class MessageAgent {
         } else {
             // Fallback: Generate a unique Push ID or use a generic identifier
             if (this.agentScope === 'main') {
-                // Main thread fallback uses a generic, static name
+                // Main thread fallback uses a generic name, made unique by the instance suffix
                 name = 'main';
             } else {
                 // Worker fallback generates a unique Push ID to ensure traceability
                 name = pushID.newID({length: 10, stub: null});
+                randomName = true;
             }
         }
+        this.agentName = name;
+
+        // A random name needs no suffix (and is never the same after a reload anyway)
+        if (randomName) {
+            return `${this.agentScope}:${name}`;
+        }
+
+        if (persist) {
+            this._storageKey = `${MessageAgent.STORAGE_KEY_PREFIX}${this.agentScope}:${name}`;
+            const stored = readSession(this._storageKey);
+            if (stored && /^[\w-]+$/.test(stored)) {
+                this.instanceID = stored;
+                return `${this.agentScope}:${name}${INSTANCE_SEPARATOR}${stored}`;
+            }
+        }
+
+        // Concatenate to form the final agentID (e.g., 'main:UI#k3F9'); rekey() persists the suffix
+        return this.rekey();
+    }
+}
+
+/**
+ * Creates a random string from ID_CHARS.
+ * @private
+ * @param {number} length - The length of the string.
+ * @returns {string}
+ */
+function randomString(length) {
+    const bytes = crypto.getRandomValues(new Uint8Array(length));
+    return Array.from(bytes, byte => ID_CHARS[byte & 63]).join('');
+}
 
-        // Concatenate to form the final agentID (e.g., 'worker:0QZ7qGgA')
-        return `${this.agentScope}:${name}`;
+/**
+ * Reads a sessionStorage entry. Workers have no sessionStorage, and access may be denied.
+ * @private
+ * @param {string} key
+ * @returns {string|null}
+ */
+function readSession(key) {
+    try {
+        return typeof sessionStorage === 'undefined' ? null : sessionStorage.getItem(key);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Writes a sessionStorage entry, ignoring contexts without (accessible) sessionStorage.
+ * @private
+ * @param {string} key
+ * @param {string} value
+ */
+function writeSession(key, value) {
+    try {
+        if (typeof sessionStorage !== 'undefined') {
+            sessionStorage.setItem(key, value);
+        }
+    } catch (e) {
+        // Storage unavailable (e.g., blocked by privacy settings): the suffix just is not kept
     }
-}
\ No newline at end of file
+}
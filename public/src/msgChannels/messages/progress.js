@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Defines the ProgressMessage class, specializing BaseMessage for the
+ * intermediate chunks a responder streams back before its final ResponseMessage.
+ */
+
+import { BaseMessage } from './base.js';
+
+
+/**
+ * @typedef {import('./messageAgent.js').MessageAgent} MessageAgent
+ */
+
+export class ProgressMessage extends BaseMessage {
+
+    /**
+     * The standardized message type for streamed progress chunks.
+     * @type {string}
+     */
+    static msgType = 'response_progress';
+
+    /**
+     * Fields every received progress message must carry.
+     * @type {Object<string, import('./base.js').WireFieldType>}
+     */
+    static requiredFields = {
+        requestMsgID: 'string',
+        'metadata.requestMsgID': 'string',
+        'metadata.seq': 'number'
+    };
+
+    /**
+     * The MessageID of the RequestMessage this chunk belongs to.
+     * @type {string}
+     */
+    requestMsgID;
+
+    /**
+     * Creates a specialized progress message.
+     *
+     * @param {MessageAgent} agent - The MessageAgent instance of the sender (the responder).
+     * @param {string} requestMsgID - The msgID of the request being answered.
+     * @param {any} data - The progress data or partial result.
+     * @param {number} seq - Zero-based position of this chunk in the stream.
+     * @param {string|null} [toAgent=null] - The ID of the original requesting agent.
+     */
+    constructor(agent, requestMsgID, data, seq, toAgent = null) {
+        if (typeof requestMsgID !== 'string' || requestMsgID.length === 0) {
+            throw new Error('ProgressMessage requires a requestMsgID to link back to the request.');
+        }
+
+        const metadata = {
+            requestMsgID: requestMsgID,
+            seq: seq
+        };
+
+        // Signature: constructor(agent, type, payload, metadata = null, toAgent = null)
+        super(agent, ProgressMessage.msgType, data, metadata, toAgent);
+
+        // Enforce specific property
+        this.requestMsgID = requestMsgID;
+    }
+}
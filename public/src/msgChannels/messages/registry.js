@@ -0,0 +1,103 @@
+/**
+ * @fileoverview The message-class registry. Structured cloning strips prototypes, so the
+ * channel router uses this registry to rebuild each received envelope into the
+ * BaseMessage subclass registered for its `type`.
+ */
+
+import { BaseMessage, MessageValidationError } from './base.js';
+import { LogMessage } from './log.js';
+import { ErrorMessage } from './error.js';
+import { EventMessage } from './event.js';
+import { StatusMessage } from './status.js';
+import { HelloMessage } from './hello.js';
+import { GreetingMessage } from './greetings.js';
+import { GoodbyeMessage } from './goodbye.js';
+import { HeartbeatMessage } from './heartbeat.js';
+import { RequestMessage } from './request.js';
+import { ResponseMessage } from './response.js';
+import { CancelMessage } from './cancel.js';
+import { ProgressMessage } from './progress.js';
+import { ClaimMessage } from './claim.js';
+import { GrantMessage } from './grant.js';
+import { LogLevelMessage } from './logLevel.js';
+import { StatusSnapshotRequestMessage } from './statusSnapshotRequest.js';
+import { StatusSnapshotMessage } from './statusSnapshot.js';
+import { BatchMessage } from './batch.js';
+import { ElectionMessage } from './election.js';
+import { AckMessage } from './ack.js';
+
+/**
+ * Registered message classes keyed by their static msgType.
+ * @private
+ * @type {Map<string, typeof BaseMessage>}
+ */
+const MESSAGE_CLASSES = new Map();
+
+/**
+ * Registers a message class so received envelopes of its type are rebuilt as instances of it.
+ * Registering a class for an already registered type replaces the previous class.
+ * @param {typeof BaseMessage} messageClass - A BaseMessage subclass with a static msgType.
+ */
+function registerMessageClass(messageClass) {
+    if (typeof messageClass !== 'function' || !(messageClass.prototype instanceof BaseMessage)) {
+        throw new TypeError('Only BaseMessage subclasses can be registered.');
+    }
+    if (typeof messageClass.msgType !== 'string' || messageClass.msgType.length === 0) {
+        throw new Error(`${messageClass.name} must define a non-empty static msgType to be registered.`);
+    }
+    MESSAGE_CLASSES.set(messageClass.msgType, messageClass);
+}
+
+/**
+ * Looks up the class registered for a message type.
+ * @param {string} type - The message type.
+ * @returns {typeof BaseMessage} The registered class, or BaseMessage for unknown types.
+ */
+function getMessageClass(type) {
+    return MESSAGE_CLASSES.get(type) || BaseMessage;
+}
+
+/**
+ * Rebuilds a received envelope into its registered message class.
+ * Unknown types are rebuilt as plain BaseMessage instances after envelope validation.
+ * @param {object} data - The raw envelope received from the transport.
+ * @returns {BaseMessage}
+ * @throws {MessageValidationError} If the envelope is malformed.
+ */
+function fromWire(data) {
+    if (typeof data !== 'object' || data === null) {
+        throw new MessageValidationError('unknown', ['envelope is not an object'], null);
+    }
+    return getMessageClass(data.type).fromWire(data);
+}
+
+// Built-in protocol messages
+[
+    LogMessage,
+    ErrorMessage,
+    EventMessage,
+    StatusMessage,
+    HelloMessage,
+    GreetingMessage,
+    GoodbyeMessage,
+    HeartbeatMessage,
+    RequestMessage,
+    ResponseMessage,
+    CancelMessage,
+    ProgressMessage,
+    ClaimMessage,
+    GrantMessage,
+    LogLevelMessage,
+    StatusSnapshotRequestMessage,
+    StatusSnapshotMessage,
+    BatchMessage,
+    ElectionMessage,
+    AckMessage
+].forEach(registerMessageClass);
+
+
+export {
+    registerMessageClass,
+    getMessageClass,
+    fromWire
+};
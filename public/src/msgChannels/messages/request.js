@@ -20,6 +20,15 @@ export class RequestMessage extends BaseMessage {
      */
     static msgType = 'request';
 
+    /**
+     * Fields every received request message must carry.
+     * @type {Object<string, import('./base.js').WireFieldType>}
+     */
+    static requiredFields = {
+        requestMsgID: 'string',
+        'metadata.requestType': 'string'
+    };
+
     /**
      * The unique identifier of this request message. This is a copy of msgID
      * used specifically to signal that this message is a request trace ID.
@@ -18,6 +18,15 @@ export class ResponseMessage extends BaseMessage {
      */
     static msgType = 'response';
 
+    /**
+     * Fields every received response message must carry.
+     * @type {Object<string, import('./base.js').WireFieldType>}
+     */
+    static requiredFields = {
+        requestMsgID: 'string',
+        'metadata.requestMsgID': 'string'
+    };
+
     /**
      * The MessageID of the original RequestMessage this message is fulfilling.
      * This field is critical for resolving the pending promise on the sender's side.
@@ -25,13 +34,20 @@ export class ResponseMessage extends BaseMessage {
      */
     requestMsgID;
 
+    /**
+     * Request metadata fields a response carries over. The others (timeout, claim,
+     * idempotencyKey, and the sender's delivery stamps) concern only the request.
+     * @type {string[]}
+     */
+    static carriedMetadata = ['requestType'];
+
     /**
      * Creates a specialized response message.
      *
      * @param {MessageAgent} agent - The MessageAgent instance of the sender.
      * @param {string} requestMsgID - The msgID of the original request message.
      * @param {object|null} [payload=null] - The data resulting from the request fulfillment.
-     * @param {object|null} [requestMetadata=null] - The metadata of the original request message.
+     * @param {object|null} [requestMetadata=null] - The metadata of the original request message; only its `carriedMetadata` fields are kept.
      * @param {string|null} [toAgent=null] - The ID of the original requesting agent (used for Direct Messaging).
      */
     constructor(agent, requestMsgID, payload = null, requestMetadata = null, toAgent = null) {
@@ -39,11 +55,13 @@ export class ResponseMessage extends BaseMessage {
             throw new Error('ResponseMessage requires a requestMsgID to link back to the request.');
         }
 
-        // The final response metadata includes the original request ID and the original request's metadata
-        const metadata = {
-            requestMsgID: requestMsgID,
-            ...requestMetadata // Spread the metadata from the original request for context
-        };
+        // The final response metadata links back to the request and keeps its response-scoped fields for context
+        const metadata = { requestMsgID: requestMsgID };
+        for (const field of ResponseMessage.carriedMetadata) {
+            if (requestMetadata?.[field] !== undefined) {
+                metadata[field] = requestMetadata[field];
+            }
+        }
 
         // Signature: constructor(agent, type, payload, metadata = null, toAgent = null)
         super(agent, ResponseMessage.msgType, payload, metadata, toAgent);
@@ -20,6 +20,14 @@ export class StatusMessage extends BaseMessage {
      */
     static msgType = 'system_status';
 
+    /**
+     * Fields every received status message must carry.
+     * @type {Object<string, import('./base.js').WireFieldType>}
+     */
+    static requiredFields = {
+        'payload.key': 'string'
+    };
+
     /**
      * The specific system metric being updated.
      * @type {StatusKey}
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Defines the StatusSnapshotMessage class, specializing BaseMessage for an
+ * agent's answer to a StatusSnapshotRequestMessage: the latest value of every status key
+ * it publishes, each with the timestamp it was published at.
+ */
+
+import { BaseMessage } from './base.js';
+
+
+/**
+ * @typedef {import('./messageAgent.js').MessageAgent} MessageAgent
+ *
+ * @typedef {object} StatusSnapshotEntry
+ * @property {string} key - The status key.
+ * @property {any} value - The latest value published for the key.
+ * @property {number} timestamp - Timestamp (ms) of the StatusMessage that published the value.
+ */
+
+export class StatusSnapshotMessage extends BaseMessage {
+
+    /**
+     * The standardized message type for status snapshots.
+     * @type {string}
+     */
+    static msgType = 'status_snapshot';
+
+    /**
+     * Fields every received snapshot message must carry.
+     * @type {Object<string, import('./base.js').WireFieldType>}
+     */
+    static requiredFields = {
+        'payload.entries': 'object'
+    };
+
+    /**
+     * Creates a specialized status snapshot message.
+     * This message is sent as a Direct Message to the agent that requested the snapshot.
+     *
+     * @param {MessageAgent} agent - The MessageAgent instance of the sender.
+     * @param {StatusSnapshotEntry[]} entries - The sender's own status values.
+     * @param {string} toAgent - The ID of the requesting agent.
+     */
+    constructor(agent, entries, toAgent) {
+        if (!Array.isArray(entries)) {
+            throw new Error('StatusSnapshotMessage requires an array of entries.');
+        }
+
+        // Signature: constructor(agent, type, payload, metadata = null, toAgent = null)
+        super(agent, StatusSnapshotMessage.msgType, { entries: entries }, null, toAgent);
+    }
+
+    /**
+     * Extends the envelope validation with a check of the entry list.
+     * @param {object} data - The raw envelope received from the transport.
+     * @returns {string[]} A list of problems; empty when the envelope is valid.
+     */
+    static validate(data) {
+        const problems = super.validate(data);
+        const entries = data?.payload?.entries;
+        if (entries !== undefined && entries !== null && !Array.isArray(entries)) {
+            problems.push('payload.entries must be an array');
+        } else if (Array.isArray(entries) && entries.some(entry => typeof entry?.key !== 'string' || typeof entry?.timestamp !== 'number')) {
+            problems.push('every entry in payload.entries needs a string key and a numeric timestamp');
+        }
+        return problems;
+    }
+}
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Defines the StatusSnapshotRequestMessage class, specializing BaseMessage for
+ * a newly joined agent asking its peers for the status values they currently publish.
+ */
+
+import { BaseMessage } from './base.js';
+
+
+/**
+ * @typedef {import('./messageAgent.js').MessageAgent} MessageAgent
+ */
+
+export class StatusSnapshotRequestMessage extends BaseMessage {
+
+    /**
+     * The standardized message type for status snapshot requests.
+     * @type {string}
+     */
+    static msgType = 'status_snapshot_request';
+
+    /**
+     * Creates a specialized status snapshot request.
+     * This message is usually broadcast; every agent running a StatusStore answers with a StatusSnapshotMessage.
+     *
+     * @param {MessageAgent} agent - The MessageAgent instance of the sender.
+     * @param {string|null} [toAgent=null] - Optional target AgentID, to ask a single agent.
+     */
+    constructor(agent, toAgent = null) {
+        // Signature: constructor(agent, type, payload, metadata = null, toAgent = null)
+        super(agent, StatusSnapshotRequestMessage.msgType, null, null, toAgent);
+    }
+}
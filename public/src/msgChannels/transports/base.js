@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Defines the BaseTransport class, the minimal interface every channel
+ * transport must implement. BaseChannel only ever talks to a transport, which lets the
+ * same message classes and listeners run over BroadcastChannel, MessagePort/Worker
+ * connections or an in-process bus.
+ */
+
+/**
+ * @callback TransportMessageHandler
+ * @param {MessageEvent|{data: any}} event - A MessageEvent (or MessageEvent-like object) carrying the raw envelope in `data`.
+ * @returns {void}
+ */
+
+
+export class BaseTransport {
+
+    /**
+     * Handler invoked for every message received by the transport.
+     * Assigned by the owning channel.
+     * @type {TransportMessageHandler|null}
+     */
+    onmessage = null;
+
+    /**
+     * Handler invoked when a received message could not be deserialized.
+     * Assigned by the owning channel.
+     * @type {TransportMessageHandler|null}
+     */
+    onmessageerror = null;
+
+    /**
+     * Whether `post()` honours the transferables list (zero-copy ownership transfer).
+     * Transports that cannot transfer silently fall back to structured cloning.
+     * @type {boolean}
+     */
+    get supportsTransfer() {
+        return false;
+    }
+
+    /**
+     * Posts a message envelope to the connected contexts.
+     * @abstract
+     * @param {any} message - The structured-cloneable message envelope.
+     * @param {Transferable[]} [transferables=[]] - Objects to transfer ownership of, when supported.
+     */
+    post(message, transferables = []) {
+        throw new Error(`${this.constructor.name} must implement post().`);
+    }
+
+    /**
+     * Releases the underlying resources. No messages are delivered after closing.
+     */
+    close() {
+        this.onmessage = null;
+        this.onmessageerror = null;
+    }
+
+    /**
+     * Forwards a received event to the assigned message handler.
+     * @protected
+     * @param {MessageEvent|{data: any}} event - The received event.
+     */
+    _emitMessage(event) {
+        if (typeof this.onmessage === 'function') {
+            this.onmessage(event);
+        }
+    }
+
+    /**
+     * Forwards a deserialization failure to the assigned error handler.
+     * @protected
+     * @param {MessageEvent|{data: any, error?: any}} event - The native messageerror event.
+     */
+    _emitMessageError(event) {
+        if (typeof this.onmessageerror === 'function') {
+            this.onmessageerror(event);
+        }
+    }
+}
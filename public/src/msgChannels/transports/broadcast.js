@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Defines the BroadcastTransport class, the default channel transport.
+ * It wraps a native BroadcastChannel, reaching every same-origin context (tabs, workers)
+ * that opened a channel with the same name.
+ */
+
+import { BaseTransport } from './base.js';
+
+
+export class BroadcastTransport extends BaseTransport {
+
+    /**
+     * Internal reference to the native BroadcastChannel instance.
+     * @private
+     * @type {BroadcastChannel}
+     */
+    _channel;
+
+    /**
+     * Opens the native BroadcastChannel.
+     * @param {string} channelName - The unique name shared by all connected contexts.
+     */
+    constructor(channelName) {
+        super();
+
+        if (typeof channelName !== 'string' || channelName.length === 0) {
+            throw new Error('BroadcastTransport requires a non-empty channel name.');
+        }
+
+        this._channel = new BroadcastChannel(channelName);
+        this._channel.onmessage = (event) => this._emitMessage(event);
+        this._channel.onmessageerror = (event) => this._emitMessageError(event);
+    }
+
+    /**
+     * BroadcastChannel.postMessage() has no transfer list; buffers are always cloned.
+     * @type {boolean}
+     */
+    get supportsTransfer() {
+        return false;
+    }
+
+    /**
+     * Broadcasts the message to all other contexts on the channel.
+     * @param {any} message - The structured-cloneable message envelope.
+     * @param {Transferable[]} [transferables=[]] - Ignored; BroadcastChannel cannot transfer.
+     */
+    post(message, transferables = []) {
+        this._channel.postMessage(message);
+    }
+
+    /**
+     * Closes the native BroadcastChannel.
+     */
+    close() {
+        this._channel.close();
+        super.close();
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Defines the MemoryTransport class, an in-process bus transport. Every
+ * MemoryTransport sharing a bus name receives the messages posted by the others, with
+ * the same structured-clone and asynchronous delivery semantics as BroadcastChannel.
+ * Useful for tests and for wiring several channels together inside a single context.
+ */
+
+import { BaseTransport } from './base.js';
+
+
+export class MemoryTransport extends BaseTransport {
+
+    /**
+     * Registry of open transports, grouped by bus name.
+     * @private
+     * @type {Map<string, Set<MemoryTransport>>}
+     */
+    static _buses = new Map();
+
+    /**
+     * The name of the bus this transport is attached to.
+     * @type {string}
+     */
+    busName;
+
+    /**
+     * Joins (or creates) the named in-process bus.
+     * @param {string} busName - The bus name shared by all connected transports.
+     */
+    constructor(busName) {
+        super();
+
+        if (typeof busName !== 'string' || busName.length === 0) {
+            throw new Error('MemoryTransport requires a non-empty bus name.');
+        }
+
+        this.busName = busName;
+
+        const members = MemoryTransport._buses.get(busName) || new Set();
+        members.add(this);
+        MemoryTransport._buses.set(busName, members);
+    }
+
+    /**
+     * Transferables are honoured by structuredClone(); the buffers are detached from the sender.
+     * @type {boolean}
+     */
+    get supportsTransfer() {
+        return true;
+    }
+
+    /**
+     * Delivers a structured clone of the message to every other transport on the bus.
+     * @param {any} message - The structured-cloneable message envelope.
+     * @param {Transferable[]} [transferables=[]] - Objects to transfer ownership of.
+     */
+    post(message, transferables = []) {
+        const members = MemoryTransport._buses.get(this.busName);
+        if (!members || !members.has(this)) {
+            throw new Error(`MemoryTransport '${this.busName}' is closed.`);
+        }
+
+        // Snapshot the message at post time, exactly like postMessage() does
+        const snapshot = structuredClone(message, { transfer: transferables });
+
+        for (const member of members) {
+            if (member === this) {
+                continue;
+            }
+            const data = structuredClone(snapshot);
+            // Deliver as a separate task to mirror native message event timing
+            setTimeout(() => member._emitMessage({ data }), 0);
+        }
+    }
+
+    /**
+     * Leaves the bus. The bus is discarded once its last member has left.
+     */
+    close() {
+        const members = MemoryTransport._buses.get(this.busName);
+        if (members) {
+            members.delete(this);
+            if (members.size === 0) {
+                MemoryTransport._buses.delete(this.busName);
+            }
+        }
+        super.close();
+    }
+}
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Defines the PortTransport class, a point-to-point channel transport over
+ * anything exposing the MessagePort shape: a MessagePort, a dedicated Worker, or the
+ * worker's own global scope (`self`). Cross-origin iframes are connected by handing one
+ * end of a MessageChannel to the frame once, then wrapping each port in a PortTransport.
+ */
+
+import { BaseTransport } from './base.js';
+
+/**
+ * @typedef {MessagePort|Worker|DedicatedWorkerGlobalScope} PortLike
+ */
+
+
+export class PortTransport extends BaseTransport {
+
+    /**
+     * The wrapped port-like endpoint.
+     * @private
+     * @type {PortLike}
+     */
+    _port;
+
+    /**
+     * Bound native listeners, kept so they can be removed on close().
+     * @private
+     * @type {{message: Function, messageerror: Function}}
+     */
+    _handlers;
+
+    /**
+     * Attaches to the endpoint and starts message delivery.
+     * NOTE: A port should be dedicated to a single channel; every message arriving on it is routed to this transport.
+     * @param {PortLike} port - The endpoint to communicate through.
+     */
+    constructor(port) {
+        super();
+
+        if (!port || typeof port.postMessage !== 'function' || typeof port.addEventListener !== 'function') {
+            throw new TypeError('PortTransport requires a MessagePort, Worker or worker global scope.');
+        }
+
+        this._port = port;
+        this._handlers = {
+            message: (event) => this._emitMessage(event),
+            messageerror: (event) => this._emitMessageError(event)
+        };
+
+        port.addEventListener('message', this._handlers.message);
+        port.addEventListener('messageerror', this._handlers.messageerror);
+
+        // MessagePorts only dispatch to addEventListener() listeners once started
+        if (typeof port.start === 'function') {
+            port.start();
+        }
+    }
+
+    /**
+     * Port-like endpoints accept a transfer list.
+     * @type {boolean}
+     */
+    get supportsTransfer() {
+        return true;
+    }
+
+    /**
+     * Posts the message to the other end of the port.
+     * @param {any} message - The structured-cloneable message envelope.
+     * @param {Transferable[]} [transferables=[]] - Objects to transfer ownership of.
+     */
+    post(message, transferables = []) {
+        this._port.postMessage(message, transferables);
+    }
+
+    /**
+     * Detaches from the endpoint. MessagePorts are closed; Workers are left running
+     * since their lifetime belongs to the code that created them.
+     */
+    close() {
+        this._port.removeEventListener('message', this._handlers.message);
+        this._port.removeEventListener('messageerror', this._handlers.messageerror);
+
+        if (typeof MessagePort !== 'undefined' && this._port instanceof MessagePort) {
+            this._port.close();
+        }
+        super.close();
+    }
+}
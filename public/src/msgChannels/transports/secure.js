@@ -0,0 +1,380 @@
+/**
+ * @fileoverview Defines the SecureTransport class, which wraps another transport to
+ * authenticate (and optionally encrypt) every envelope with WebCrypto. Outgoing envelopes
+ * are signed with HMAC-SHA-256 over their canonical form; with encryption on, the payload
+ * is first replaced by its AES-GCM ciphertext. Received envelopes that are unsigned,
+ * tampered with, outside the clock-skew window or already seen (replays) are refused
+ * before the channel rehydrates them, and reported through `onreject`.
+ *
+ * Both keys are derived with HKDF from a secret shared by all agents at setup. Processing
+ * is asynchronous; envelopes are still posted and delivered in order. Envelopes that cannot
+ * be sealed or sent (e.g., because the keys could not be derived) are reported through
+ * `onsenderror`, and received envelopes that cannot be processed through `onmessageerror`.
+ */
+
+import { BaseTransport } from './base.js';
+import { canonicalize, stringify, parse } from '../lib/taggedJSON.js';
+
+/**
+ * @typedef {object} SecurityOptions
+ * @property {string|BufferSource|CryptoKey} secret - Shared secret (or an HKDF CryptoKey) the signing and encryption keys are derived from.
+ * @property {boolean} [encrypt=false] - Also encrypt payloads with AES-GCM. Encrypted payloads cannot carry Blobs or MessagePorts, and are never transferred.
+ * @property {number} [maxClockSkew=SecureTransport.DEFAULT_MAX_CLOCK_SKEW] - Largest accepted difference (ms) between an envelope's timestamp and the local clock.
+ *
+ * @typedef {object} DerivedKeys
+ * @property {CryptoKey} signing - HMAC-SHA-256 key.
+ * @property {CryptoKey} encryption - AES-GCM key.
+ */
+
+/**
+ * Version of the authentication block, bumped when the signed form changes.
+ * @private
+ * @type {number}
+ */
+const AUTH_VERSION = 1;
+
+/**
+ * HKDF salt; every agent must use the same one.
+ * @private
+ * @type {string}
+ */
+const KEY_SALT = 'msgChannels/secure-transport';
+
+/**
+ * Shared encoder for the signed text.
+ * @private
+ * @type {TextEncoder}
+ */
+const ENCODER = new TextEncoder();
+
+
+export class SecureTransport extends BaseTransport {
+
+    /**
+     * The transport carrying the sealed envelopes.
+     * @private
+     * @type {BaseTransport}
+     */
+    _inner;
+
+    /**
+     * The derived keys, once ready.
+     * @private
+     * @type {Promise<DerivedKeys>}
+     */
+    _keys;
+
+    /**
+     * Whether payloads are encrypted.
+     * @private
+     * @type {boolean}
+     */
+    _encrypt;
+
+    /**
+     * Largest accepted clock difference in milliseconds.
+     * @private
+     * @type {number}
+     */
+    _maxClockSkew;
+
+    /**
+     * Local arrival times of recently accepted envelopes keyed by msgID, oldest first, for replay detection.
+     * @private
+     * @type {Map<string, number>}
+     */
+    _seen = new Map();
+
+    /**
+     * Tail of the outgoing envelopes being sealed.
+     * @private
+     * @type {Promise<void>}
+     */
+    _outbound = Promise.resolve();
+
+    /**
+     * Tail of the received envelopes being verified.
+     * @private
+     * @type {Promise<void>}
+     */
+    _inbound = Promise.resolve();
+
+    /**
+     * Handler invoked for every received envelope the transport refuses.
+     * Assigned by the owning channel.
+     * @type {((event: {data: any, reason: string}) => void)|null}
+     */
+    onreject = null;
+
+    /**
+     * Handler invoked for every posted envelope that could not be sealed or sent.
+     * Assigned by the owning channel.
+     * @type {((event: {data: any, error: any}) => void)|null}
+     */
+    onsenderror = null;
+
+    /**
+     * Default largest accepted clock difference in milliseconds.
+     * @type {number}
+     */
+    static DEFAULT_MAX_CLOCK_SKEW = 30000; // 30 seconds
+
+    /**
+     * Reason reported through `onreject` for envelopes already received. Their signature was
+     * valid, so the channel may still answer them (e.g., acknowledge a retransmission again).
+     * @type {string}
+     */
+    static REPLAY_REASON = 'message was already received (replay)';
+
+    /**
+     * Wraps a transport.
+     * @param {BaseTransport} inner - The transport to send sealed envelopes over.
+     * @param {SecurityOptions} options - The shared secret and security settings.
+     */
+    constructor(inner, options) {
+        super();
+        if (!(inner instanceof BaseTransport)) {
+            throw new TypeError('SecureTransport must wrap a BaseTransport.');
+        }
+        if (options?.secret === undefined || options.secret === null || options.secret === '') {
+            throw new Error('SecureTransport requires a shared secret.');
+        }
+
+        this._inner = inner;
+        this._encrypt = options.encrypt ?? false;
+        this._maxClockSkew = options.maxClockSkew ?? SecureTransport.DEFAULT_MAX_CLOCK_SKEW;
+        this._keys = SecureTransport.deriveKeys(options.secret);
+        // A bad secret is reported by every send (onsenderror) and receipt (onmessageerror) needing the keys
+        this._keys.catch(() => {});
+
+        this._inner.onmessage = (event) => this._receive(event.data);
+        this._inner.onmessageerror = (event) => this._emitMessageError(event);
+    }
+
+    /**
+     * Derives the signing and encryption keys from a shared secret.
+     * @param {string|BufferSource|CryptoKey} secret - The shared secret, or an HKDF CryptoKey.
+     * @returns {Promise<DerivedKeys>}
+     */
+    static async deriveKeys(secret) {
+        const base = secret instanceof CryptoKey
+            ? secret
+            : await crypto.subtle.importKey('raw', typeof secret === 'string' ? ENCODER.encode(secret) : secret, 'HKDF', false, ['deriveKey']);
+        const derive = (info, algorithm, usages) => crypto.subtle.deriveKey(
+            { name: 'HKDF', hash: 'SHA-256', salt: ENCODER.encode(KEY_SALT), info: ENCODER.encode(info) },
+            base,
+            algorithm,
+            false,
+            usages
+        );
+        return {
+            signing: await derive('hmac', { name: 'HMAC', hash: 'SHA-256', length: 256 }, ['sign', 'verify']),
+            encryption: await derive('aes-gcm', { name: 'AES-GCM', length: 256 }, ['encrypt', 'decrypt'])
+        };
+    }
+
+    /**
+     * Largest accepted difference (ms) between an envelope's timestamp and the local clock.
+     * @type {number}
+     */
+    get maxClockSkew() {
+        return this._maxClockSkew;
+    }
+
+    /**
+     * Transfers are passed through when signing only; encrypted payloads are always copied.
+     * @type {boolean}
+     */
+    get supportsTransfer() {
+        return !this._encrypt && this._inner.supportsTransfer;
+    }
+
+    /**
+     * Seals and posts an envelope. The envelope is copied (and its payload encoded)
+     * synchronously, like other transports do, so later changes to the message do not reach
+     * the sealed copy and uncloneable or unencryptable payloads throw to the caller. Signing
+     * and encryption complete asynchronously, in order, and their failures are reported
+     * through `onsenderror`.
+     * @param {any} message - The message envelope.
+     * @param {Transferable[]} [transferables=[]] - Objects to transfer ownership of (ignored when encrypting).
+     */
+    post(message, transferables = []) {
+        // Cloned together, the transferables are the very objects found in the copy
+        const transfer = this._encrypt ? [] : transferables;
+        const snapshot = structuredClone({ envelope: message, transfer }, { transfer });
+        const envelope = snapshot.envelope;
+        const plaintext = this._encrypt ? stringify(envelope.payload, { strict: true }) : null;
+
+        this._outbound = this._outbound
+            .then(async () => {
+                const keys = await this._keys;
+                if (plaintext !== null) {
+                    envelope.payload = await this._encryptPayload(keys, envelope, plaintext);
+                }
+                const signature = await crypto.subtle.sign('HMAC', keys.signing, ENCODER.encode(canonicalize(envelope)));
+                envelope.auth = { v: AUTH_VERSION, sig: signature };
+                this._inner.post(envelope, snapshot.transfer);
+            })
+            .catch((error) => {
+                if (typeof this.onsenderror === 'function') {
+                    this.onsenderror({ data: message, error });
+                }
+            });
+    }
+
+    /**
+     * Closes the inner transport once the envelopes already posted have been sent.
+     */
+    close() {
+        super.close();
+        this.onreject = null;
+        this.onsenderror = null;
+        this._outbound.then(() => this._inner.close());
+    }
+
+    /**
+     * Verifies received envelopes in arrival order and delivers the accepted ones.
+     * @private
+     * @param {any} data - The sealed envelope.
+     */
+    _receive(data) {
+        this._inbound = this._inbound
+            .then(() => this._open(data))
+            .then((envelope) => {
+                if (envelope) {
+                    this._emitMessage({ data: envelope });
+                }
+            })
+            .catch(error => this._emitMessageError({ data, error }));
+    }
+
+    /**
+     * Checks a received envelope and restores its payload.
+     * @private
+     * @param {any} data - The sealed envelope.
+     * @returns {Promise<object|null>} The opened envelope, or null if it was refused.
+     */
+    async _open(data) {
+        if (typeof data !== 'object' || data === null || typeof data.auth !== 'object' || data.auth === null) {
+            return this._refuse(data, 'message is not signed');
+        }
+        const { auth, ...envelope } = data;
+        if (auth.v !== AUTH_VERSION || !(auth.sig instanceof ArrayBuffer)) {
+            return this._refuse(data, 'unsupported signature format');
+        }
+
+        const keys = await this._keys;
+        const valid = await crypto.subtle.verify('HMAC', keys.signing, auth.sig, ENCODER.encode(canonicalize(envelope)));
+        if (!valid) {
+            return this._refuse(data, 'signature does not match (tampered message or wrong key)');
+        }
+
+        // Replay protection: only fresh envelopes, each accepted once
+        const now = Date.now();
+        if (!Number.isFinite(envelope.timestamp) || Math.abs(now - envelope.timestamp) > this._maxClockSkew) {
+            return this._refuse(data, 'timestamp is outside the accepted clock-skew window');
+        }
+        this._forgetExpired(now);
+        if (this._seen.has(envelope.msgID)) {
+            return this._refuse(data, SecureTransport.REPLAY_REASON);
+        }
+        this._seen.set(envelope.msgID, now);
+
+        if (isSealedPayload(envelope.payload)) {
+            try {
+                envelope.payload = await this._decryptPayload(keys, envelope);
+            } catch (e) {
+                return this._refuse(data, 'payload could not be decrypted');
+            }
+        } else if (this._encrypt) {
+            return this._refuse(data, 'payload is not encrypted');
+        }
+        return envelope;
+    }
+
+    /**
+     * Drops replay-detection entries that the clock-skew check already rejects. Senders'
+     * clocks differ, so entries expire by arrival time (which keeps them in order): an
+     * envelope accepted at arrival time `a` has a timestamp of at most `a + maxClockSkew`,
+     * so its replays are refused by the skew check once `2 * maxClockSkew` have passed.
+     * @private
+     * @param {number} now - The current time.
+     */
+    _forgetExpired(now) {
+        for (const [msgID, arrival] of this._seen) {
+            if (now - arrival <= 2 * this._maxClockSkew) {
+                break;
+            }
+            this._seen.delete(msgID);
+        }
+    }
+
+    /**
+     * Reports a refused envelope.
+     * @private
+     * @param {any} data - The refused envelope.
+     * @param {string} reason - Why it was refused.
+     * @returns {null}
+     */
+    _refuse(data, reason) {
+        if (typeof this.onreject === 'function') {
+            this.onreject({ data, reason });
+        }
+        return null;
+    }
+
+    /**
+     * Encrypts an encoded payload. The envelope's routing fields are bound as additional data.
+     * @private
+     * @param {DerivedKeys} keys - The derived keys.
+     * @param {object} envelope - The envelope being sealed.
+     * @param {string} plaintext - The tagged-JSON payload.
+     * @returns {Promise<{$sealed: {iv: Uint8Array, data: ArrayBuffer}}>}
+     */
+    async _encryptPayload(keys, envelope, plaintext) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: ENCODER.encode(associatedData(envelope)) },
+            keys.encryption,
+            ENCODER.encode(plaintext)
+        );
+        return { $sealed: { iv, data } };
+    }
+
+    /**
+     * Decrypts a sealed payload.
+     * @private
+     * @param {DerivedKeys} keys - The derived keys.
+     * @param {object} envelope - The received envelope.
+     * @returns {Promise<any>} The original payload.
+     */
+    async _decryptPayload(keys, envelope) {
+        const { iv, data } = envelope.payload.$sealed;
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv, additionalData: ENCODER.encode(associatedData(envelope)) },
+            keys.encryption,
+            data
+        );
+        return parse(new TextDecoder().decode(plaintext));
+    }
+}
+
+/**
+ * @private
+ * @param {any} payload
+ * @returns {boolean} True if the payload was produced by _encryptPayload().
+ */
+function isSealedPayload(payload) {
+    return typeof payload === 'object' && payload !== null &&
+        payload.$sealed?.iv instanceof Uint8Array && payload.$sealed?.data instanceof ArrayBuffer;
+}
+
+/**
+ * The envelope fields bound to the ciphertext, so it cannot be moved to another envelope.
+ * @private
+ * @param {object} envelope
+ * @returns {string}
+ */
+function associatedData(envelope) {
+    return `${envelope.msgID}|${envelope.agentID}|${envelope.type}`;
+}
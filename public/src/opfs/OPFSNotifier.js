@@ -4,8 +4,15 @@
  */
 import { BaseChannel } from '../msgChannels/channels/base.js';
 import { BaseMessage } from '../msgChannels/messages/base.js';
+import { EventMessage } from '../msgChannels/messages/event.js';
 
 /**
+ * @typedef {import('../msgChannels/channels/base.js').ChannelOptions} ChannelOptions
+ *
+ * @typedef {object} OPFSNotifierExtras
+ * @property {boolean} [coalesceFileModified=false] - Broadcast a burst of 'file_modified' events for one path as a single event, FILE_MODIFIED_INTERVAL ms after the first.
+ *
+ * @typedef {ChannelOptions & OPFSNotifierExtras} OPFSNotifierOptions
  * @typedef {string} FilePath
  * @typedef {string} BytesH
  * @callback OPFSNotificationCallback
@@ -22,13 +29,32 @@ export class OPFSNotifier extends BaseChannel {
      */
     static CHANNEL_NAME = 'opfs';
 
+    /**
+     * Milliseconds during which repeated 'file_modified' events for the same path are
+     * coalesced into the last one when `options.coalesceFileModified` is set (chunked writes
+     * would otherwise emit one per chunk).
+     * @type {number}
+     */
+    static FILE_MODIFIED_INTERVAL = 50;
+
     /**
      * Initializes the OPFSNotifier instance.
+     * With `options.coalesceFileModified`, 'file_modified' events are coalesced per path.
      * @param {string|null} [agentName=null] - Optional name for this context (e.g., 'UI').
+     * @param {OPFSNotifierOptions} [options={}] - Optional channel configuration (e.g., a non-default transport).
      */
-    constructor(agentName = null) {
+    constructor(agentName = null, options = {}) {
         // The second parameter is the channelName, which must be unique and constant
-        super(OPFSNotifier.CHANNEL_NAME, agentName);
+        super(OPFSNotifier.CHANNEL_NAME, agentName, options);
+
+        if (options.coalesceFileModified) {
+            this.coalesce(EventMessage, {
+                mode: 'latest',
+                filter: message => message.eventName === 'file_modified',
+                key: message => message.payload.data.path,
+                interval: OPFSNotifier.FILE_MODIFIED_INTERVAL
+            });
+        }
     }
 
     // =========================================================================
@@ -41,7 +67,7 @@ export class OPFSNotifier extends BaseChannel {
      * @param {BytesH} bytesH - The human-readable size of the file.
      */
     fileCreated(path, bytesH) {
-        this.event('file_created', { path, bytesH });
+        this._emit('file_created', { path, bytesH });
     }
 
     /**
@@ -58,7 +84,7 @@ export class OPFSNotifier extends BaseChannel {
      * @param {FilePath} path - The path of the deleted file.
      */
     fileDeleted(path) {
-        this.event('file_deleted', { path });
+        this._emit('file_deleted', { path });
     }
 
     /**
@@ -66,7 +92,7 @@ export class OPFSNotifier extends BaseChannel {
      * @param {FilePath} path - The path of the directory.
      */
     dirCreated(path) {
-        this.event('dir_created', { path });
+        this._emit('dir_created', { path });
     }
 
     /**
@@ -74,7 +100,7 @@ export class OPFSNotifier extends BaseChannel {
      * @param {FilePath} path - The path of the deleted directory.
      */
     dirDeleted(path) {
-        this.event('dir_deleted', { path });
+        this._emit('dir_deleted', { path });
     }
 
     /**
@@ -84,7 +110,20 @@ export class OPFSNotifier extends BaseChannel {
      * @param {'file'|'directory'} kind - The type of entity moved.
      */
     entryMoved(oldPath, newPath, kind) {
-        this.event('entry_moved', { oldPath, newPath, kind });
+        this._emit('entry_moved', { oldPath, newPath, kind });
+    }
+
+
+    /**
+     * Broadcasts an event after any pending 'file_modified' events, so listeners never see
+     * a modification after the deletion or move that followed it.
+     * @private
+     * @param {string} name - The event name.
+     * @param {object} data - The event data.
+     */
+    _emit(name, data) {
+        this.flushCoalesced();
+        this.event(name, data);
     }
 
 
@@ -8,6 +8,8 @@ import { OPFSFile } from './main/opfsFile.js';
 import { OPFSMain } from './main/opfsMain.js';
 import { OPFSWorker } from './worker/opfsWorker.js';
 import { OPFSNotifier } from './OPFSNotifier.js'; // <-- NEW IMPORT
+import { LogCollector } from './logCollector.js';
+import { OPFSRecorder } from './opfsRecorder.js';
 
 
 // Export the core classes for developers
@@ -18,5 +20,7 @@ export {
     OPFSFile,
     OPFSMain,
     OPFSWorker,
-    OPFSNotifier // <-- NEW EXPORT
+    OPFSNotifier, // <-- NEW EXPORT
+    LogCollector,
+    OPFSRecorder
 };
\ No newline at end of file
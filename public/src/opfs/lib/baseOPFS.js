@@ -24,6 +24,13 @@ export class BaseOPFSEntity {
      */
     _path = '';
 
+    /**
+     * The kind of handle the entity stands for, matching FileSystemHandle.kind.
+     * @private
+     * @type {'file'|'directory'}
+     */
+    _kind = 'file';
+
     /**
      * The injected OPFSNotifier instance used to broadcast file system changes.
      * @private
@@ -49,6 +56,7 @@ export class BaseOPFSEntity {
             this._path = path;
         }
 
+        this._kind = isDirectory ? 'directory' : 'file';
         this._notifier = notifier; // Assign the injected notifier
     }
 
@@ -93,6 +101,14 @@ export class BaseOPFSEntity {
         return this._path;
     }
 
+    /**
+     * Gets the kind of the entity, as reported by its FileSystemHandle. Synchronous.
+     * @type {'file'|'directory'}
+     */
+    get kind() {
+        return this._kind;
+    }
+
     /**
      * Gets the entity name with extension (for files) or directory name (for directories). Synchronous (path-derived).
      * @type {string}
@@ -127,4 +143,13 @@ export class BaseOPFSEntity {
     get notifier() {
         return this._notifier;
     }
+
+    /**
+     * Describes the entity by path and kind. Used when an entity is returned over a channel
+     * (e.g., by an OPFSWorker method called through AsyncChannel.proxy()).
+     * @returns {{path: FilePath, kind: 'file'|'directory'}}
+     */
+    toJSON() {
+        return { path: this._path, kind: this._kind };
+    }
 }
\ No newline at end of file
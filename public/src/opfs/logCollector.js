@@ -0,0 +1,504 @@
+/**
+ * @fileoverview Defines the LogCollector class, a BaseChannel agent that persists the
+ * LogMessage and ErrorMessage traffic of a channel to OPFS as rotating NDJSON files,
+ * enforces size and age retention, and answers queries and exports over the stored logs.
+ * Run a single collector per channel: concurrent collectors would write the same files.
+ */
+import { BaseChannel } from '../msgChannels/channels/base.js';
+import { ErrorMessage } from '../msgChannels/messages/error.js';
+import { MessageAgent } from '../msgChannels/messages/messageAgent.js';
+import { HybridLogicalClock } from '../msgChannels/lib/hlc.js';
+import { LogMessage } from '../msgChannels/messages/log.js';
+import { OPFSDir } from './main/opfsDir.js';
+import { OPFSFile } from './main/opfsFile.js';
+
+/**
+ * @typedef {import('../msgChannels/channels/base.js').ChannelOptions} ChannelOptions
+ * @typedef {import('../msgChannels/messages/log.js').LogLevel} LogLevel
+ * @typedef {string} FilePath
+ *
+ * @typedef {object} LogCollectorExtras
+ * @property {FilePath} [directory='/logs/'] - OPFS directory holding the log files.
+ * @property {number} [maxFileBytes=LogCollector.DEFAULT_MAX_FILE_BYTES] - Size at which the current file is rotated.
+ * @property {number} [maxTotalBytes=LogCollector.DEFAULT_MAX_TOTAL_BYTES] - Oldest files are deleted once all files together exceed this size.
+ * @property {number} [maxAge=LogCollector.DEFAULT_MAX_AGE] - Files last written longer ago than this (ms) are deleted.
+ * @property {number} [flushInterval=LogCollector.DEFAULT_FLUSH_INTERVAL] - Milliseconds entries are buffered before being written.
+ *
+ * @typedef {ChannelOptions & LogCollectorExtras} LogCollectorOptions
+ *
+ * @typedef {object} LogEntry
+ * @property {number} ts - Timestamp (ms) of the original message.
+ * @property {string} [hlc] - Hybrid logical clock reading of the original message (HybridLogicalClock.format()); entries sort by it in causal order.
+ * @property {string} msgID - MessageID of the original message.
+ * @property {string} agentID - The agent that emitted the entry.
+ * @property {'log'|'error'} kind - Whether the entry came from a LogMessage or an ErrorMessage.
+ * @property {LogLevel} level - The log level ('error' for ErrorMessages).
+ * @property {string|null} namespace - The logger namespace the entry was logged from, if any.
+ * @property {string} message - The message text, without the log prefix.
+ * @property {any} data - The data attached to the message.
+ * @property {object} [error] - The serialized error, for ErrorMessages.
+ *
+ * @typedef {object} LogQuery
+ * @property {string|string[]} [level] - Only entries with this level (or one of these levels).
+ * @property {LogLevel} [minLevel] - Only entries at least this severe.
+ * @property {string} [namespace] - Only entries from this logger namespace or its children ('opfs' matches 'opfs.write').
+ * @property {string|string[]} [agentID] - Only entries from this agent (or one of these agents); 'scope:name' matches every instance of that name.
+ * @property {number|Date} [from] - Only entries at or after this time.
+ * @property {number|Date} [to] - Only entries at or before this time.
+ * @property {string|RegExp} [text] - Only entries whose message matches (strings match case-insensitively).
+ * @property {number} [limit] - Keep only the newest N matching entries.
+ *
+ * @typedef {object} LogFileInfo
+ * @property {string} name - The file name inside the log directory.
+ * @property {number} created - Timestamp (ms) encoded in the file name.
+ * @property {number} bytes - The file size in bytes.
+ * @property {number} lastModified - Timestamp (ms) of the last write.
+ */
+
+/**
+ * Pattern of the files owned by the collector: log-<creation ms>-<sequence>.ndjson
+ * @private
+ * @type {RegExp}
+ */
+const LOG_FILE_PATTERN = /^log-(\d{13})-(\d+)\.ndjson$/;
+
+
+export class LogCollector extends BaseChannel {
+
+    /**
+     * Default size (bytes) at which the current log file is rotated.
+     * @type {number}
+     */
+    static DEFAULT_MAX_FILE_BYTES = 1024 * 1024; // 1 MiB
+
+    /**
+     * Default size (bytes) of all log files together.
+     * @type {number}
+     */
+    static DEFAULT_MAX_TOTAL_BYTES = 10 * 1024 * 1024; // 10 MiB
+
+    /**
+     * Default maximum age (ms) of a log file.
+     * @type {number}
+     */
+    static DEFAULT_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+    /**
+     * Default time (ms) entries are buffered before being written.
+     * @type {number}
+     */
+    static DEFAULT_FLUSH_INTERVAL = 1000; // 1 second
+
+    /**
+     * The directory holding the log files (always ends with '/').
+     * @type {FilePath}
+     */
+    directory;
+
+    /**
+     * @private
+     * @type {{maxFileBytes: number, maxTotalBytes: number, maxAge: number, flushInterval: number}}
+     */
+    _limits;
+
+    /**
+     * Known log files, oldest first. The last one is the file currently written to.
+     * @private
+     * @type {LogFileInfo[]}
+     */
+    _files = [];
+
+    /**
+     * Serialized NDJSON lines waiting to be written.
+     * @private
+     * @type {string[]}
+     */
+    _buffer = [];
+
+    /**
+     * Handle of the pending flush timer.
+     * @private
+     * @type {number|null}
+     */
+    _flushTimer = null;
+
+    /**
+     * Tail of the chain of file operations; every write, rotation and deletion runs in order on it.
+     * @private
+     * @type {Promise<void>}
+     */
+    _ioChain;
+
+    /**
+     * Sequence number distinguishing files created within the same millisecond.
+     * @private
+     * @type {number}
+     */
+    _fileSeq = 0;
+
+    /**
+     * Initializes the collector and starts listening for log and error messages.
+     * @param {string} channelName - The channel whose log traffic is collected.
+     * @param {string|null} [agentName='LogCollector'] - Optional name for this context.
+     * @param {LogCollectorOptions} [options={}] - Channel configuration plus storage and retention limits.
+     */
+    constructor(channelName, agentName = 'LogCollector', options = {}) {
+        super(channelName, agentName, options);
+
+        const directory = options.directory || '/logs/';
+        this.directory = directory.endsWith('/') ? directory : directory + '/';
+        this._limits = {
+            maxFileBytes: options.maxFileBytes ?? LogCollector.DEFAULT_MAX_FILE_BYTES,
+            maxTotalBytes: options.maxTotalBytes ?? LogCollector.DEFAULT_MAX_TOTAL_BYTES,
+            maxAge: options.maxAge ?? LogCollector.DEFAULT_MAX_AGE,
+            flushInterval: options.flushInterval ?? LogCollector.DEFAULT_FLUSH_INTERVAL
+        };
+
+        // Pick up the files left by previous sessions before writing anything
+        this._ioChain = this._loadFiles().catch((e) => {
+            console.error(`LogCollector could not read ${this.directory}:`, e);
+        });
+
+        this.onLog(message => this.record(LogCollector.toEntry(message)));
+        this.onError(message => this.record(LogCollector.toEntry(message)));
+    }
+
+    /**
+     * Converts a log or error message into the entry stored on disk.
+     * @param {LogMessage|ErrorMessage} message - The received message.
+     * @returns {LogEntry}
+     */
+    static toEntry(message) {
+        const isError = message.type === ErrorMessage.msgType;
+        const entry = {
+            ts: message.timestamp,
+            hlc: HybridLogicalClock.format(HybridLogicalClock.readingOf(message)),
+            msgID: message.msgID,
+            agentID: message.agentID,
+            kind: isError ? 'error' : 'log',
+            level: isError ? 'error' : message.payload.level,
+            namespace: isError ? null : message.payload.namespace ?? null,
+            // Rehydrated messages carry the un-prefixed text alongside the prefixed payload
+            message: (isError ? message.errorMessage : message.logMessage) ?? message.payload.message,
+            data: message.payload.data ?? null
+        };
+        if (isError && message.payload.error) {
+            entry.error = message.payload.error;
+        }
+        return entry;
+    }
+
+    // =========================================================================
+    // Writing
+    // =========================================================================
+
+    /**
+     * Buffers an entry for the next flush. Entries can also be recorded directly,
+     * e.g. to persist the collector's own context.
+     * @param {LogEntry} entry - The entry to store.
+     */
+    record(entry) {
+        let line;
+        try {
+            line = JSON.stringify(entry) + '\n';
+        } catch (e) {
+            // Unserializable data (e.g., cycles) must not lose the entry itself
+            line = JSON.stringify({ ...entry, data: `[unserializable: ${e.message}]` }) + '\n';
+        }
+        this._buffer.push(line);
+
+        if (this._flushTimer === null) {
+            this._flushTimer = setTimeout(() => {
+                this._flushTimer = null;
+                this.flush().catch(e => console.error('LogCollector flush failed:', e));
+            }, this._limits.flushInterval);
+        }
+    }
+
+    /**
+     * Writes all buffered entries to disk, rotating and pruning files as needed.
+     * @returns {Promise<void>} Resolves once the buffered entries are on disk.
+     */
+    flush() {
+        clearTimeout(this._flushTimer);
+        this._flushTimer = null;
+
+        const lines = this._buffer.splice(0);
+        if (lines.length > 0) {
+            this._enqueue(() => this._append(lines));
+        }
+        return this._ioChain;
+    }
+
+    /**
+     * Appends lines to the current file, starting a new file whenever the next line would
+     * grow it past maxFileBytes. A single line larger than the limit gets a file of its own.
+     * @private
+     * @param {string[]} lines - Serialized NDJSON lines.
+     * @returns {Promise<void>}
+     */
+    async _append(lines) {
+        const encoder = new TextEncoder();
+        let current = this._files[this._files.length - 1] || this._startFile();
+        let chunk = [];
+        let chunkBytes = 0;
+
+        const writeChunk = async () => {
+            if (chunk.length === 0) {
+                return;
+            }
+            const bytes = new Uint8Array(chunkBytes);
+            let offset = 0;
+            for (const encoded of chunk) {
+                bytes.set(encoded, offset);
+                offset += encoded.byteLength;
+            }
+            await new OPFSFile(this.directory + current.name).appendBytes(bytes);
+            current.bytes += chunkBytes;
+            current.lastModified = Date.now();
+            chunk = [];
+            chunkBytes = 0;
+        };
+
+        for (const line of lines) {
+            const encoded = encoder.encode(line);
+            const used = current.bytes + chunkBytes;
+            if (used > 0 && used + encoded.byteLength > this._limits.maxFileBytes) {
+                await writeChunk();
+                current = this._startFile();
+            }
+            chunk.push(encoded);
+            chunkBytes += encoded.byteLength;
+        }
+        await writeChunk();
+
+        await this._enforceRetention();
+    }
+
+    /**
+     * Registers a new, empty current file.
+     * @private
+     * @returns {LogFileInfo}
+     */
+    _startFile() {
+        const now = Date.now();
+        const file = {
+            name: `log-${String(now).padStart(13, '0')}-${this._fileSeq++}.ndjson`,
+            created: now,
+            bytes: 0,
+            lastModified: now
+        };
+        this._files.push(file);
+        return file;
+    }
+
+    /**
+     * Deletes the oldest files while they are older than maxAge or the total exceeds maxTotalBytes.
+     * The current file is always kept.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _enforceRetention() {
+        const now = Date.now();
+        let total = this._files.reduce((sum, file) => sum + file.bytes, 0);
+
+        while (this._files.length > 1) {
+            const oldest = this._files[0];
+            if (now - oldest.lastModified <= this._limits.maxAge && total <= this._limits.maxTotalBytes) {
+                break;
+            }
+            await new OPFSDir(this.directory).deleteFile(oldest.name);
+            this._files.shift();
+            total -= oldest.bytes;
+        }
+    }
+
+    /**
+     * Reads the existing log files from the directory.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _loadFiles() {
+        const entries = await new OPFSDir(this.directory).listFiles();
+        const files = [];
+
+        for (const entry of entries) {
+            const match = entry.kind === 'file' && LOG_FILE_PATTERN.exec(entry.name);
+            if (!match) {
+                continue;
+            }
+            const file = new OPFSFile(this.directory + entry.name);
+            files.push({
+                name: entry.name,
+                created: Number(match[1]),
+                bytes: await file.bytes,
+                lastModified: (await file.lastModified)?.getTime() ?? Number(match[1])
+            });
+        }
+
+        files.sort((a, b) => a.created - b.created || a.name.localeCompare(b.name, 'en', { numeric: true }));
+        this._files = files;
+        await this._enforceRetention();
+    }
+
+    /**
+     * Runs a file operation after all previously queued ones.
+     * @private
+     * @param {() => Promise<void>} operation - The operation to run.
+     */
+    _enqueue(operation) {
+        this._ioChain = this._ioChain.then(operation).catch((e) => {
+            console.error('LogCollector file operation failed:', e);
+        });
+    }
+
+    // =========================================================================
+    // Reading
+    // =========================================================================
+
+    /**
+     * Returns the stored entries matching a query, oldest first. Buffered entries are flushed first.
+     * @param {LogQuery} [query={}] - The filter to apply.
+     * @returns {Promise<LogEntry[]>}
+     */
+    async query(query = {}) {
+        await this.flush();
+
+        const from = query.from !== undefined ? Number(query.from) : -Infinity;
+        const to = query.to !== undefined ? Number(query.to) : Infinity;
+        const matches = LogCollector._compileQuery(query, from, to);
+        const results = [];
+
+        for (const file of this._files.slice()) {
+            // Skip files whose time span cannot overlap the requested range
+            if (file.lastModified < from || file.created > to) {
+                continue;
+            }
+            for (const entry of await this._readFile(file)) {
+                if (matches(entry)) {
+                    results.push(entry);
+                }
+            }
+        }
+
+        // Arrival order differs between agents: order by clock reading (entries of older files by timestamp)
+        results.sort(LogCollector._compareEntries);
+        return query.limit !== undefined ? results.slice(-query.limit) : results;
+    }
+
+    /**
+     * Bundles the stored entries matching a query into a single NDJSON Blob for bug reports.
+     * The first line describes the export; every following line is one LogEntry.
+     * @param {LogQuery} [query={}] - The filter to apply.
+     * @returns {Promise<Blob>}
+     */
+    async exportLogs(query = {}) {
+        const entries = await this.query(query);
+        const header = {
+            kind: 'log_export',
+            exportedAt: Date.now(),
+            collector: this.agentID,
+            channel: this.channelName,
+            userAgent: globalThis.navigator?.userAgent ?? null,
+            query: { ...query, text: query.text instanceof RegExp ? String(query.text) : query.text },
+            entries: entries.length
+        };
+        const lines = [header, ...entries].map(line => JSON.stringify(line) + '\n');
+        return new Blob(lines, { type: 'application/x-ndjson' });
+    }
+
+    /**
+     * Returns information about the stored log files, oldest first.
+     * @returns {LogFileInfo[]}
+     */
+    get files() {
+        return this._files.map(file => ({ ...file }));
+    }
+
+    /**
+     * Reads and parses one log file, skipping lines that are not valid JSON (e.g., a torn final write).
+     * @private
+     * @param {LogFileInfo} file - The file to read.
+     * @returns {Promise<LogEntry[]>}
+     */
+    async _readFile(file) {
+        let bytes;
+        try {
+            bytes = await new OPFSFile(this.directory + file.name).readBytes();
+        } catch (e) {
+            // Deleted by retention while we were reading
+            return [];
+        }
+
+        const entries = [];
+        for (const line of new TextDecoder().decode(bytes).split('\n')) {
+            if (line.length === 0) {
+                continue;
+            }
+            try {
+                entries.push(JSON.parse(line));
+            } catch (e) {
+                // Ignore corrupt lines
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Orders entries by hybrid logical clock reading, then by agent.
+     * @private
+     * @param {LogEntry} a
+     * @param {LogEntry} b
+     * @returns {number}
+     */
+    static _compareEntries(a, b) {
+        const readingA = a.hlc ?? HybridLogicalClock.format({ wall: a.ts, logical: 0 });
+        const readingB = b.hlc ?? HybridLogicalClock.format({ wall: b.ts, logical: 0 });
+        if (readingA !== readingB) {
+            return readingA < readingB ? -1 : 1;
+        }
+        return a.agentID < b.agentID ? -1 : a.agentID > b.agentID ? 1 : 0;
+    }
+
+    /**
+     * Builds the predicate for a query.
+     * @private
+     * @param {LogQuery} query - The query.
+     * @param {number} from - Start of the time range (ms).
+     * @param {number} to - End of the time range (ms).
+     * @returns {(entry: LogEntry) => boolean}
+     */
+    static _compileQuery(query, from, to) {
+        const levels = query.level !== undefined ? [].concat(query.level) : null;
+        const minLevel = query.minLevel ?? null;
+        const namespace = typeof query.namespace === 'string' ? query.namespace : null;
+        const agents = query.agentID !== undefined ? [].concat(query.agentID) : null;
+        const text = typeof query.text === 'string' ? query.text.toLowerCase() : null;
+        const pattern = query.text instanceof RegExp ? query.text : null;
+
+        return (entry) => {
+            if (entry.ts < from || entry.ts > to) return false;
+            if (levels && !levels.includes(entry.level)) return false;
+            if (minLevel && !LogMessage.isAtLeast(entry.level, minLevel)) return false;
+            if (namespace !== null && entry.namespace !== namespace && !String(entry.namespace).startsWith(namespace + '.')) return false;
+            if (agents && !agents.some(pattern => MessageAgent.matchesID(entry.agentID, pattern))) return false;
+            if (text !== null && !String(entry.message).toLowerCase().includes(text)) return false;
+            if (pattern && !String(entry.message).match(pattern)) return false;
+            return true;
+        };
+    }
+
+    // =========================================================================
+    // Lifecycle
+    // =========================================================================
+
+    /**
+     * Stops collecting, writes the remaining buffered entries and closes the channel.
+     * @returns {Promise<void>} Resolves once the remaining entries are on disk.
+     */
+    close() {
+        const flushed = this.flush();
+        super.close();
+        return flushed;
+    }
+}
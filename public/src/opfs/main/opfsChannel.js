@@ -8,6 +8,9 @@ import { OPFSFile } from './opfsFile.js'; // Use Main Thread OPFS classes for lo
 
 /**
  * @typedef {import('../../msgChannels/messages/messageAgent.js').MessageAgent} MessageAgent
+ * @typedef {import('../../msgChannels/channels/async.js').AsyncChannelOptions} AsyncChannelOptions
+ * @typedef {import('../../msgChannels/channels/async.js').RequestOptions} RequestOptions
+ * @typedef {import('../../msgChannels/channels/async.js').ResponderStrategy} ResponderStrategy
  * @typedef {string} FilePath
  */
 
@@ -20,12 +23,50 @@ export class MainOPFSChannel extends AsyncChannel {
      */
     static CHANNEL_NAME = 'opfs_io_request_channel';
 
+    /**
+     * The namespace the worker exposes its OPFSWorker facade under.
+     * @type {string}
+     */
+    static RPC_NAMESPACE = 'opfs';
+
+    /**
+     * Responder strategy of the requests with side effects on the file system.
+     * @type {ResponderStrategy}
+     */
+    static WRITE_STRATEGY = 'first';
+
+    /**
+     * Proxy for the worker's OPFSWorker facade, created on first use.
+     * @private
+     * @type {any}
+     */
+    _opfsProxy = null;
+
     /**
      * Initializes the MainOPFSChannel.
+     * Writes, deletes, copies and moves are granted to a single worker (the first to bid) so
+     * they run once however many workers share the channel; reads use the channel's strategy.
      * @param {string|null} [agentName=null] - Optional name for this context (e.g., 'UI').
+     * @param {AsyncChannelOptions} [options={}] - Optional channel configuration (e.g., a non-default transport).
      */
-    constructor(agentName = null) {
-        super(MainOPFSChannel.CHANNEL_NAME, agentName);
+    constructor(agentName = null, options = {}) {
+        super(MainOPFSChannel.CHANNEL_NAME, agentName, options);
+    }
+
+    /**
+     * Calls the worker's OPFSWorker facade directly: every method listed in
+     * OPFSWorker.rpcMethods returns a promise of its result (e.g., `await channel.opfs.list('/data/')`).
+     * Entities returned by copy() and move() arrive as `{path, kind}`. Calls are granted to a
+     * single worker, as they may write.
+     * @returns {any} A proxy for the worker's OPFSWorker.
+     */
+    get opfs() {
+        if (!this._opfsProxy) {
+            this._opfsProxy = this.proxy(MainOPFSChannel.RPC_NAMESPACE, {
+                responderStrategy: MainOPFSChannel.WRITE_STRATEGY
+            });
+        }
+        return this._opfsProxy;
     }
 
     /**
@@ -56,12 +97,14 @@ export class MainOPFSChannel extends AsyncChannel {
         // Determine the transferable buffer
         const buffer = data instanceof Uint8Array ? data.buffer : data;
 
-        // Request the worker to write. Transfer the buffer for zero-copy efficiency.
+        // Request the worker to write. Transfer the buffer for zero-copy efficiency
+        // (the transport falls back to cloning when it cannot transfer, e.g. BroadcastChannel).
         return this.request(
             'opfs_write_file',
             { filePath, position, buffer: buffer },
             null, // No specific target agent
-            [buffer] // The ArrayBuffer is the transferable object
+            // The ArrayBuffer is the transferable object
+            { transferables: [buffer], responderStrategy: MainOPFSChannel.WRITE_STRATEGY }
         );
     }
 
@@ -72,17 +115,23 @@ export class MainOPFSChannel extends AsyncChannel {
      * @returns {Promise<void>}
      */
     async requestDelete(path, recursive = false) {
-        return this.request('opfs_delete_entry', { path, recursive });
+        return this.request('opfs_delete_entry', { path, recursive }, null, {
+            responderStrategy: MainOPFSChannel.WRITE_STRATEGY
+        });
     }
 
     /**
      * Requests the Web Worker to recursively copy a directory.
      * @param {FilePath} sourcePath - The path to the source directory.
      * @param {FilePath} destPath - The path to the destination directory.
+     * @param {RequestOptions} [options] - Request options, e.g. a `signal` to cancel the copy in the worker.
      * @returns {Promise<void>}
      */
-    async requestCopyDir(sourcePath, destPath) {
-        return this.request('opfs_copy_dir', { sourcePath, destPath });
+    async requestCopyDir(sourcePath, destPath, options = {}) {
+        return this.request('opfs_copy_dir', { sourcePath, destPath }, null, {
+            responderStrategy: MainOPFSChannel.WRITE_STRATEGY,
+            ...options
+        });
     }
 
     /**
@@ -92,6 +141,8 @@ export class MainOPFSChannel extends AsyncChannel {
      * @returns {Promise<void>}
      */
     async requestMoveDir(sourcePath, destPath) {
-        return this.request('opfs_move_dir', { sourcePath, destPath });
+        return this.request('opfs_move_dir', { sourcePath, destPath }, null, {
+            responderStrategy: MainOPFSChannel.WRITE_STRATEGY
+        });
     }
 }
\ No newline at end of file
@@ -141,8 +141,48 @@ export class OPFSFile extends BaseOPFSEntity {
         }
 
         this._clearCache();
+        await this._notifyWritten(fileExisted);
+    }
 
-        // Notification Logic
+    /**
+     * Appends data to the end of the file, keeping its current contents.
+     * NOTE: This method implicitly creates parent directories if they do not exist.
+     * @param {WriteData} data - The data to append (ArrayBuffer, Uint8Array, etc.).
+     * @returns {Promise<void>}
+     */
+    async appendBytes(data) {
+        const fileExisted = await this.exists;
+
+        // Force creation of file and parent directories if writing to a new path
+        const fileHandle = await this._getHandlePromise(true);
+        const end = (await fileHandle.getFile()).size;
+
+        const writable = await fileHandle.createWritable({ keepExistingData: true });
+
+        try {
+            await writable.write({
+                type: 'write',
+                data: data,
+                position: end
+            });
+            await writable.close();
+
+        } catch (error) {
+            await writable.abort();
+            throw error;
+        }
+
+        this._clearCache();
+        await this._notifyWritten(fileExisted);
+    }
+
+    /**
+     * Emits the creation or modification event of a write.
+     * @private
+     * @param {boolean} fileExisted - Whether the file existed before the write.
+     * @returns {Promise<void>}
+     */
+    async _notifyWritten(fileExisted) {
         if (this.notifier) {
             const bytesH = await this.bytesH;
             if (!fileExisted) {
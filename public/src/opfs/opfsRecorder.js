@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Defines the OPFSRecorder class, a ChannelRecorder that streams its
+ * recording to an NDJSON file in OPFS while it is being made, so the traffic leading up
+ * to a crash or a hung tab can be inspected (and replayed) afterwards.
+ */
+import { ChannelRecorder } from '../msgChannels/lib/recorder.js';
+import { OPFSFile } from './main/opfsFile.js';
+
+/**
+ * @typedef {import('../msgChannels/channels/base.js').BaseChannel} BaseChannel
+ * @typedef {import('../msgChannels/lib/recorder.js').RecorderOptions} RecorderOptions
+ * @typedef {import('../msgChannels/lib/recorder.js').Recording} Recording
+ * @typedef {string} FilePath
+ */
+
+
+export class OPFSRecorder extends ChannelRecorder {
+
+    /**
+     * Path of the recording file.
+     * @type {FilePath}
+     */
+    path;
+
+    /**
+     * Starts recording a channel into an OPFS file. An existing file at the path is replaced.
+     * Call it from the channel's `recorder` option (see ChannelRecorder).
+     * @param {BaseChannel} channel - The channel to record.
+     * @param {FilePath} path - The NDJSON file to write (e.g., '/recordings/session.ndjson').
+     * @param {RecorderOptions} [options={}] - Optional recorder configuration; `sink` is ignored.
+     */
+    constructor(channel, path, options = {}) {
+        const encoder = new TextEncoder();
+        let bytesWritten = 0;
+
+        // Sink calls are serialized by ChannelRecorder, so the chunks are appended in order
+        super(channel, {
+            ...options,
+            sink: async (chunk) => {
+                if (bytesWritten === 0) {
+                    const previous = new OPFSFile(path);
+                    if (await previous.exists) {
+                        await previous.delete();
+                    }
+                }
+                const bytes = encoder.encode(chunk);
+                await new OPFSFile(path).appendBytes(bytes);
+                bytesWritten += bytes.byteLength;
+            }
+        });
+
+        this.path = path;
+    }
+
+    /**
+     * Reads a recording written by an OPFSRecorder.
+     * @param {FilePath} path - The NDJSON file.
+     * @returns {Promise<Recording>}
+     */
+    static async load(path) {
+        const bytes = await new OPFSFile(path).readBytes();
+        return ChannelRecorder.parse(new TextDecoder().decode(bytes));
+    }
+}
@@ -8,7 +8,13 @@ import { OPFSWorker } from './opfsWorker.js'; // <-- Import the Facade for simpl
 
 /**
  * @typedef {import('../../msgChannels/messages/messageAgent.js').MessageAgent} MessageAgent
+ * @typedef {import('../../msgChannels/channels/async.js').AsyncChannelOptions} AsyncChannelOptions
+ * @typedef {import('../../msgChannels/lib/election.js').LeaderElection} LeaderElection
  * @typedef {string} FilePath
+ *
+ * @typedef {AsyncChannelOptions & {electLeader?: boolean}} WorkerOPFSChannelOptions
+ * `electLeader`: when several workers share the channel (one per tab), only the one elected
+ * leader of WorkerOPFSChannel.ELECTION_NAME serves requests.
  */
 
 
@@ -20,6 +26,18 @@ export class WorkerOPFSChannel extends AsyncChannel {
      */
     static CHANNEL_NAME = 'opfs_io_request_channel';
 
+    /**
+     * The namespace the OPFSWorker facade is exposed under (see AsyncChannel.expose()).
+     * @type {string}
+     */
+    static RPC_NAMESPACE = 'opfs';
+
+    /**
+     * The election IO workers started with `electLeader` take part in.
+     * @type {string}
+     */
+    static ELECTION_NAME = 'opfs-io';
+
     /**
      * High-level facade for synchronous file system operations.
      * @type {OPFSWorker}
@@ -27,16 +45,53 @@ export class WorkerOPFSChannel extends AsyncChannel {
      */
     _opfsFacade;
 
+    /**
+     * Functions removing the registered request handlers (empty while not serving).
+     * @private
+     * @type {Array<() => void>}
+     */
+    _handlerRemovers = [];
+
+    /**
+     * The IO worker election, when started with `electLeader`.
+     * @private
+     * @type {LeaderElection|null}
+     */
+    _election = null;
+
     /**
      * Initializes the WorkerOPFSChannel and sets up all request handlers.
+     * With `options.electLeader`, the handlers are only registered while this worker is the elected leader.
      * @param {string|null} [agentName=null] - Optional name for this context (e.g., 'IOWorker').
+     * @param {WorkerOPFSChannelOptions} [options={}] - Optional channel configuration (e.g., a non-default transport).
      */
-    constructor(agentName = null) {
-        super(WorkerOPFSChannel.CHANNEL_NAME, agentName);
+    constructor(agentName = null, options = {}) {
+        super(WorkerOPFSChannel.CHANNEL_NAME, agentName, options);
 
         // Initialize the OPFS facade. The notifier is automatically instantiated inside the facade.
         this._opfsFacade = new OPFSWorker(agentName);
-        this._setupHandlers();
+
+        if (options.electLeader) {
+            // Only one worker may contend for the sync access handles
+            this._election = this.elect(WorkerOPFSChannel.ELECTION_NAME);
+            this._election.onLeaderChanged(() => {
+                if (this._election.isLeader) {
+                    this._setupHandlers();
+                } else {
+                    this._removeHandlers();
+                }
+            });
+        } else {
+            this._setupHandlers();
+        }
+    }
+
+    /**
+     * The IO worker election, or null when the worker always serves.
+     * @returns {LeaderElection|null}
+     */
+    get election() {
+        return this._election;
     }
 
     /**
@@ -44,10 +99,14 @@ export class WorkerOPFSChannel extends AsyncChannel {
      * @private
      */
     _setupHandlers() {
+        if (this._handlerRemovers.length > 0) {
+            return;
+        }
         const facade = this._opfsFacade;
+        const onRequest = (requestType, callback) => this._handlerRemovers.push(this.onRequest(requestType, callback));
 
         // --- 1. File Read Handler ---
-        this.onRequest('opfs_read_file', async (payload) => {
+        onRequest('opfs_read_file', async (payload) => {
             // Returns Uint8Array whose buffer is automatically transferred/copied
             const data = await facade.read(payload.filePath);
 
@@ -56,7 +115,7 @@ export class WorkerOPFSChannel extends AsyncChannel {
         });
 
         // --- 2. File Write Handler ---
-        this.onRequest('opfs_write_file', async (payload) => {
+        onRequest('opfs_write_file', async (payload) => {
             const { filePath, position = 0, buffer } = payload;
 
             if (!(buffer instanceof ArrayBuffer)) {
@@ -69,7 +128,7 @@ export class WorkerOPFSChannel extends AsyncChannel {
         });
 
         // --- 3. Entry Delete Handler (File or Directory) ---
-        this.onRequest('opfs_delete_entry', async (payload) => {
+        onRequest('opfs_delete_entry', async (payload) => {
             const { path } = payload;
 
             // Facade's delete method already handles type and recursive deletion internally
@@ -78,18 +137,30 @@ export class WorkerOPFSChannel extends AsyncChannel {
         });
 
         // --- 4. Directory Copy Handler ---
-        this.onRequest('opfs_copy_dir', async (payload) => {
+        onRequest('opfs_copy_dir', async (payload, message, { signal }) => {
             const { sourcePath, destPath } = payload;
-            await facade.copy(sourcePath, destPath);
+            await facade.copy(sourcePath, destPath, signal);
             return { success: true };
         });
 
         // --- 5. Directory Move Handler ---
-        this.onRequest('opfs_move_dir', async (payload) => {
+        onRequest('opfs_move_dir', async (payload) => {
             const { sourcePath, destPath } = payload;
             await facade.move(sourcePath, destPath);
             return { success: true };
         });
+
+        // --- 6. The facade itself, for MainOPFSChannel.opfs ---
+        this._handlerRemovers.push(this.expose(WorkerOPFSChannel.RPC_NAMESPACE, facade));
+    }
+
+    /**
+     * Stops serving file operations (another worker was elected).
+     * @private
+     */
+    _removeHandlers() {
+        this._handlerRemovers.forEach(remove => remove());
+        this._handlerRemovers = [];
     }
 
     /**
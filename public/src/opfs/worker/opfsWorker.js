@@ -18,6 +18,20 @@ import { OPFSNotifier } from '../OPFSNotifier.js'; // <-- NEW IMPORT
 
 export class OPFSWorker {
 
+    /**
+     * The methods served when the facade is exposed over a channel (see AsyncChannel.expose()).
+     * getEntry() and the notifier return live objects that cannot leave the worker.
+     * @type {string[]}
+     */
+    static rpcMethods = ['exists', 'read', 'write', 'hash', 'list', 'makeDir', 'delete', 'copy', 'move'];
+
+    /**
+     * The served methods taking an AbortSignal, which a remote caller cannot send: they get
+     * the request's signal instead, so cancelling the call (or its timeout) stops the work.
+     * @type {string[]}
+     */
+    static rpcCancellableMethods = ['copy'];
+
     /**
      * The single OPFSNotifier instance used by all entities created by this facade.
      * @type {OPFSNotifier}
@@ -156,15 +170,16 @@ export class OPFSWorker {
      * Copies a file or recursively copies a directory to a new destination.
      * @param {FilePath} sourcePath - The source path.
      * @param {FilePath} destPath - The destination path.
+     * @param {AbortSignal} [signal] - Cancels a directory copy between entries. Called over a channel, it is the request's signal.
      * @returns {Promise<OPFSWorkerFile|OPFSWorkerDirectory>} The new copied entity object.
      */
-    async copy(sourcePath, destPath) {
+    async copy(sourcePath, destPath, signal) {
         const entry = this.getEntry(sourcePath);
 
         if (entry instanceof OPFSWorkerFile) {
             return entry.copy(destPath);
         } else if (entry instanceof OPFSWorkerDirectory) {
-            return entry.copyDir(destPath);
+            return entry.copyDir(destPath, signal);
         }
     }
 
@@ -80,9 +80,10 @@ export class OPFSWorkerDirectory extends BaseOPFSEntity { // <-- EXTENDS BaseOPF
      * @private
      * Recursively copies the contents of this directory to a new directory path.
      * @param {FilePath} newPath - The full path of the destination directory (must end with '/').
+     * @param {AbortSignal} [signal] - Stops the copy between entries when aborted.
      * @returns {Promise<void>}
      */
-    async _copyDirRecursive(newPath) {
+    async _copyDirRecursive(newPath, signal) {
         // 1. Get the destination directory (creates it and its parents if needed)
         const destDir = new OPFSWorkerDirectory(newPath, this.notifier); // Pass notifier
         // Force the destination directory path to be created (notifier handles creation event internally via _getHandlePromise)
@@ -93,6 +94,8 @@ export class OPFSWorkerDirectory extends BaseOPFSEntity { // <-- EXTENDS BaseOPF
 
         // 3. Process entries
         for (const entry of entries) {
+            signal?.throwIfAborted();
+
             const sourcePath = this._path + entry.name;
             const destPath = newPath + entry.name;
 
@@ -103,7 +106,7 @@ export class OPFSWorkerDirectory extends BaseOPFSEntity { // <-- EXTENDS BaseOPF
             } else if (entry.kind === 'directory') {
                 const sourceDir = new OPFSWorkerDirectory(sourcePath, this.notifier); // Pass notifier
                 // Recursive call (ensure path ends with '/')
-                await sourceDir._copyDirRecursive(destPath + '/');
+                await sourceDir._copyDirRecursive(destPath + '/', signal);
             }
         }
     }
@@ -258,16 +261,21 @@ export class OPFSWorkerDirectory extends BaseOPFSEntity { // <-- EXTENDS BaseOPF
 
     /**
      * Recursively copies this directory and all its contents to a new destination path.
+     * Entries already copied when the signal aborts are left in place.
      * @param {FilePath} newPath - The destination path for the new directory.
+     * @param {AbortSignal} [signal] - Cancels the copy; the promise rejects with the signal's reason.
      * @returns {Promise<OPFSWorkerDirectory>} The new OPFSWorkerDirectory instance.
      */
-    async copyDir(newPath) {
+    async copyDir(newPath, signal) {
         if (!await this.exists) {
             throw new Error(`Cannot copy: Source directory ${this._path} does not exist.`);
         }
         const normalizedNewPath = newPath.endsWith('/') ? newPath : newPath + '/';
-        await this._copyDirRecursive(normalizedNewPath);
-        this._clearCache();
+        try {
+            await this._copyDirRecursive(normalizedNewPath, signal);
+        } finally {
+            this._clearCache();
+        }
 
         // The recursive copy helper already notified creation of the destination dir
         return new OPFSWorkerDirectory(normalizedNewPath, this.notifier);